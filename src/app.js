@@ -22,6 +22,15 @@ const gradeRoutes = require("./routes/grade.routes");
 const doubtRoutes = require("./routes/doubt.routes"); // NEW
 const progressRoutes = require("./routes/progress.routes"); // NEW
 const analyticsRoutes = require("./routes/analytics.routes"); // NEW
+const permissionRoutes = require("./routes/permission.routes");
+const auditRoutes = require("./routes/audit.routes");
+const invitationRoutes = require("./routes/invitation.routes");
+const organizationRoutes = require("./routes/organization.routes");
+const reviewRoutes = require("./routes/review.routes");
+const couponRoutes = require("./routes/coupon.routes");
+const scholarshipRoutes = require("./routes/scholarship.routes");
+const bundleRoutes = require("./routes/bundle.routes");
+const { requestId } = require("./middleware/requestId");
 
 const app = express();
 
@@ -38,6 +47,9 @@ connectDB();
 // });
 // app.use("/api", limiter);
 
+// Request id (used by audit logs)
+app.use(requestId);
+
 // Body parser
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
@@ -66,6 +78,14 @@ app.use("/api/v1/grades", gradeRoutes);
 app.use("/api/v1/doubts", doubtRoutes); // NEW
 app.use("/api/v1/progress", progressRoutes); // NEW
 app.use("/api/v1/analytics", analyticsRoutes); // NEW
+app.use("/api/v1/permissions", permissionRoutes);
+app.use("/api/v1/audit-logs", auditRoutes);
+app.use("/api/v1/invitations", invitationRoutes);
+app.use("/api/v1/organizations", organizationRoutes);
+app.use("/api/v1/reviews", reviewRoutes);
+app.use("/api/v1/coupons", couponRoutes);
+app.use("/api/v1/scholarships", scholarshipRoutes);
+app.use("/api/v1/bundles", bundleRoutes);
 
 // Health check route
 app.get("/health", (req, res) => {
@@ -0,0 +1,69 @@
+// OpenID Connect identity providers, configured as a JSON array in OIDC_PROVIDERS:
+//
+// [{
+//   "id": "iitm",                              // used in URLs: /api/v1/auth/oidc/iitm/...
+//   "name": "IIT Madras",                      // shown on the login page
+//   "issuer": "https://idp.example.edu",       // discovery: <issuer>/.well-known/openid-configuration
+//   "clientId": "...",
+//   "clientSecret": "...",
+//   "redirectUri": "https://app.example.com/auth/oidc/iitm/callback",   // optional
+//   "scopes": "openid email profile groups",   // optional
+//   "groupsClaim": "groups",                   // optional
+//   "roleMapping": { "faculty": "instructor", "tas": "teachingAssistant" },  // IdP group -> role
+//   "defaultRole": "student",                  // optional
+//   "allowedDomains": ["example.edu"],         // optional, restricts email domains
+//   "autoProvision": true,                     // optional, create unknown users
+//   "syncRole": false,                         // optional, re-apply the mapping on every login
+//   "autoLinkRoles": ["student"],              // optional, roles of existing accounts linked by
+//                                              // verified email on first sign-in; other accounts
+//                                              // link from their settings while signed in
+//   "organization": "iitm"                     // optional, organization slug users belong to
+// }]
+
+const ASSIGNABLE_ROLES = ["student", "instructor", "teachingAssistant", "admin"];
+
+let providers = null;
+
+const loadProviders = () => {
+  let config = [];
+
+  try {
+    config = JSON.parse(process.env.OIDC_PROVIDERS || "[]");
+  } catch (error) {
+    console.error("Invalid OIDC_PROVIDERS configuration:", error.message);
+  }
+
+  return config
+    .filter((provider) => provider.id && provider.issuer && provider.clientId)
+    .map((provider) => ({
+      scopes: "openid email profile",
+      groupsClaim: "groups",
+      roleMapping: {},
+      defaultRole: "student",
+      allowedDomains: [],
+      autoProvision: true,
+      syncRole: false,
+      autoLinkRoles: ["student"],
+      organization: null,
+      redirectUri: `${process.env.FRONTEND_URL}/auth/oidc/${provider.id}/callback`,
+      ...provider,
+      issuer: provider.issuer.replace(/\/+$/, ""),
+    }));
+};
+
+const getOidcProviders = () => {
+  if (!providers) {
+    providers = loadProviders();
+  }
+  return providers;
+};
+
+const getOidcProvider = (id) => {
+  return getOidcProviders().find((provider) => provider.id === id) || null;
+};
+
+module.exports = {
+  ASSIGNABLE_ROLES,
+  getOidcProviders,
+  getOidcProvider,
+};
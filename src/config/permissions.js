@@ -0,0 +1,129 @@
+// Central permission registry.
+// Permissions apply inside the user's organization; superAdmin works across organizations.
+// A role grants a permission either globally ("batch:manage") or only for
+// resources it belongs to ("batch:manage:own" - assigned/enrolled batch, own enrollment).
+// Batch staff are the instructor, co-instructors and assistants of a batch.
+
+const PERMISSIONS = {
+  "user:manage": "Create, update, deactivate and unlock users",
+  "user:impersonate": "Act as another user for support",
+  "permission:manage": "Edit role-to-permission mappings",
+  "audit:view": "View and export the audit log",
+  "organization:manage": "Create organizations and view them all",
+  "organization:settings": "Edit the branding and settings of own organization",
+
+  "course:manage": "Create, update, delete and publish courses",
+  "bundle:manage": "Create, update, delete and publish course bundles",
+
+  "batch:manage": "Create, update, delete and activate batches",
+  "batch:view": "View batch details",
+  "batch:content:manage": "Create and edit learning materials, assignments and live sessions",
+  "batch:content:view": "View learning materials, assignments, live sessions and session materials",
+  "session:material:manage": "Upload and edit live session materials",
+
+  "enrollment:create": "Enroll in a batch",
+  "enrollment:view": "View enrollment details",
+  "enrollment:roster": "View the enrollment list of a batch",
+  "enrollment:cancel": "Cancel an enrollment",
+
+  "payment:refund": "Refund payments",
+
+  "assignment:submit": "Submit and edit assignment submissions",
+  "assignment:grade": "Grade submissions and view assignment submissions",
+  "submission:view": "View a single submission",
+
+  "grade:view": "View grades",
+  "grade:finalize": "Finalize batch grades",
+
+  "doubt:create": "Post doubts",
+  "doubt:view": "View doubts",
+  "doubt:reply": "Reply to, vote on and follow doubts",
+  "doubt:manage": "Resolve and pin doubts",
+
+  "session:join": "Join live sessions",
+
+  "progress:view": "View progress",
+  "progress:update": "Track own material progress",
+  "progress:manage": "Recalculate progress and view at-risk students",
+
+  "review:create": "Rate and review courses of own batches",
+  "review:report": "Report reviews for moderation",
+  "review:reply": "Reply to course reviews",
+  "review:moderate": "Hide and republish reviews, view reported reviews",
+
+  "coupon:manage": "Create and manage discount coupons",
+  "scholarship:request": "Request scholarships and fee waivers for enrollments",
+  "scholarship:approve": "Approve or reject scholarship requests",
+
+  "analytics:view": "View system-wide analytics and reports",
+  "analytics:batch:view": "View batch analytics",
+};
+
+// Actions a learner takes on their own behalf - not granted to staff roles
+const STUDENT_ACTIONS = ["enrollment:create", "assignment:submit", "doubt:create", "progress:update", "review:create"];
+
+// Reserved for superAdmin
+const SUPER_ADMIN_ONLY = ["permission:manage", "audit:view", "user:impersonate", "organization:manage"];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  superAdmin: ["*"],
+  admin: Object.keys(PERMISSIONS).filter(
+    (permission) => !SUPER_ADMIN_ONLY.includes(permission) && !STUDENT_ACTIONS.includes(permission),
+  ),
+  instructor: [
+    "batch:view:own",
+    "batch:content:manage:own",
+    "batch:content:view:own",
+    "session:material:manage:own",
+    "enrollment:view:own",
+    "enrollment:roster:own",
+    "assignment:grade:own",
+    "submission:view:own",
+    "grade:view:own",
+    "grade:finalize:own",
+    "doubt:view:own",
+    "doubt:reply:own",
+    "doubt:manage:own",
+    "session:join:own",
+    "progress:view:own",
+    "progress:manage:own",
+    "review:report",
+    "review:reply:own",
+    "analytics:batch:view:own",
+  ],
+  teachingAssistant: [
+    "batch:view:own",
+    "batch:content:view:own",
+    "session:material:manage:own",
+    "enrollment:roster:own",
+    "assignment:grade:own",
+    "submission:view:own",
+    "grade:view:own",
+    "doubt:view:own",
+    "doubt:reply:own",
+    "doubt:manage:own",
+    "session:join:own",
+    "progress:view:own",
+    "review:report",
+  ],
+  student: [
+    "batch:view",
+    "batch:content:view:own",
+    "enrollment:create",
+    "enrollment:view:own",
+    "enrollment:cancel:own",
+    "assignment:submit:own",
+    "submission:view:own",
+    "grade:view:own",
+    "doubt:create:own",
+    "doubt:view:own",
+    "doubt:reply:own",
+    "session:join:own",
+    "progress:view:own",
+    "progress:update:own",
+    "review:create:own",
+    "review:report",
+  ],
+};
+
+module.exports = { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS };
@@ -2,6 +2,7 @@ const Submission = require('../models/Submission');
 const Assignment = require('../models/Assignment');
 const Batch = require('../models/Batch');
 const cloudinary = require('../config/cloudinary');
+const { authorize } = require('../utils/permissionService');
 
 // @desc    Submit assignment
 // @route   POST /api/v1/assignments/:assignmentId/submit
@@ -271,16 +272,8 @@ exports.getSubmission = async (req, res) => {
       });
     }
     
-    // Check authorization
-    const isOwner = submission.student._id.toString() === req.user.id;
-    const isInstructor = req.user.role === 'instructor' || req.user.role === 'admin' || req.user.role === 'superAdmin';
-    
-    if (!isOwner && !isInstructor) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to view this submission'
-      });
-    }
+    // Graders of the batch also get comparison stats
+    const isInstructor = await authorize(req.user, 'assignment:grade', { batchId: submission.batch?._id });
     
     // If instructor, also get other submissions for comparison
     let comparisonStats = null;
@@ -1,15 +1,19 @@
 const analyticsCalculator = require("../utils/analyticsCalculator");
 const AnalyticsCache = require("../models/AnalyticsCache");
 const { clearCache } = require("../middleware/cache");
+const { getRequestOrganization } = require("../utils/organizationScope");
 
-// @desc    Get system-wide analytics
+// @desc    Get system-wide analytics (own organization; superAdmin: all or ?organization=)
 // @route   GET /api/v1/analytics/system
 // @access  Private/Admin
 exports.getSystemAnalytics = async (req, res) => {
   try {
     const { timeRange = "30d" } = req.query;
 
-    const analytics = await analyticsCalculator.getSystemAnalytics(timeRange);
+    const analytics = await analyticsCalculator.getSystemAnalytics(
+      timeRange,
+      getRequestOrganization(req),
+    );
 
     res.status(200).json({
       success: true,
@@ -31,19 +35,6 @@ exports.getBatchAnalytics = async (req, res) => {
     const { batchId } = req.params;
     const { timeRange = "30d" } = req.query;
 
-    // Check authorization
-    if (req.user.role === "instructor") {
-      const Batch = require("../models/Batch");
-      const batch = await Batch.findById(batchId);
-
-      if (!batch || batch.instructor.toString() !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: "Not authorized to view analytics for this batch",
-        });
-      }
-    }
-
     const analytics = await analyticsCalculator.getBatchAnalytics(batchId, timeRange);
 
     res.status(200).json({
@@ -89,7 +80,34 @@ exports.getPaymentCollectionReport = async (req, res) => {
   try {
     const { timeRange = "30d" } = req.query;
 
-    const report = await analyticsCalculator.getPaymentCollectionReport(timeRange);
+    const report = await analyticsCalculator.getPaymentCollectionReport(
+      timeRange,
+      getRequestOrganization(req),
+    );
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get coupon redemption report
+// @route   GET /api/v1/analytics/coupons
+// @access  Private/Admin
+exports.getCouponRedemptionReport = async (req, res) => {
+  try {
+    const { timeRange = "30d" } = req.query;
+
+    const report = await analyticsCalculator.getCouponRedemptionReport(
+      timeRange,
+      getRequestOrganization(req),
+    );
 
     res.status(200).json({
       success: true,
@@ -110,7 +128,10 @@ exports.getStudentEngagementMetrics = async (req, res) => {
   try {
     const { timeRange = "30d" } = req.query;
 
-    const metrics = await analyticsCalculator.getStudentEngagementMetrics(timeRange);
+    const metrics = await analyticsCalculator.getStudentEngagementMetrics(
+      timeRange,
+      getRequestOrganization(req),
+    );
 
     res.status(200).json({
       success: true,
@@ -132,6 +153,7 @@ exports.getRevenueAnalytics = async (req, res) => {
     const { timeRange = "30d", groupBy = "month" } = req.query;
 
     const dateFilter = analyticsCalculator.getDateFilter(timeRange);
+    const scope = await analyticsCalculator.getOrganizationScope(getRequestOrganization(req));
 
     const Payment = require("../models/Payment");
 
@@ -159,6 +181,7 @@ exports.getRevenueAnalytics = async (req, res) => {
     const revenueData = await Payment.aggregate([
       {
         $match: {
+          ...scope.org,
           status: "completed",
           paymentDate: dateFilter,
         },
@@ -225,11 +248,12 @@ exports.getEnrollmentAnalytics = async (req, res) => {
     const { timeRange = "30d", courseId, batchId } = req.query;
 
     const dateFilter = analyticsCalculator.getDateFilter(timeRange);
+    const scope = await analyticsCalculator.getOrganizationScope(getRequestOrganization(req));
 
     const Enrollment = require("../models/Enrollment");
 
     // Build match stage
-    const matchStage = { enrollmentDate: dateFilter };
+    const matchStage = { ...scope.org, enrollmentDate: dateFilter };
 
     if (courseId) {
       matchStage.course = require("mongoose").Types.ObjectId(courseId);
@@ -346,19 +370,22 @@ exports.clearAnalyticsCache = async (req, res) => {
 // @access  Private/Admin
 exports.getAdminDashboard = async (req, res) => {
   try {
+    const organization = getRequestOrganization(req);
+    const scope = await analyticsCalculator.getOrganizationScope(organization);
+
     // Get real-time data in parallel
     const [systemAnalytics, paymentReport, engagementMetrics, recentActivities] =
       await Promise.all([
-        analyticsCalculator.getSystemAnalytics("24h"),
-        analyticsCalculator.getPaymentCollectionReport("24h"),
-        analyticsCalculator.getStudentEngagementMetrics("24h"),
-        getRecentActivities(),
+        analyticsCalculator.getSystemAnalytics("24h", organization),
+        analyticsCalculator.getPaymentCollectionReport("24h", organization),
+        analyticsCalculator.getStudentEngagementMetrics("24h", organization),
+        getRecentActivities(scope),
       ]);
 
     // Get top performing courses
     const Course = require("../models/Course");
     const topCourses = await Course.aggregate([
-      { $match: { isPublished: true } },
+      { $match: { ...scope.org, isPublished: true } },
       {
         $lookup: {
           from: "enrollments",
@@ -382,7 +409,7 @@ exports.getAdminDashboard = async (req, res) => {
     ]);
 
     // Get pending actions
-    const pendingActions = await getPendingActions();
+    const pendingActions = await getPendingActions(scope);
 
     const dashboard = {
       overview: systemAnalytics.overview,
@@ -410,12 +437,13 @@ exports.getAdminDashboard = async (req, res) => {
 };
 
 // Helper functions
-async function getRecentActivities() {
+// `scope` comes from analyticsCalculator.getOrganizationScope
+async function getRecentActivities(scope) {
   const activities = [];
 
   // Get recent enrollments
   const Enrollment = require("../models/Enrollment");
-  const recentEnrollments = await Enrollment.find()
+  const recentEnrollments = await Enrollment.find(scope.org)
     .sort({ enrollmentDate: -1 })
     .limit(5)
     .populate("student", "name")
@@ -437,7 +465,7 @@ async function getRecentActivities() {
 
   // Get recent payments
   const Payment = require("../models/Payment");
-  const recentPayments = await Payment.find({ status: "completed" })
+  const recentPayments = await Payment.find({ ...scope.org, status: "completed" })
     .sort({ paymentDate: -1 })
     .limit(5)
     .populate("student", "name")
@@ -458,7 +486,7 @@ async function getRecentActivities() {
 
   // Get recent doubts
   const Doubt = require("../models/Doubt");
-  const recentDoubts = await Doubt.find()
+  const recentDoubts = await Doubt.find(scope.batch)
     .sort({ createdAt: -1 })
     .limit(5)
     .populate("student", "name")
@@ -483,12 +511,13 @@ async function getRecentActivities() {
   return activities.slice(0, 10); // Return top 10
 }
 
-async function getPendingActions() {
+async function getPendingActions(scope) {
   const actions = [];
 
   // Check for unresolved doubts
   const Doubt = require("../models/Doubt");
   const unresolvedDoubts = await Doubt.countDocuments({
+    ...scope.batch,
     status: { $in: ["open", "answered"] },
     priority: { $in: ["high", "urgent"] },
   });
@@ -505,6 +534,7 @@ async function getPendingActions() {
   // Check for pending payments
   const Payment = require("../models/Payment");
   const pendingPayments = await Payment.countDocuments({
+    ...scope.org,
     status: "pending",
     dueDate: { $lt: new Date() },
   });
@@ -522,6 +552,7 @@ async function getPendingActions() {
   const Batch = require("../models/Batch");
   const oneWeekFromNow = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
   const startingBatches = await Batch.countDocuments({
+    ...scope.org,
     startDate: { $gt: new Date(), $lt: oneWeekFromNow },
     isActive: true,
   });
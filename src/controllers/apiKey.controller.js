@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { PERMISSIONS } = require('../config/permissions');
+const { getPermissionScope } = require('../utils/permissionService');
+const { recordAudit } = require('../utils/auditLogger');
+
+// @desc    List my API keys
+// @route   GET /api/v1/auth/api-keys
+// @access  Private
+exports.getApiKeys = async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: keys.length,
+      data: keys
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create an API key limited to some of my permissions
+// @route   POST /api/v1/auth/api-keys
+// @access  Private
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, permissions } = req.body;
+    const maxDays = parseInt(process.env.API_KEY_MAX_DAYS || 365);
+    const expiresInDays = parseInt(req.body.expiresInDays || process.env.API_KEY_DEFAULT_DAYS || 90);
+
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please select at least one permission'
+      });
+    }
+
+    const unknown = permissions.filter((permission) => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(', ')}`
+      });
+    }
+
+    // A key can never do more than its owner
+    const notHeld = [];
+    for (const permission of permissions) {
+      if (!(await getPermissionScope(req.user.role, permission))) {
+        notHeld.push(permission);
+      }
+    }
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Your role does not grant: ${notHeld.join(', ')}`
+      });
+    }
+
+    if (!(expiresInDays > 0 && expiresInDays <= maxDays)) {
+      return res.status(400).json({
+        success: false,
+        message: `Expiry must be between 1 and ${maxDays} days`
+      });
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    });
+    if (activeKeys >= parseInt(process.env.API_KEY_MAX_PER_USER || 10)) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key limit reached, revoke an existing key first'
+      });
+    }
+
+    const { key, doc } = await ApiKey.issue(req.user._id, {
+      name,
+      permissions: [...new Set(permissions)],
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    await recordAudit(req, {
+      action: 'apiKey.create',
+      targetType: 'ApiKey',
+      targetId: doc._id,
+      metadata: { name: doc.name, permissions: doc.permissions, expiresAt: doc.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Copy this key now, it will not be shown again',
+      key,
+      data: doc
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke one of my API keys
+// @route   DELETE /api/v1/auth/api-keys/:id
+// @access  Private
+exports.revokeApiKey = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key has already been revoked'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'apiKey.revoke',
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      metadata: { name: apiKey.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,9 +1,15 @@
 const Assignment = require("../models/Assignment");
 const Batch = require("../models/Batch");
 const Course = require("../models/Course");
-const { sendEmail } = require("../utils/emailService");
+const { sendEmail, getBranding } = require("../utils/emailService");
 const Enrollment = require("../models/Enrollment");
 const mongoose = require("mongoose");
+const { authorize } = require("../utils/permissionService");
+
+// Batch staff who manage content or grade see submission statistics
+const canViewSubmissionStats = async (user, batchId) =>
+  (await authorize(user, "batch:content:manage", { batchId })) ||
+  (await authorize(user, "assignment:grade", { batchId }));
 
 // @desc    Create assignment
 // @route   POST /api/v1/batches/:batchId/assignments
@@ -13,7 +19,7 @@ exports.createAssignment = async (req, res) => {
   try {
     const { batchId } = req.params;
 
-    // Check batch exists and user is instructor
+    // Check batch exists
     const batch = await Batch.findById(batchId).populate("course");
     if (!batch) {
       return res.status(404).json({
@@ -22,17 +28,6 @@ exports.createAssignment = async (req, res) => {
       });
     }
 
-    if (
-      batch.instructor.toString() !== req.user.id &&
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to create assignments for this batch",
-      });
-    }
-
     const assignmentData = {
       ...req.body,
       batch: batchId,
@@ -151,11 +146,7 @@ exports.getBatchAssignments = async (req, res) => {
 
     // Get statistics for instructor
     let stats = null;
-    if (
-      req.user.role === "instructor" ||
-      req.user.role === "admin" ||
-      req.user.role === "superAdmin"
-    ) {
+    if (await canViewSubmissionStats(req.user, batchId)) {
       const Submission = require("../models/Submission");
 
       const assignmentIds = assignments.map((a) => a._id);
@@ -230,6 +221,14 @@ exports.getAssignment = async (req, res) => {
       });
     }
 
+    // Drafts are only visible to the batch's staff
+    if (!assignment.isPublished && !(await canViewSubmissionStats(req.user, assignment.batch._id))) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      });
+    }
+
     // For students, check if they have submitted
     let studentSubmission = null;
     if (req.user.role === "student") {
@@ -242,11 +241,7 @@ exports.getAssignment = async (req, res) => {
 
     // For instructor, get submission statistics
     let submissionStats = null;
-    if (
-      req.user.role === "instructor" ||
-      req.user.role === "admin" ||
-      req.user.role === "superAdmin"
-    ) {
+    if (await canViewSubmissionStats(req.user, assignment.batch._id)) {
       const Submission = require("../models/Submission");
       const submissions = await Submission.find({
         assignment: assignment._id,
@@ -292,18 +287,6 @@ exports.updateAssignment = async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (
-      assignment.createdBy.toString() !== req.user.id &&
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to update this assignment",
-      });
-    }
-
     // Check if assignment can be updated (if submissions exist)
     if (assignment.submissionCount > 0) {
       // Restrict certain updates
@@ -367,18 +350,6 @@ exports.deleteAssignment = async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (
-      assignment.createdBy.toString() !== req.user.id &&
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to delete this assignment",
-      });
-    }
-
     // Check if submissions exist
     if (assignment.submissionCount > 0) {
       return res.status(400).json({
@@ -388,6 +359,7 @@ exports.deleteAssignment = async (req, res) => {
     }
 
     await assignment.deleteOne();
+    await Course.unlinkFromCurriculum(assignment.course, "assignments", assignment._id);
 
     res.status(200).json({
       success: true,
@@ -415,18 +387,6 @@ exports.togglePublish = async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (
-      assignment.createdBy.toString() !== req.user.id &&
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to publish/unpublish this assignment",
-      });
-    }
-
     assignment.isPublished = !assignment.isPublished;
     assignment.updatedBy = req.user.id;
     await assignment.save();
@@ -466,19 +426,6 @@ exports.getAssignmentSubmissions = async (req, res) => {
       });
     }
 
-    // Check authorization
-    const batch = await Batch.findById(assignment.batch);
-    if (
-      batch.instructor.toString() !== req.user.id &&
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view submissions for this assignment",
-      });
-    }
-
     // Build query
     const query = { assignment: id };
 
@@ -537,13 +484,14 @@ async function sendAssignmentNotification(assignment, batch, action) {
       batch: assignment.batch,
       enrollmentStatus: "active",
     }).populate("student", "name email");
+    const branding = await getBranding(batch.organization);
 
     const actionTemplates = {
       created: {
         subject: `New Assignment: ${assignment.title}`,
         template: (student) => `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #4F46E5;">New Assignment Posted</h2>
+            <h2 style="color: ${branding.primaryColor};">New Assignment Posted</h2>
             <p>Hello ${student.name},</p>
             <p>A new assignment has been posted for your batch <strong>${batch.name}</strong>.</p>
             <p><strong>Assignment Details:</strong></p>
@@ -553,12 +501,12 @@ async function sendAssignmentNotification(assignment, batch, action) {
               <li><strong>Maximum Marks:</strong> ${assignment.maxMarks}</li>
               ${assignment.passingMarks ? `<li><strong>Passing Marks:</strong> ${assignment.passingMarks}</li>` : ""}
             </ul>
-            <a href="${process.env.FRONTEND_URL}/assignments/${assignment._id}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+            <a href="${process.env.FRONTEND_URL}/assignments/${assignment._id}" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
               View Assignment
             </a>
             <p>Please submit your assignment before the deadline.</p>
             <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-            <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
+            <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
           </div>
         `,
       },
@@ -566,7 +514,7 @@ async function sendAssignmentNotification(assignment, batch, action) {
         subject: `Assignment Now Available: ${assignment.title}`,
         template: (student) => `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #4F46E5;">Assignment Now Available</h2>
+            <h2 style="color: ${branding.primaryColor};">Assignment Now Available</h2>
             <p>Hello ${student.name},</p>
             <p>An assignment has been published for your batch <strong>${batch.name}</strong>.</p>
             <p><strong>Assignment Details:</strong></p>
@@ -576,11 +524,11 @@ async function sendAssignmentNotification(assignment, batch, action) {
               <li><strong>Deadline:</strong> ${new Date(assignment.deadline).toLocaleString()}</li>
               <li><strong>Maximum Marks:</strong> ${assignment.maxMarks}</li>
             </ul>
-            <a href="${process.env.FRONTEND_URL}/assignments/${assignment._id}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+            <a href="${process.env.FRONTEND_URL}/assignments/${assignment._id}" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
               View Assignment
             </a>
             <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-            <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
+            <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
           </div>
         `,
       },
@@ -588,7 +536,7 @@ async function sendAssignmentNotification(assignment, batch, action) {
         subject: `Assignment Updated: ${assignment.title}`,
         template: (student) => `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #4F46E5;">Assignment Updated</h2>
+            <h2 style="color: ${branding.primaryColor};">Assignment Updated</h2>
             <p>Hello ${student.name},</p>
             <p>An assignment for your batch <strong>${batch.name}</strong> has been updated.</p>
             <p><strong>Updated Details:</strong></p>
@@ -597,11 +545,11 @@ async function sendAssignmentNotification(assignment, batch, action) {
               <li><strong>New Deadline:</strong> ${new Date(assignment.deadline).toLocaleString()}</li>
               ${assignment.allowLateSubmission ? `<li><strong>Late Submission:</strong> Allowed until ${new Date(assignment.lateSubmissionDeadline).toLocaleString()}</li>` : ""}
             </ul>
-            <a href="${process.env.FRONTEND_URL}/assignments/${assignment._id}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+            <a href="${process.env.FRONTEND_URL}/assignments/${assignment._id}" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
               View Updated Assignment
             </a>
             <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-            <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
+            <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
           </div>
         `,
       },
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { toCsv } = require('../utils/csv');
+
+const MAX_EXPORT_ROWS = 50000;
+
+// Build a query from the supported filters
+const buildAuditQuery = (filters) => {
+  const { actor, impersonatedUser, action, targetType, targetId, requestId, from, to } = filters;
+  const query = {};
+
+  if (actor) {
+    if (!mongoose.Types.ObjectId.isValid(actor)) {
+      throw new Error('Invalid actor id');
+    }
+    query.actor = actor;
+  }
+
+  if (impersonatedUser) {
+    if (!mongoose.Types.ObjectId.isValid(impersonatedUser)) {
+      throw new Error('Invalid impersonated user id');
+    }
+    query.impersonatedUser = impersonatedUser;
+  }
+
+  if (action) {
+    // "course.*" matches every course action
+    query.action = action.endsWith('.*')
+      ? { $regex: `^${action.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` }
+      : action;
+  }
+
+  if (targetType) {
+    query.targetType = targetType;
+  }
+
+  if (targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw new Error('Invalid target id');
+    }
+    query.targetId = targetId;
+  }
+
+  if (requestId) {
+    query.requestId = requestId;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+
+    if (Object.values(query.createdAt).some((date) => isNaN(date))) {
+      throw new Error('Invalid date range');
+    }
+  }
+
+  return query;
+};
+
+// @desc    Get audit log entries
+// @route   GET /api/v1/audit-logs
+// @access  Private/SuperAdmin
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+    let query;
+    try {
+      query = buildAuditQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('actor', 'name email role')
+      .populate('impersonatedUser', 'name email role');
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      data: logs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Export audit log entries as CSV
+// @route   GET /api/v1/audit-logs/export
+// @access  Private/SuperAdmin
+exports.exportAuditLogs = async (req, res) => {
+  try {
+    let query;
+    try {
+      query = buildAuditQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const csv = toCsv([
+      { header: 'Timestamp', value: (log) => log.createdAt },
+      { header: 'Actor ID', value: (log) => log.actor },
+      { header: 'Actor Email', value: (log) => log.actorEmail },
+      { header: 'Actor Role', value: (log) => log.actorRole },
+      { header: 'Impersonated User', value: (log) => log.impersonatedUser },
+      { header: 'Action', value: (log) => log.action },
+      { header: 'Target Type', value: (log) => log.targetType },
+      { header: 'Target ID', value: (log) => log.targetId },
+      { header: 'Before', value: (log) => log.changes && log.changes.before },
+      { header: 'After', value: (log) => log.changes && log.changes.after },
+      { header: 'Metadata', value: (log) => log.metadata },
+      { header: 'IP', value: (log) => log.ip },
+      { header: 'User Agent', value: (log) => log.userAgent },
+      { header: 'Request ID', value: (log) => log.requestId }
+    ], logs);
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(csv);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,15 +1,74 @@
 const crypto = require("crypto");
 const User = require("../models/User");
-const { generateToken } = require("../utils/tokenService");
-const { sendPasswordResetEmail, sendWelcomeEmail } = require("../utils/emailService");
+const RefreshToken = require("../models/RefreshToken");
+const AuthAttempt = require("../models/AuthAttempt");
+const Organization = require("../models/Organization");
+const cloudinary = require("../config/cloudinary");
+const privacyService = require("../services/PrivacyService");
+const oidcService = require("../services/OidcService");
+const { getOidcProviders, getOidcProvider } = require("../config/oidc");
+const { recordAudit } = require("../utils/auditLogger");
+const { createZip } = require("../utils/zip");
+const {
+  getPasswordPolicy,
+  validatePassword,
+  isPasswordExpired,
+} = require("../utils/passwordPolicy");
+const {
+  createSession,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  generateAccountUnlockToken,
+  verifyAccountUnlockToken,
+} = require("../utils/tokenService");
+const {
+  generateSecret,
+  getOtpAuthUrl,
+  verifyTotp,
+  generateBackupCodes,
+  hashBackupCode,
+  isTwoFactorRequired,
+} = require("../utils/twoFactorService");
+const {
+  sendPasswordResetEmail,
+  sendWelcomeEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendNewDeviceLoginEmail,
+} = require("../utils/emailService");
 
 // @desc    Register a new user (Only student registration allowed publicly)
 // @route   POST /api/v1/auth/register
 // @access  Public
+// Pass `organization` (slug) to join an organization that allows self registration.
 exports.register = async (req, res) => {
   try {
     const { name, email, password } = req.body;
 
+    let organization = null;
+    if (req.body.organization) {
+      organization = await Organization.findOne({
+        slug: String(req.body.organization).toLowerCase(),
+        isActive: true,
+      });
+
+      if (!organization) {
+        return res.status(400).json({
+          success: false,
+          message: "Organization not found",
+        });
+      }
+
+      if (!organization.allowSelfRegistration) {
+        return res.status(403).json({
+          success: false,
+          message: "This organization only accepts invited users",
+        });
+      }
+    }
+
     // Check if user exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -19,28 +78,39 @@ exports.register = async (req, res) => {
       });
     }
 
+    const passwordErrors = await validatePassword(password, { email: String(email || "").toLowerCase() });
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
     // Only allow student registration from public route
     const user = await User.create({
       name,
       email,
       password,
       role: "student", // Force student role for public registration
+      organization: organization ? organization._id : undefined,
     });
 
     // Send welcome email
     await sendWelcomeEmail(user);
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    // Send email verification link
+    await sendVerificationLink(user);
+
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
       },
     });
   } catch (error) {
@@ -66,32 +136,219 @@ exports.login = async (req, res) => {
       });
     }
 
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    // Progressive delay after repeated failures from this IP or on this account
+    const retryAfter = await getLoginRetryDelay(req, normalizedEmail);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Please try again in ${retryAfter} seconds`,
+      });
+    }
+
     // Check for user
-    const user = await User.findOne({ email }).select("+password");
+    const user = await User.findOne({ email: normalizedEmail }).select("+password");
+
+    if (!user || !user.isActive || !(await user.isOrganizationActive())) {
+      await AuthAttempt.record(req, {
+        action: "login",
+        email: normalizedEmail,
+        user: user?._id,
+        reason: user ? "account_inactive" : "unknown_user",
+      });
 
-    if (!user || !user.isActive) {
       return res.status(401).json({
         success: false,
         message: "Invalid credentials or account is inactive",
       });
     }
 
+    if (user.isLocked) {
+      await AuthAttempt.record(req, {
+        action: "login",
+        email: normalizedEmail,
+        user: user._id,
+        reason: "account_locked",
+      });
+
+      return res.status(423).json({
+        success: false,
+        message:
+          "Account is temporarily locked due to repeated failed logins. Check your email to unlock it or try again later.",
+      });
+    }
+
     // Check if password matches
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
+      await AuthAttempt.record(req, {
+        action: "login",
+        email: normalizedEmail,
+        user: user._id,
+        reason: "invalid_password",
+      });
+      await handleFailedLogin(user);
+
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id, user.role);
+    // Accounts with 2FA finish login at /2fa/login with a TOTP code, the
+    // successful login is only recorded there
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user),
+      });
+    }
+
+    await recordSuccessfulLogin(req, user);
+    await user.resetLoginAttempts();
+
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      twoFactorSetupRequired: isTwoFactorRequired(user.role),
+      passwordExpired: isPasswordExpired(user),
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    List single sign-on providers
+// @route   GET /api/v1/auth/oidc/providers
+// @access  Public
+exports.getOidcProviders = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getOidcProviders().map((provider) => ({
+      id: provider.id,
+      name: provider.name || provider.id,
+    })),
+  });
+};
+
+// @desc    Start single sign-on, returns the identity provider URL to redirect to
+//          and a browser token the frontend keeps and sends back with the callback
+// @route   GET /api/v1/auth/oidc/:provider/login
+// @access  Public
+exports.startOidcLogin = async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown identity provider",
+      });
+    }
+
+    const { authorizationUrl, browserToken } = await oidcService.createAuthorizationUrl(provider);
+
+    res.status(200).json({
+      success: true,
+      authorizationUrl,
+      browserToken,
+    });
+  } catch (error) {
+    res.status(502).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Finish single sign-on with the code sent back by the identity provider
+// @route   POST /api/v1/auth/oidc/:provider/callback
+// @access  Public
+exports.oidcCallback = async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    const { code, state, browserToken, error, error_description: errorDescription } = req.body;
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown identity provider",
+      });
+    }
+
+    if (error || !code || !state || !browserToken) {
+      return res.status(400).json({
+        success: false,
+        message: errorDescription || error || "Please provide the code, state and browser token",
+      });
+    }
+
+    let user;
+    try {
+      const claims = await oidcService.completeLogin(provider, { code, state, browserToken });
+      user = await oidcService.findOrProvisionUser(provider, claims);
+    } catch (oidcError) {
+      await AuthAttempt.record(req, {
+        action: "login",
+        reason: `oidc_failed:${provider.id}`,
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: oidcError.message,
+      });
+    }
+
+    if (!user.isActive || !(await user.isOrganizationActive())) {
+      await AuthAttempt.record(req, {
+        action: "login",
+        email: user.email,
+        user: user._id,
+        reason: "account_inactive",
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials or account is inactive",
+      });
+    }
+
+    // 2FA enrolled on this platform still applies
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user),
+      });
+    }
+
+    await recordSuccessfulLogin(req, user);
+
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
+      twoFactorSetupRequired: isTwoFactorRequired(user.role),
       user: {
         id: user._id,
         name: user.name,
@@ -107,14 +364,120 @@ exports.login = async (req, res) => {
   }
 };
 
+// @desc    Start linking single sign-on to the signed-in account, returns the
+//          identity provider URL and a browser token as for a login
+// @route   GET /api/v1/auth/oidc/:provider/link
+// @access  Private
+exports.startOidcLink = async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown identity provider",
+      });
+    }
+
+    const { authorizationUrl, browserToken } = await oidcService.createAuthorizationUrl(provider, req.user);
+
+    res.status(200).json({
+      success: true,
+      authorizationUrl,
+      browserToken,
+    });
+  } catch (error) {
+    res.status(502).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Link single sign-on to the signed-in account with the code sent back by the identity provider
+// @route   POST /api/v1/auth/oidc/:provider/link
+// @access  Private
+exports.linkOidcIdentity = async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    const { code, state, browserToken, error, error_description: errorDescription } = req.body;
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown identity provider",
+      });
+    }
+
+    if (error || !code || !state || !browserToken) {
+      return res.status(400).json({
+        success: false,
+        message: errorDescription || error || "Please provide the code, state and browser token",
+      });
+    }
+
+    let user;
+    try {
+      const claims = await oidcService.completeLogin(provider, { code, state, browserToken }, req.user);
+      user = await oidcService.linkIdentity(provider, await User.findById(req.user.id), claims);
+    } catch (oidcError) {
+      return res.status(400).json({
+        success: false,
+        message: oidcError.message,
+      });
+    }
+
+    await recordAudit(req, {
+      action: "user.oidc_link",
+      targetType: "User",
+      targetId: user._id,
+      metadata: { provider: provider.id },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Your account is now linked to ${provider.name || provider.id}`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Forgot password
 // @route   POST /api/v1/auth/forgot-password
 // @access  Public
 exports.forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
+    const normalizedEmail = String(email || "").toLowerCase().trim();
+
+    // Throttle reset requests per IP and per email
+    const [ipRequests, emailRequests] = await Promise.all([
+      AuthAttempt.countRecent({ ip: req.ip, action: "forgot_password" }, 60),
+      AuthAttempt.countRecent({ email: normalizedEmail, action: "forgot_password" }, 60),
+    ]);
+
+    if (
+      ipRequests >= parseInt(process.env.PASSWORD_RESET_MAX_PER_IP_HOUR || 20) ||
+      emailRequests >= parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL_HOUR || 3)
+    ) {
+      return res.status(429).json({
+        success: false,
+        message: "Too many password reset requests. Please try again later.",
+      });
+    }
 
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email: normalizedEmail });
+
+    await AuthAttempt.record(req, {
+      action: "forgot_password",
+      email: normalizedEmail,
+      user: user?._id,
+      success: !!user,
+    });
 
     if (!user) {
       return res.status(404).json({
@@ -168,7 +531,7 @@ exports.resetPassword = async (req, res) => {
     const user = await User.findOne({
       passwordResetToken: hashedToken,
       passwordResetExpires: { $gt: Date.now() },
-    });
+    }).select("+password +passwordHistory");
 
     if (!user) {
       return res.status(400).json({
@@ -177,18 +540,27 @@ exports.resetPassword = async (req, res) => {
       });
     }
 
+    const passwordErrors = await validatePassword(password, user);
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
     // Set new password
     user.password = password;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
     await user.save();
 
-    // Generate new token
-    const token = generateToken(user._id, user.role);
+    // Kill every existing session, then start a fresh one
+    await RefreshToken.revokeAllForUser(user._id, "password_changed");
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -209,11 +581,111 @@ exports.resetPassword = async (req, res) => {
 // @access  Private
 exports.getMe = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select("-__v");
+    const user = await User.findById(req.user.id)
+      .select("-__v")
+      .populate("organization", "name slug branding");
 
     res.status(200).json({
       success: true,
       user,
+      // Lets the client show an impersonation banner
+      impersonatedBy: req.impersonator
+        ? { id: req.impersonator._id, name: req.impersonator.name, email: req.impersonator.email }
+        : undefined,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Download all personal data held about the current user
+// @route   GET /api/v1/auth/me/export?format=json|zip
+// @access  Private
+exports.exportMyData = async (req, res) => {
+  try {
+    const format = req.query.format || "json";
+
+    if (!["json", "zip"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be json or zip",
+      });
+    }
+
+    const data = await privacyService.collectPersonalData(req.user._id);
+
+    await recordAudit(req, {
+      action: "user.export",
+      targetType: "User",
+      targetId: req.user._id,
+      metadata: { format },
+    });
+
+    const filename = `personal-data-${req.user._id}-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === "zip") {
+      // One JSON file per section
+      const archive = createZip(
+        Object.entries(data).map(([section, content]) => ({
+          name: `${section}.json`,
+          content: JSON.stringify(content, null, 2),
+        })),
+      );
+
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.zip"`);
+      return res.status(200).send(archive);
+    }
+
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.json"`);
+    res.status(200).send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Erase the current user's account (anonymize personal data)
+// @route   DELETE /api/v1/auth/me
+// @access  Private
+// Payment records are retained for legal reasons.
+exports.eraseMyAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+password");
+
+    if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    if (user.role === "superAdmin") {
+      return res.status(403).json({
+        success: false,
+        message: "Super admin accounts cannot be erased",
+      });
+    }
+
+    const summary = await privacyService.eraseUser(user);
+
+    await recordAudit(req, {
+      action: "user.erase",
+      targetType: "User",
+      targetId: user._id,
+      metadata: summary,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Your account and personal data have been erased",
+      data: summary,
     });
   } catch (error) {
     res.status(500).json({
@@ -234,49 +706,69 @@ exports.updateDetails = async (req, res) => {
       email: req.body.email,
     };
 
+    // Profile fields are set one by one so the avatar (and anything not sent) is kept
+    const profile = req.body.profile || {};
+    for (const field of User.EDITABLE_PROFILE_FIELDS) {
+      if (profile[field] !== undefined) {
+        fieldsToUpdate[`profile.${field}`] = profile[field];
+      }
+    }
+
+    // A new email address has to be verified again
+    const emailChanged = req.body.email && req.body.email.toLowerCase() !== req.user.email;
+    if (emailChanged) {
+      fieldsToUpdate.emailVerified = false;
+    }
+
     const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
       new: true,
       runValidators: true,
     });
 
+    if (emailChanged) {
+      await sendVerificationLink(user);
+    }
+
     res.status(200).json({
       success: true,
       user,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
       success: false,
       message: error.message,
     });
   }
 };
 
-// @desc    Update password
-// @route   PUT /api/v1/auth/update-password
+// @desc    Upload profile picture
+// @route   PUT /api/v1/auth/avatar
 // @access  Private
-exports.updatePassword = async (req, res) => {
+exports.updateAvatar = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select("+password");
-
-    // Check current password
-    const isMatch = await user.comparePassword(req.body.currentPassword);
-
-    if (!isMatch) {
-      return res.status(401).json({
+    if (!req.file) {
+      return res.status(400).json({
         success: false,
-        message: "Current password is incorrect",
+        message: "Please upload an image",
       });
     }
 
-    user.password = req.body.newPassword;
-    await user.save();
+    const user = await User.findById(req.user.id);
 
-    // Generate new token
-    const token = generateToken(user._id, user.role);
+    // Delete old avatar from Cloudinary
+    if (user.profile.avatar && user.profile.avatar.public_id) {
+      await cloudinary.uploader.destroy(user.profile.avatar.public_id);
+    }
+
+    user.profile.avatar = {
+      url: req.file.path,
+      public_id: req.file.filename,
+    };
+    await user.save({ validateBeforeSave: false });
 
     res.status(200).json({
       success: true,
-      token,
+      data: user.profile.avatar,
     });
   } catch (error) {
     res.status(500).json({
@@ -285,3 +777,798 @@ exports.updatePassword = async (req, res) => {
     });
   }
 };
+
+// @desc    Remove profile picture
+// @route   DELETE /api/v1/auth/avatar
+// @access  Private
+exports.deleteAvatar = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.profile.avatar && user.profile.avatar.public_id) {
+      await cloudinary.uploader.destroy(user.profile.avatar.public_id);
+    }
+
+    user.profile.avatar = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Avatar removed",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update password
+// @route   PUT /api/v1/auth/update-password
+// @access  Private
+exports.updatePassword = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+password +passwordHistory");
+
+    // Check current password
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    const passwordErrors = await validatePassword(req.body.newPassword, user);
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyErrors(res, passwordErrors);
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    // Kill every existing session, then start a fresh one for this device
+    await RefreshToken.revokeAllForUser(user._id, "password_changed");
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Rotate refresh token and issue a new access token
+// @route   POST /api/v1/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a refresh token",
+      });
+    }
+
+    const tokenHash = RefreshToken.hashToken(refreshToken);
+
+    // Claim the token before issuing a new one, so it can only be rotated once
+    const existing = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+      { $set: { revokedAt: new Date(), revokedReason: "rotated" } },
+    );
+
+    if (!existing) {
+      const token = await RefreshToken.findOne({ tokenHash });
+
+      if (!token) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid refresh token",
+        });
+      }
+
+      // A rotated token being presented again means it was stolen: kill the family
+      if (token.revokedAt) {
+        if (token.revokedReason === "rotated") {
+          await RefreshToken.revokeFamily(token.family, "reuse_detected");
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: "Refresh token has been revoked, please login again",
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token has expired, please login again",
+      });
+    }
+
+    const user = await User.findById(existing.user);
+
+    if (!user || !user.isActive || !(await user.isOrganizationActive())) {
+      await RefreshToken.revokeFamily(existing.family, "account_deactivated");
+
+      return res.status(401).json({
+        success: false,
+        message: "User not found or account is inactive",
+      });
+    }
+
+    // Rotate within the same family
+    const { token, refreshToken: newRefreshToken, refreshTokenDoc } = await createSession(
+      user,
+      req,
+      existing.family,
+    );
+
+    await RefreshToken.updateOne(
+      { _id: existing._id },
+      { $set: { replacedByHash: refreshTokenDoc.tokenHash } },
+    );
+
+    // Reuse detected while this rotation was running: the new token goes too
+    if (await RefreshToken.exists({ family: existing.family, revokedReason: "reuse_detected" })) {
+      await RefreshToken.revokeFamily(existing.family, "reuse_detected");
+
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token has been revoked, please login again",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken: newRefreshToken,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Logout current session
+// @route   POST /api/v1/auth/logout
+// @access  Private
+exports.logout = async (req, res) => {
+  try {
+    await RefreshToken.revokeFamily(req.sessionId, "logout");
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Logout from all sessions
+// @route   POST /api/v1/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+  try {
+    const result = await RefreshToken.revokeAllForUser(req.user.id, "logout_all");
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out from all devices",
+      data: {
+        revokedCount: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    List devices with an active session
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await RefreshToken.listActiveSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Sign out a device
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    // Only families owned by the current user
+    const owned = await RefreshToken.exists({ family: req.params.id, user: req.user._id });
+
+    if (!owned) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    const result = await RefreshToken.revokeFamily(req.params.id, "session_revoked");
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+      data: {
+        current: req.params.id === req.sessionId,
+        revokedCount: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get recent sign-in attempts on the current account
+// @route   GET /api/v1/auth/login-history
+// @access  Private
+exports.getLoginHistory = async (req, res) => {
+  try {
+    const { limit = 50, page = 1 } = req.query;
+    const query = { user: req.user._id, action: { $in: ["login", "two_factor"] } };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const attempts = await AuthAttempt.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select("action ip userAgent success reason createdAt");
+
+    const total = await AuthAttempt.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: attempts.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: attempts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Verify email address
+// @route   GET /api/v1/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(req.params.token);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification link is invalid or has expired",
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    // Links are bound to the address they were sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification link is invalid or has expired",
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Resend email verification link
+// @route   POST /api/v1/auth/resend-verification
+// @access  Private
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
+
+    // Throttle resends
+    const intervalMinutes = parseInt(process.env.EMAIL_VERIFICATION_RESEND_MINUTES || 5);
+    if (
+      user.emailVerificationSentAt &&
+      Date.now() - user.emailVerificationSentAt.getTime() < intervalMinutes * 60 * 1000
+    ) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${intervalMinutes} minutes before requesting another verification email`,
+      });
+    }
+
+    await sendVerificationLink(user);
+
+    res.status(200).json({
+      success: true,
+      message: "Verification email sent successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Complete login with a TOTP or backup code
+// @route   POST /api/v1/auth/2fa/login
+// @access  Public
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the challenge token and a verification code",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is invalid or has expired, please login again",
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(
+      "+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep",
+    );
+
+    if (!user || !user.isActive || !user.twoFactorEnabled || !(await user.isOrganizationActive())) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials or account is inactive",
+      });
+    }
+
+    const retryAfter = await getLoginRetryDelay(req, user.email);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Please try again in ${retryAfter} seconds`,
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message:
+          "Account is temporarily locked due to repeated failed logins. Check your email to unlock it or try again later.",
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(code, backupCode))) {
+      await AuthAttempt.record(req, {
+        action: "two_factor",
+        email: user.email,
+        user: user._id,
+        reason: "invalid_code",
+      });
+      await handleFailedLogin(user);
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    await AuthAttempt.record(req, {
+      action: "two_factor",
+      email: user.email,
+      user: user._id,
+      success: true,
+    });
+    await recordSuccessfulLogin(req, user);
+
+    // The used code/backup code is already stored, this resets the counters
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      backupCodesRemaining: user.twoFactorBackupCodes.length,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Start 2FA enrollment (returns secret and otpauth URL for the QR code)
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    // Secret stays inactive until confirmed with a valid code
+    const secret = generateSecret();
+    user.twoFactorSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: getOtpAuthUrl(secret, user.email),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Confirm 2FA enrollment with a TOTP code
+// @route   POST /api/v1/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+twoFactorSecret");
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Please start two-factor setup first",
+      });
+    }
+
+    const step = verifyTotp(user.twoFactorSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    const backupCodes = generateBackupCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorBackupCodes = backupCodes.map(hashBackupCode);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled. Store your backup codes safely.",
+      data: {
+        backupCodes,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    const user = await User.findById(req.user.id).select(
+      "+password +twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep",
+    );
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is mandatory for role ${user.role}`,
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(code, backupCode))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorBackupCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Regenerate 2FA backup codes
+// @route   POST /api/v1/auth/2fa/backup-codes
+// @access  Private
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      "+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep",
+    );
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+      });
+    }
+
+    const backupCodes = generateBackupCodes();
+    user.twoFactorBackupCodes = backupCodes.map(hashBackupCode);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        backupCodes,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Unlock an account from the emailed link
+// @route   GET /api/v1/auth/unlock-account/:token
+// @access  Public
+exports.unlockAccount = async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyAccountUnlockToken(req.params.token);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Unlock link is invalid or has expired",
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Unlock link is invalid or has expired",
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    res.status(200).json({
+      success: true,
+      message: "Account unlocked successfully. You can now login.",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get the password requirements (for signup and change forms)
+// @route   GET /api/v1/auth/password-policy
+// @access  Public
+exports.getPasswordPolicy = async (req, res) => {
+  const { maxAgeRoles, ...policy } = getPasswordPolicy();
+
+  res.status(200).json({
+    success: true,
+    data: policy,
+  });
+};
+
+// Helper functions
+
+function sendPasswordPolicyErrors(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: "Password does not meet the requirements",
+    errors,
+  });
+}
+
+async function getLoginRetryDelay(req, email) {
+  const actions = { $in: ["login", "two_factor"] };
+
+  const [ipDelay, accountDelay] = await Promise.all([
+    AuthAttempt.getRetryDelay(
+      { ip: req.ip, action: actions },
+      parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS || 10),
+    ),
+    AuthAttempt.getRetryDelay(
+      { email, action: actions },
+      parseInt(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS || 3),
+    ),
+  ]);
+
+  return Math.max(ipDelay, accountDelay);
+}
+
+async function handleFailedLogin(user) {
+  const justLocked = await user.registerFailedLogin();
+
+  if (justLocked) {
+    try {
+      await sendAccountLockedEmail(
+        user,
+        generateAccountUnlockToken(user),
+        parseInt(process.env.LOGIN_LOCK_MINUTES || 15),
+      );
+    } catch (error) {
+      console.error("Error sending account locked email:", error);
+    }
+  }
+}
+
+// Record a completed login and warn about logins from a new device
+async function recordSuccessfulLogin(req, user) {
+  // Checked before this login is recorded
+  const deviceHistory = await AuthAttempt.getDeviceHistory(user._id, req.headers["user-agent"]);
+
+  await AuthAttempt.record(req, {
+    action: "login",
+    email: user.email,
+    user: user._id,
+    success: true,
+  });
+
+  if (deviceHistory.hasPreviousLogin && !deviceHistory.isKnownDevice) {
+    await notifyNewDeviceLogin(req, user);
+  }
+}
+
+async function notifyNewDeviceLogin(req, user) {
+  try {
+    await sendNewDeviceLoginEmail(user, {
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+      time: new Date(),
+    });
+  } catch (error) {
+    console.error("Error sending new device login email:", error);
+  }
+}
+
+async function sendVerificationLink(user) {
+  const verificationToken = generateEmailVerificationToken(user);
+  await sendVerificationEmail(user, verificationToken);
+
+  user.emailVerificationSentAt = new Date();
+  await user.save({ validateBeforeSave: false });
+}
@@ -1,15 +1,41 @@
+const mongoose = require('mongoose');
 const Batch = require('../models/Batch');
 const Course = require('../models/Course');
 const User = require('../models/User');
+const BatchContentService = require('../services/BatchContentService');
+const { organizationFilter, isSameOrganization } = require('../utils/organizationScope');
+
+// Check a user or course belongs to the given organization
+const inOrganization = (doc, organization) => {
+  return String(doc.organization || '') === String(organization || '');
+};
+
+// Check co-instructors and assistants belong to the batch's organization (their
+// roles are checked by the Batch schema), returns an error message
+const validateBatchStaff = async ({ coInstructors, assistants }, organization) => {
+  const ids = [...(coInstructors || []), ...(assistants || [])];
+  if (ids.length === 0) return null;
+  
+  const count = await User.countDocuments({ _id: { $in: ids }, organization: organization || null });
+  if (count !== new Set(ids.map(String)).size) {
+    return 'Co-instructors and assistants must belong to the batch\'s organization';
+  }
+  
+  return null;
+};
 
 // @desc    Create new batch
 // @route   POST /api/v1/batches
 // @access  Private/Admin
+// Pass cloneFrom: "course" (curriculum templates) or a previous batch id to
+// start with a copy of its materials and assignments.
 exports.createBatch = async (req, res) => {
   try {
+    const { cloneFrom, ...body } = req.body;
+    
     // Check if course exists
     const course = await Course.findById(req.body.course);
-    if (!course) {
+    if (!course || !isSameOrganization(req.user, course)) {
       return res.status(404).json({
         success: false,
         message: 'Course not found'
@@ -18,26 +44,64 @@ exports.createBatch = async (req, res) => {
     
     // Check if instructor exists and is actually an instructor
     const instructor = await User.findById(req.body.instructor);
-    if (!instructor || instructor.role !== 'instructor') {
+    if (!instructor || instructor.role !== 'instructor' || !inOrganization(instructor, course.organization)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid instructor selected'
       });
     }
     
+    const staffError = await validateBatchStaff(req.body, course.organization);
+    if (staffError) {
+      return res.status(400).json({
+        success: false,
+        message: staffError
+      });
+    }
+    
+    let cloneSource = null;
+    if (cloneFrom === 'course') {
+      cloneSource = 'course';
+    } else if (cloneFrom) {
+      cloneSource = mongoose.Types.ObjectId.isValid(cloneFrom) && (await Batch.findById(cloneFrom));
+      if (!cloneSource || cloneSource.course.toString() !== course._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Content can only be copied from a batch of the same course'
+        });
+      }
+    }
+    
     const batchData = {
-      ...req.body,
+      ...body,
+      organization: course.organization,
       createdBy: req.user.id
     };
     
     const batch = await Batch.create(batchData);
     
+    let cloned = null;
+    if (cloneSource) {
+      try {
+        cloned = await BatchContentService.cloneContent(batch, {
+          source: cloneSource,
+          course,
+          user: req.user
+        });
+      } catch (error) {
+        // No half-filled batch
+        await batch.deleteOne();
+        throw error;
+      }
+    }
+    
     res.status(201).json({
       success: true,
-      data: batch
+      data: batch,
+      ...(cloned && { cloned })
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: error.message
     });
@@ -55,9 +119,9 @@ exports.getBatches = async (req, res) => {
     if (req.user.role === 'admin' || req.user.role === 'superAdmin') {
       query = Batch.find().populate('course instructor');
     } 
-    // Instructor can see only their batches
-    else if (req.user.role === 'instructor') {
-      query = Batch.find({ instructor: req.user.id }).populate('course instructor');
+    // Instructors and assistants can see only batches they are attached to
+    else if (req.user.role === 'instructor' || req.user.role === 'teachingAssistant') {
+      query = Batch.find(Batch.staffFilter(req.user.id)).populate('course instructor');
     }
     // Student can see active, non-full batches
     else if (req.user.role === 'student') {
@@ -68,6 +132,9 @@ exports.getBatches = async (req, res) => {
       }).populate('course instructor');
     }
     
+    // Own organization (superAdmin: all, or ?organization=)
+    query.find(organizationFilter(req));
+    
     // Filter by course if provided
     if (req.query.course) {
       query.find({ course: req.query.course });
@@ -106,7 +173,8 @@ exports.getBatches = async (req, res) => {
 exports.getBatch = async (req, res) => {
   try {
     const batch = await Batch.findById(req.params.id)
-      .populate('course instructor');
+      .populate('course instructor')
+      .populate('coInstructors assistants', 'name email');
     
     if (!batch) {
       return res.status(404).json({
@@ -115,7 +183,7 @@ exports.getBatch = async (req, res) => {
       });
     }
     
-    // Authorization checks
+    // Students only see batches open for enrollment
     if (req.user.role === 'student' && (!batch.isActive || batch.isFull)) {
       return res.status(403).json({
         success: false,
@@ -123,13 +191,6 @@ exports.getBatch = async (req, res) => {
       });
     }
     
-    if (req.user.role === 'instructor' && batch.instructor._id.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to access this batch'
-      });
-    }
-    
     res.status(200).json({
       success: true,
       data: batch
@@ -156,10 +217,23 @@ exports.updateBatch = async (req, res) => {
       });
     }
     
+    // Batches stay in their organization
+    delete req.body.organization;
+    
+    if (req.body.course && req.body.course !== batch.course.toString()) {
+      const course = await Course.findById(req.body.course);
+      if (!course || !inOrganization(course, batch.organization)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Course not found'
+        });
+      }
+    }
+    
     // Check if trying to update instructor
     if (req.body.instructor && req.body.instructor !== batch.instructor.toString()) {
       const instructor = await User.findById(req.body.instructor);
-      if (!instructor || instructor.role !== 'instructor') {
+      if (!instructor || instructor.role !== 'instructor' || !inOrganization(instructor, batch.organization)) {
         return res.status(400).json({
           success: false,
           message: 'Invalid instructor selected'
@@ -167,17 +241,27 @@ exports.updateBatch = async (req, res) => {
       }
     }
     
+    const staffError = await validateBatchStaff(req.body, batch.organization);
+    if (staffError) {
+      return res.status(400).json({
+        success: false,
+        message: staffError
+      });
+    }
+    
     batch = await Batch.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true
-    }).populate('course instructor');
+    })
+      .populate('course instructor')
+      .populate('coInstructors assistants', 'name email');
     
     res.status(200).json({
       success: true,
       data: batch
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: error.message
     });
@@ -265,7 +349,7 @@ exports.getBatchesByCourse = async (req, res) => {
   try {
     const course = await Course.findById(req.params.courseId);
     
-    if (!course) {
+    if (!course || !isSameOrganization(req.user, course)) {
       return res.status(404).json({
         success: false,
         message: 'Course not found'
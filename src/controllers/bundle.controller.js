@@ -0,0 +1,486 @@
+const mongoose = require("mongoose");
+const Bundle = require("../models/Bundle");
+const BundleEnrollment = require("../models/BundleEnrollment");
+const Course = require("../models/Course");
+const Batch = require("../models/Batch");
+const bundleService = require("../services/BundleService");
+const { recordAudit } = require("../utils/auditLogger");
+const {
+  organizationFilter,
+  getCreationOrganization,
+  isSameOrganization,
+} = require("../utils/organizationScope");
+
+// Course fields shown with a bundle
+const COURSE_FIELDS = "title shortDescription fee emiAmount duration durationUnit thumbnail category ratingAverage ratingCount";
+
+// Fields admins set on a bundle
+const BUNDLE_FIELDS = ["title", "description", "shortDescription", "courses", "price", "emiAmount", "thumbnail"];
+
+const pickBundleFields = (body) => {
+  const data = {};
+  for (const field of BUNDLE_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+  return data;
+};
+
+// Bundle with the sum of its course fees and the saving
+const withPricing = (bundle) => {
+  const listPrice = bundle.getListPrice();
+  return {
+    ...bundle.toObject(),
+    listPrice,
+    savings: Math.max(listPrice - bundle.price, 0),
+  };
+};
+
+// Check the courses exist in the bundle's organization and the price is not
+// above their fees, returns an error message
+const validateBundle = async (bundle) => {
+  const ids = bundle.courses.map((id) => id.toString());
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return "Invalid course selected";
+  }
+
+  const courses = await Course.find({ _id: { $in: ids }, organization: bundle.organization || null }).select("fee");
+  if (courses.length !== new Set(ids).size) {
+    return "Invalid course selected";
+  }
+
+  const listPrice = courses.reduce((sum, course) => sum + course.fee, 0);
+  if (bundle.price > listPrice) {
+    return `Bundle price cannot exceed the sum of its course fees (₹${listPrice})`;
+  }
+
+  return null;
+};
+
+// @desc    Create bundle
+// @route   POST /api/v1/bundles
+// @access  Private/Admin
+exports.createBundle = async (req, res) => {
+  try {
+    const organization = await getCreationOrganization(req);
+    if (organization === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Organization not found or inactive",
+      });
+    }
+
+    const bundle = new Bundle({
+      ...pickBundleFields(req.body),
+      organization,
+      createdBy: req.user.id,
+    });
+
+    await bundle.validate();
+    const bundleError = await validateBundle(bundle);
+    if (bundleError) {
+      return res.status(400).json({
+        success: false,
+        message: bundleError,
+      });
+    }
+
+    await bundle.save();
+
+    await recordAudit(req, {
+      action: "bundle.create",
+      targetType: "Bundle",
+      targetId: bundle._id,
+      after: bundle,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: bundle,
+    });
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get published bundles
+// @route   GET /api/v1/bundles
+// @access  Public
+exports.getBundles = async (req, res) => {
+  try {
+    const query = { isPublished: true };
+
+    // Bundles that include a course, e.g. ?course=<id>
+    if (req.query.course) {
+      query.courses = req.query.course;
+    }
+
+    const bundles = await Bundle.find(query)
+      .populate("courses", COURSE_FIELDS)
+      .sort("-createdAt");
+
+    res.status(200).json({
+      success: true,
+      count: bundles.length,
+      data: bundles.map(withPricing),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get all bundles of the organization, published or not
+// @route   GET /api/v1/bundles/manage
+// @access  Private/Admin
+exports.getManagedBundles = async (req, res) => {
+  try {
+    const bundles = await Bundle.find(organizationFilter(req))
+      .populate("courses", COURSE_FIELDS)
+      .sort("-createdAt");
+
+    const enrollmentCounts = await BundleEnrollment.aggregate([
+      { $match: { bundle: { $in: bundles.map((bundle) => bundle._id) }, status: { $ne: "cancelled" } } },
+      { $group: { _id: "$bundle", count: { $sum: 1 } } },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: bundles.length,
+      data: bundles.map((bundle) => {
+        const enrollments = enrollmentCounts.find((entry) => entry._id.equals(bundle._id));
+        return { ...withPricing(bundle), enrollmentCount: enrollments ? enrollments.count : 0 };
+      }),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get single bundle with the upcoming batches of its courses
+// @route   GET /api/v1/bundles/:id
+// @access  Public (if published)
+exports.getBundle = async (req, res) => {
+  try {
+    const bundle = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Bundle.findById(req.params.id).populate("courses", COURSE_FIELDS)
+      : null;
+
+    if (!bundle || !bundle.isPublished) {
+      return res.status(404).json({
+        success: false,
+        message: "Bundle not found",
+      });
+    }
+
+    const batches = await Batch.find({
+      course: { $in: bundle.courses.map((course) => course._id) },
+      isActive: true,
+      isFull: false,
+      startDate: { $gt: new Date() },
+    })
+      .select("name course startDate endDate schedule maxStudents currentStudents")
+      .sort("startDate");
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...withPricing(bundle),
+        batches,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update bundle
+// @route   PUT /api/v1/bundles/:id
+// @access  Private/Admin
+exports.updateBundle = async (req, res) => {
+  try {
+    const bundle = req.resource;
+    const before = bundle.toObject();
+
+    bundle.set(pickBundleFields(req.body));
+
+    await bundle.validate();
+    const bundleError = await validateBundle(bundle);
+    if (bundleError) {
+      return res.status(400).json({
+        success: false,
+        message: bundleError,
+      });
+    }
+
+    await bundle.save();
+
+    await recordAudit(req, {
+      action: "bundle.update",
+      targetType: "Bundle",
+      targetId: bundle._id,
+      before,
+      after: bundle,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: bundle,
+    });
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete bundle (bundles students bought can only be unpublished)
+// @route   DELETE /api/v1/bundles/:id
+// @access  Private/Admin
+exports.deleteBundle = async (req, res) => {
+  try {
+    const bundle = req.resource;
+
+    if (await BundleEnrollment.exists({ bundle: bundle._id })) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot delete a bundle students enrolled in, unpublish it instead",
+      });
+    }
+
+    await bundle.deleteOne();
+
+    await recordAudit(req, {
+      action: "bundle.delete",
+      targetType: "Bundle",
+      targetId: bundle._id,
+      before: bundle,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Bundle deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Publish/Unpublish bundle
+// @route   PUT /api/v1/bundles/:id/publish
+// @access  Private/Admin
+exports.togglePublish = async (req, res) => {
+  try {
+    const bundle = req.resource;
+
+    bundle.isPublished = !bundle.isPublished;
+    await bundle.save();
+
+    await recordAudit(req, {
+      action: bundle.isPublished ? "bundle.publish" : "bundle.unpublish",
+      targetType: "Bundle",
+      targetId: bundle._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Bundle ${bundle.isPublished ? "published" : "unpublished"} successfully`,
+      data: bundle,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Enroll in a bundle, one batch per course, in one checkout
+// @route   POST /api/v1/bundles/:id/enroll
+// @access  Private/Student
+exports.enrollInBundle = async (req, res) => {
+  try {
+    const { batchIds, paymentMethod } = req.body;
+
+    // Check if user is a student
+    if (req.user.role !== "student") {
+      return res.status(403).json({
+        success: false,
+        message: "Only students can enroll in bundles",
+      });
+    }
+
+    // Optionally require a verified email before enrolling
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === "true" && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address before enrolling",
+      });
+    }
+
+    const bundle = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Bundle.findById(req.params.id).populate("courses")
+      : null;
+
+    // Students only enroll within their own organization
+    if (!bundle || !bundle.isPublished || !isSameOrganization(req.user, bundle)) {
+      return res.status(404).json({
+        success: false,
+        message: "Bundle not found",
+      });
+    }
+
+    if (!bundleService.getPaymentPlan(bundle, paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid payment method",
+      });
+    }
+
+    let batches;
+    try {
+      batches = await bundleService.getBatches(req.user, bundle, batchIds);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const { bundleEnrollment, enrollments, order, plan } = await bundleService.checkout(
+      req.user,
+      bundle,
+      batches,
+      paymentMethod,
+    );
+
+    res.status(201).json({
+      success: true,
+      message: order
+        ? "Bundle enrollment created successfully. Please complete payment."
+        : "Bundle enrollment confirmed successfully.",
+      data: {
+        bundleEnrollment,
+        enrollments,
+        payment: order
+          ? {
+            orderId: order.id,
+            amount: plan.firstPaymentAmount,
+            listPrice: plan.listPrice,
+            totalAmount: plan.totalAmount,
+            currency: "INR",
+          }
+          : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get student bundle enrollments
+// @route   GET /api/v1/bundles/my-bundles
+// @access  Private/Student
+exports.getMyBundles = async (req, res) => {
+  try {
+    const bundleEnrollments = await BundleEnrollment.find({ student: req.user.id })
+      .populate("bundle", "title shortDescription thumbnail courses")
+      .sort("-createdAt");
+
+    res.status(200).json({
+      success: true,
+      count: bundleEnrollments.length,
+      data: bundleEnrollments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get progress across the courses of a bundle enrollment
+// @route   GET /api/v1/bundles/enrollments/:id/progress
+// @access  Private (student own bundle, admin all)
+exports.getBundleProgress = async (req, res) => {
+  try {
+    const bundleEnrollment = req.resource;
+    await bundleEnrollment.populate("bundle", "title");
+
+    const progress = await bundleService.getProgress(bundleEnrollment);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bundle: bundleEnrollment.bundle,
+        ...progress,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a bundle enrollment and all of its course enrollments
+// @route   PUT /api/v1/bundles/enrollments/:id/cancel
+// @access  Private/Student
+exports.cancelBundleEnrollment = async (req, res) => {
+  try {
+    const bundleEnrollment = req.resource;
+
+    try {
+      await bundleService.cancel(bundleEnrollment);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await recordAudit(req, {
+      action: "bundle.enrollment.cancel",
+      targetType: "BundleEnrollment",
+      targetId: bundleEnrollment._id,
+      after: { status: bundleEnrollment.status },
+      metadata: {
+        student: bundleEnrollment.student,
+        bundle: bundleEnrollment.bundle,
+        enrollments: bundleEnrollment.enrollments,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Bundle enrollment cancelled successfully",
+      data: bundleEnrollment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,294 @@
+const mongoose = require("mongoose");
+const Coupon = require("../models/Coupon");
+const Course = require("../models/Course");
+const Batch = require("../models/Batch");
+const Enrollment = require("../models/Enrollment");
+const couponService = require("../services/CouponService");
+const enrollmentService = require("../services/EnrollmentService");
+const { recordAudit } = require("../utils/auditLogger");
+const { organizationFilter, getCreationOrganization, isSameOrganization } = require("../utils/organizationScope");
+
+// Fields admins set on a coupon
+const COUPON_FIELDS = [
+  "code",
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscount",
+  "courses",
+  "validFrom",
+  "validUntil",
+  "maxUses",
+  "perUserLimit",
+  "firstNStudents",
+  "isActive",
+];
+
+const pickCouponFields = (body) => {
+  const data = {};
+  for (const field of COUPON_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+  return data;
+};
+
+// Check the restricted courses exist in the coupon's organization, returns an error message
+const validateCourses = async (courses, organization) => {
+  if (!courses || courses.length === 0) return null;
+
+  if (!Array.isArray(courses) || !courses.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return "Invalid course selected";
+  }
+
+  const count = await Course.countDocuments({ _id: { $in: courses }, organization: organization || null });
+  return count === new Set(courses.map(String)).size ? null : "Invalid course selected";
+};
+
+const duplicateCode = (res) => res.status(400).json({
+  success: false,
+  message: "A coupon with this code already exists",
+});
+
+// @desc    Create coupon
+// @route   POST /api/v1/coupons
+// @access  Private/Admin
+exports.createCoupon = async (req, res) => {
+  try {
+    const organization = await getCreationOrganization(req);
+    if (organization === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Organization not found or inactive",
+      });
+    }
+
+    const courseError = await validateCourses(req.body.courses, organization);
+    if (courseError) {
+      return res.status(400).json({
+        success: false,
+        message: courseError,
+      });
+    }
+
+    const coupon = await Coupon.create({
+      ...pickCouponFields(req.body),
+      organization,
+      createdBy: req.user.id,
+    });
+
+    await recordAudit(req, {
+      action: "coupon.create",
+      targetType: "Coupon",
+      targetId: coupon._id,
+      after: coupon,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateCode(res);
+    }
+
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get coupons
+// @route   GET /api/v1/coupons
+// @access  Private/Admin
+exports.getCoupons = async (req, res) => {
+  try {
+    const query = { ...organizationFilter(req) };
+
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === "true";
+    }
+    if (req.query.course) {
+      query.$or = [{ courses: req.query.course }, { courses: { $size: 0 } }];
+    }
+
+    const coupons = await Coupon.find(query)
+      .populate("courses", "title")
+      .sort("-createdAt");
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      data: coupons,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get single coupon with its redemptions
+// @route   GET /api/v1/coupons/:id
+// @access  Private/Admin
+exports.getCoupon = async (req, res) => {
+  try {
+    const coupon = await req.resource.populate("courses", "title");
+
+    const redemptions = await Enrollment.find({ coupon: coupon._id })
+      .select("student batch course listPrice discountAmount totalAmount enrollmentStatus paymentStatus enrollmentDate")
+      .populate("student", "name email")
+      .populate("batch", "name")
+      .sort("-enrollmentDate");
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...coupon.toObject(),
+        redemptions,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update coupon
+// @route   PUT /api/v1/coupons/:id
+// @access  Private/Admin
+exports.updateCoupon = async (req, res) => {
+  try {
+    const coupon = req.resource;
+
+    const courseError = await validateCourses(req.body.courses, coupon.organization);
+    if (courseError) {
+      return res.status(400).json({
+        success: false,
+        message: courseError,
+      });
+    }
+
+    const before = coupon.toObject();
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+
+    await recordAudit(req, {
+      action: "coupon.update",
+      targetType: "Coupon",
+      targetId: coupon._id,
+      before,
+      after: coupon,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateCode(res);
+    }
+
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete coupon (coupons with redemptions can only be deactivated)
+// @route   DELETE /api/v1/coupons/:id
+// @access  Private/Admin
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const coupon = req.resource;
+
+    if (await Enrollment.exists({ coupon: coupon._id })) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot delete a coupon that has been redeemed, deactivate it instead",
+      });
+    }
+
+    await coupon.deleteOne();
+
+    await recordAudit(req, {
+      action: "coupon.delete",
+      targetType: "Coupon",
+      targetId: coupon._id,
+      before: coupon,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Check a coupon code for a batch and preview the discounted price
+// @route   POST /api/v1/coupons/validate
+// @access  Private/Student
+exports.validateCoupon = async (req, res) => {
+  try {
+    const { code, batchId, paymentMethod = "fullPayment" } = req.body;
+
+    const batch = mongoose.Types.ObjectId.isValid(batchId)
+      ? await Batch.findById(batchId).populate("course")
+      : null;
+
+    if (!batch || !batch.isActive || !isSameOrganization(req.user, batch)) {
+      return res.status(404).json({
+        success: false,
+        message: "Batch not found or not active",
+      });
+    }
+
+    let discount;
+    try {
+      discount = await couponService.validate(code, req.user, batch);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const plan = enrollmentService.getPaymentPlan(batch.course, paymentMethod, discount.discountAmount);
+    if (!plan) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid payment method",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code: discount.coupon.code,
+        description: discount.coupon.description,
+        discountType: discount.coupon.discountType,
+        discountValue: discount.coupon.discountValue,
+        discountAmount: discount.discountAmount,
+        plan,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
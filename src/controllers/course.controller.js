@@ -1,16 +1,58 @@
 const Course = require("../models/Course");
+const CourseRevision = require("../models/CourseRevision");
+const Bundle = require("../models/Bundle");
+const CourseRevisionService = require("../services/CourseRevisionService");
+const CatalogSearchService = require("../services/CatalogSearchService");
+const Organization = require("../models/Organization");
 const cloudinary = require("../config/cloudinary");
+const { recordAudit } = require("../utils/auditLogger");
+const { organizationFilter, getCreationOrganization } = require("../utils/organizationScope");
+
+// Maintained by reviews (Review.updateCourseRating) and revisions (CourseRevisionService)
+const MANAGED_FIELDS = [
+  "ratingAverage",
+  "ratingCount",
+  "ratingDistribution",
+  "currentRevision",
+  "currentVersion",
+];
+
+// Catalog filter for the ?organization= slug ({} = every organization),
+// null when there is no such active organization
+const getCatalogFilter = async (req) => {
+  if (!req.query.organization) return {};
+
+  const organization = await Organization.findOne({
+    slug: String(req.query.organization).toLowerCase(),
+    isActive: true,
+  });
+
+  return organization ? { organization: organization._id } : null;
+};
 
 // @desc    Create new course
 // @route   POST /api/v1/courses
 // @access  Private/Admin
 exports.createCourse = async (req, res) => {
   try {
+    const organization = await getCreationOrganization(req);
+    if (organization === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Organization not found or inactive",
+      });
+    }
+
     const courseData = {
       ...req.body,
+      organization,
       createdBy: req.user.id,
     };
 
+    // The curriculum is built through its own endpoints
+    delete courseData.curriculum;
+    MANAGED_FIELDS.forEach((field) => delete courseData[field]);
+
     // Handle thumbnail upload
     if (req.file) {
       courseData.thumbnail = {
@@ -21,6 +63,9 @@ exports.createCourse = async (req, res) => {
 
     const course = await Course.create(courseData);
 
+    // Version 1 is the content the course was created with
+    await CourseRevisionService.getPublished(course, req.user);
+
     res.status(201).json({
       success: true,
       data: course,
@@ -38,14 +83,29 @@ exports.createCourse = async (req, res) => {
 // @desc    Get all courses (with filtering and pagination)
 // @route   GET /api/v1/courses
 // @access  Public (published) / Private (all for admin)
+// organization (slug) limits the list to one organization
 exports.getCourses = async (req, res) => {
   try {
+    const catalogFilter = await getCatalogFilter(req);
+    if (!catalogFilter) {
+      return res.status(404).json({
+        success: false,
+        message: "Organization not found",
+      });
+    }
+
     // Copy req.query
     const reqQuery = { ...req.query };
 
     // Fields to exclude
-    const removeFields = ["select", "sort", "page", "limit", "search"];
+    const removeFields = ["select", "sort", "page", "limit", "search", "minRating", "organization"];
     removeFields.forEach((param) => delete reqQuery[param]);
+    Object.assign(reqQuery, catalogFilter);
+
+    // Filter by rating, e.g. ?minRating=4
+    if (req.query.minRating) {
+      reqQuery.ratingAverage = { $gte: parseFloat(req.query.minRating) || 0 };
+    }
 
     let query;
 
@@ -64,14 +124,18 @@ exports.getCourses = async (req, res) => {
       query = Course.find(reqQuery);
     }
 
-    // Select fields
+    // Select fields (the curriculum is only returned by getCourse)
     if (req.query.select) {
       const fields = req.query.select.split(",").join(" ");
       query = query.select(fields);
+    } else {
+      query = query.select("-curriculum");
     }
 
-    // Sort
-    if (req.query.sort) {
+    // Sort (sort=rating: best rated first, then most reviewed)
+    if (req.query.sort === "rating") {
+      query = query.sort("-ratingAverage -ratingCount");
+    } else if (req.query.sort) {
       const sortBy = req.query.sort.split(",").join(" ");
       query = query.sort(sortBy);
     } else {
@@ -121,12 +185,49 @@ exports.getCourses = async (req, res) => {
   }
 };
 
+// @desc    Search the published catalog with facet counts
+// @route   GET /api/v1/courses/search
+// @access  Public
+// q (typo tolerant prefix search), category, minFee/maxFee, minWeeks/maxWeeks,
+// minRating, upcoming=true, organization (slug),
+// sort=relevance|startsSoonest|rating|feeAsc|feeDesc|newest, page, limit
+exports.searchCourses = async (req, res) => {
+  try {
+    const baseFilter = await getCatalogFilter(req);
+    if (!baseFilter) {
+      return res.status(404).json({
+        success: false,
+        message: "Organization not found",
+      });
+    }
+
+    const result = await CatalogSearchService.search(req.query, baseFilter);
+
+    res.status(200).json({
+      success: true,
+      count: result.data.length,
+      total: result.total,
+      pagination: result.pagination,
+      sort: result.sort,
+      facets: result.facets,
+      data: result.data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Get single course
 // @route   GET /api/v1/courses/:id
 // @access  Public (if published) / Private (admin)
+// organization (slug) only finds the course in that organization
 exports.getCourse = async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id);
+    const catalogFilter = await getCatalogFilter(req);
+    const course = catalogFilter && (await Course.findOne({ _id: req.params.id, ...catalogFilter }));
 
     if (!course) {
       return res.status(404).json({
@@ -147,9 +248,15 @@ exports.getCourse = async (req, res) => {
       });
     }
 
+    // Syllabus instead of the curriculum's linked materials and assignments
+    const { curriculum, ...data } = course.toObject();
+
     res.status(200).json({
       success: true,
-      data: course,
+      data: {
+        ...data,
+        syllabus: course.getSyllabus(),
+      },
     });
   } catch (error) {
     res.status(500).json({
@@ -162,6 +269,8 @@ exports.getCourse = async (req, res) => {
 // @desc    Update course
 // @route   PUT /api/v1/courses/:id
 // @access  Private/Admin
+// Changes to versioned fields (content, fee, EMI terms...) are saved to the
+// course's draft revision and go live with PUT /:id/revisions/draft/publish.
 exports.updateCourse = async (req, res) => {
   try {
     let course = await Course.findById(req.params.id);
@@ -186,17 +295,42 @@ exports.updateCourse = async (req, res) => {
       };
     }
 
-    course = await Course.findByIdAndUpdate(req.params.id, req.body, {
+    const before = course.toObject();
+
+    // Courses stay in the organization they were created in, the curriculum
+    // has its own endpoints
+    const { organization, curriculum, note, ...updates } = req.body;
+    MANAGED_FIELDS.forEach((field) => delete updates[field]);
+
+    const changes = CourseRevision.pickContent(updates);
+    CourseRevision.VERSIONED_FIELDS.forEach((field) => delete updates[field]);
+
+    let draft = null;
+    if (Object.keys(changes).length > 0) {
+      draft = await CourseRevisionService.saveDraft(course, changes, req.user, note);
+    }
+
+    course = await Course.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true,
     });
 
+    await recordAudit(req, {
+      action: "course.update",
+      targetType: "Course",
+      targetId: course._id,
+      before,
+      after: course,
+      metadata: draft ? { draftVersion: draft.version } : undefined,
+    });
+
     res.status(200).json({
       success: true,
       data: course,
+      draft,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
       success: false,
       message: error.message,
     });
@@ -217,6 +351,13 @@ exports.deleteCourse = async (req, res) => {
       });
     }
 
+    if (await Bundle.exists({ courses: course._id })) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot delete a course that is part of a bundle",
+      });
+    }
+
     // Delete thumbnail from Cloudinary
     if (course.thumbnail && course.thumbnail.public_id) {
       await cloudinary.uploader.destroy(course.thumbnail.public_id);
@@ -271,7 +412,10 @@ exports.togglePublish = async (req, res) => {
 // @access  Private/Admin
 exports.getCourseStats = async (req, res) => {
   try {
+    const scope = organizationFilter(req);
+
     const stats = await Course.aggregate([
+      { $match: scope },
       {
         $group: {
           _id: "$category",
@@ -285,8 +429,8 @@ exports.getCourseStats = async (req, res) => {
       },
     ]);
 
-    const publishedCount = await Course.countDocuments({ isPublished: true });
-    const unpublishedCount = await Course.countDocuments({ isPublished: false });
+    const publishedCount = await Course.countDocuments({ ...scope, isPublished: true });
+    const unpublishedCount = await Course.countDocuments({ ...scope, isPublished: false });
 
     res.status(200).json({
       success: true,
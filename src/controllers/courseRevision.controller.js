@@ -0,0 +1,228 @@
+const CourseRevision = require("../models/CourseRevision");
+const CourseRevisionService = require("../services/CourseRevisionService");
+const { recordAudit } = require("../utils/auditLogger");
+
+// Find a revision by version number, "draft" or "published"
+const findRevision = (course, version) => {
+  if (version === "draft") {
+    return CourseRevisionService.getDraft(course);
+  }
+  if (version === "published") {
+    return CourseRevisionService.getPublished(course);
+  }
+
+  const number = parseInt(version, 10);
+  if (!Number.isInteger(number)) {
+    return null;
+  }
+
+  return CourseRevision.findOne({ course: course._id, version: number });
+};
+
+// @desc    List the revisions of a course, newest first
+// @route   GET /api/v1/courses/:id/revisions
+// @access  Private/Admin
+exports.getRevisions = async (req, res) => {
+  try {
+    const course = req.resource;
+
+    // Make sure courses from before versioning have their first version
+    await CourseRevisionService.getPublished(course, req.user);
+
+    const revisions = await CourseRevision.find({ course: course._id })
+      .select("-content")
+      .populate("createdBy updatedBy publishedBy", "name email")
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      currentVersion: course.currentVersion,
+      data: revisions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Compare two revisions (default: published -> draft)
+// @route   GET /api/v1/courses/:id/revisions/diff?from=&to=
+// @access  Private/Admin
+exports.getRevisionDiff = async (req, res) => {
+  try {
+    const course = req.resource;
+    const { from = "published", to = "draft" } = req.query;
+
+    const [fromRevision, toRevision] = await Promise.all([
+      findRevision(course, from),
+      findRevision(course, to),
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: { version: fromRevision.version, status: fromRevision.status },
+        to: { version: toRevision.version, status: toRevision.status },
+        changes: CourseRevision.diff(fromRevision.content, toRevision.content),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get a revision ("draft", "published" or a version number)
+// @route   GET /api/v1/courses/:id/revisions/:version
+// @access  Private/Admin
+exports.getRevision = async (req, res) => {
+  try {
+    const revision = await findRevision(req.resource, req.params.version);
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: revision,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Discard the draft revision
+// @route   DELETE /api/v1/courses/:id/revisions/draft
+// @access  Private/Admin
+exports.discardDraft = async (req, res) => {
+  try {
+    const draft = await CourseRevisionService.getDraft(req.resource);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: "This course has no draft",
+      });
+    }
+
+    await draft.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Draft discarded successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Publish the draft revision to the live course
+// @route   PUT /api/v1/courses/:id/revisions/draft/publish
+// @access  Private/Admin
+exports.publishDraft = async (req, res) => {
+  try {
+    const course = req.resource;
+    const draft = await CourseRevisionService.getDraft(course);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: "This course has no draft",
+      });
+    }
+
+    const before = course.toObject();
+    const revision = await CourseRevisionService.publish(course, draft, req.user);
+
+    await recordAudit(req, {
+      action: "course.revision.publish",
+      targetType: "Course",
+      targetId: course._id,
+      before,
+      after: course,
+      metadata: { version: revision.version },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Version ${revision.version} published successfully`,
+      data: course,
+    });
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Publish the content of an earlier version again
+// @route   PUT /api/v1/courses/:id/revisions/:version/rollback
+// @access  Private/Admin
+exports.rollbackRevision = async (req, res) => {
+  try {
+    const course = req.resource;
+    const before = course.toObject();
+
+    const version = parseInt(req.params.version, 10);
+    if (version === course.currentVersion) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${version} is already published`,
+      });
+    }
+
+    const revision = Number.isInteger(version)
+      ? await CourseRevisionService.rollback(course, version, req.user)
+      : null;
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "course.revision.rollback",
+      targetType: "Course",
+      targetId: course._id,
+      before,
+      after: course,
+      metadata: { version: revision.version, restoredVersion: version },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Version ${version} restored as version ${revision.version}`,
+      data: course,
+    });
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,365 @@
+const mongoose = require("mongoose");
+const LearningMaterial = require("../models/LearningMaterial");
+const Assignment = require("../models/Assignment");
+const { recordAudit } = require("../utils/auditLogger");
+
+const MODULE_FIELDS = ["title", "description"];
+const LESSON_FIELDS = ["title", "description", "durationMinutes", "isPreview", "materials", "assignments"];
+
+// Copy the allowed fields of a request body onto a module or lesson
+const pick = (body, fields) => {
+  const data = {};
+  for (const field of fields) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+  return data;
+};
+
+// Move an item to a 1-based position (default: keep it / append) and renumber `order`
+const placeAt = (list, item, position) => {
+  const current = list.indexOf(item);
+  const target = position === undefined || position === null || !Number.isInteger(Number(position))
+    ? current
+    : Math.min(Math.max(Number(position), 1), list.length) - 1;
+
+  if (target !== current) {
+    list.splice(current, 1);
+    list.splice(target, 0, item);
+  }
+
+  list.forEach((entry, index) => {
+    entry.order = index + 1;
+  });
+};
+
+// Check linked materials and assignments exist and belong to the course,
+// returns an error message
+const validateLinks = async (course, { materials, assignments }) => {
+  const checks = [
+    [LearningMaterial, materials, "Invalid learning material linked"],
+    [Assignment, assignments, "Invalid assignment linked"],
+  ];
+
+  for (const [Model, ids, message] of checks) {
+    if (ids === undefined) continue;
+    if (!Array.isArray(ids)) return message;
+    if (ids.length === 0) continue;
+
+    const unique = new Set(ids.map(String));
+    if (unique.size !== ids.length || ![...unique].every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return message;
+    }
+
+    const count = await Model.countDocuments({ _id: { $in: [...unique] }, course: course._id });
+    if (count !== unique.size) {
+      return message;
+    }
+  }
+
+  return null;
+};
+
+// Save the curriculum and record the change
+const saveCurriculum = async (req, course, before, change) => {
+  await course.save();
+
+  await recordAudit(req, {
+    action: "course.curriculum.update",
+    targetType: "Course",
+    targetId: course._id,
+    before: { curriculum: before },
+    after: { curriculum: course.curriculum },
+    metadata: { change },
+  });
+};
+
+const notFound = (res, message) => res.status(404).json({
+  success: false,
+  message,
+});
+
+const sendError = (res, error) => res.status(error.name === "ValidationError" ? 400 : 500).json({
+  success: false,
+  message: error.message,
+});
+
+// @desc    Get the curriculum of a course with linked materials and assignments
+// @route   GET /api/v1/courses/:id/curriculum
+// @access  Private/Admin
+exports.getCurriculum = async (req, res) => {
+  try {
+    const course = await req.resource.populate([
+      {
+        path: "curriculum.lessons.materials",
+        select: "title materialType contentType batch week isPublished",
+      },
+      {
+        path: "curriculum.lessons.assignments",
+        select: "title maxMarks batch week deadline isPublished",
+      },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        course: course._id,
+        curriculum: course.curriculum,
+        syllabus: course.getSyllabus(),
+      },
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// @desc    Replace the whole curriculum (import, bulk reorder)
+// @route   PUT /api/v1/courses/:id/curriculum
+// @access  Private/Admin
+exports.replaceCurriculum = async (req, res) => {
+  try {
+    const course = req.resource;
+    const modules = req.body.curriculum;
+
+    if (!Array.isArray(modules)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the curriculum as a list of modules",
+      });
+    }
+
+    const curriculum = [];
+    for (const courseModule of modules) {
+      const lessons = Array.isArray(courseModule.lessons) ? courseModule.lessons : [];
+
+      for (const lesson of lessons) {
+        const linkError = await validateLinks(course, lesson);
+        if (linkError) {
+          return res.status(400).json({
+            success: false,
+            message: linkError,
+          });
+        }
+      }
+
+      curriculum.push({
+        ...pick(courseModule, MODULE_FIELDS),
+        order: curriculum.length + 1,
+        lessons: lessons.map((lesson, index) => ({
+          ...pick(lesson, LESSON_FIELDS),
+          order: index + 1,
+        })),
+      });
+    }
+
+    const before = course.toObject().curriculum;
+    course.curriculum = curriculum;
+    await saveCurriculum(req, course, before, "replace");
+
+    res.status(200).json({
+      success: true,
+      data: course.curriculum,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// @desc    Add a module to the curriculum
+// @route   POST /api/v1/courses/:id/curriculum/modules
+// @access  Private/Admin
+exports.addModule = async (req, res) => {
+  try {
+    const course = req.resource;
+    const before = course.toObject().curriculum;
+
+    course.curriculum.push(pick(req.body, MODULE_FIELDS));
+    const courseModule = course.curriculum[course.curriculum.length - 1];
+    placeAt(course.curriculum, courseModule, req.body.position);
+
+    await saveCurriculum(req, course, before, "module.create");
+
+    res.status(201).json({
+      success: true,
+      data: courseModule,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// @desc    Update or move a module
+// @route   PUT /api/v1/courses/:id/curriculum/modules/:moduleId
+// @access  Private/Admin
+exports.updateModule = async (req, res) => {
+  try {
+    const course = req.resource;
+    const courseModule = course.curriculum.id(req.params.moduleId);
+
+    if (!courseModule) {
+      return notFound(res, "Module not found");
+    }
+
+    const before = course.toObject().curriculum;
+    courseModule.set(pick(req.body, MODULE_FIELDS));
+    placeAt(course.curriculum, courseModule, req.body.position);
+
+    await saveCurriculum(req, course, before, "module.update");
+
+    res.status(200).json({
+      success: true,
+      data: courseModule,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// @desc    Delete a module and its lessons
+// @route   DELETE /api/v1/courses/:id/curriculum/modules/:moduleId
+// @access  Private/Admin
+exports.deleteModule = async (req, res) => {
+  try {
+    const course = req.resource;
+    const courseModule = course.curriculum.id(req.params.moduleId);
+
+    if (!courseModule) {
+      return notFound(res, "Module not found");
+    }
+
+    const before = course.toObject().curriculum;
+    courseModule.deleteOne();
+    course.curriculum.forEach((entry, index) => {
+      entry.order = index + 1;
+    });
+
+    await saveCurriculum(req, course, before, "module.delete");
+
+    res.status(200).json({
+      success: true,
+      message: "Module deleted successfully",
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// @desc    Add a lesson to a module
+// @route   POST /api/v1/courses/:id/curriculum/modules/:moduleId/lessons
+// @access  Private/Admin
+exports.addLesson = async (req, res) => {
+  try {
+    const course = req.resource;
+    const courseModule = course.curriculum.id(req.params.moduleId);
+
+    if (!courseModule) {
+      return notFound(res, "Module not found");
+    }
+
+    const linkError = await validateLinks(course, req.body);
+    if (linkError) {
+      return res.status(400).json({
+        success: false,
+        message: linkError,
+      });
+    }
+
+    const before = course.toObject().curriculum;
+    courseModule.lessons.push(pick(req.body, LESSON_FIELDS));
+    const lesson = courseModule.lessons[courseModule.lessons.length - 1];
+    placeAt(courseModule.lessons, lesson, req.body.position);
+
+    await saveCurriculum(req, course, before, "lesson.create");
+
+    res.status(201).json({
+      success: true,
+      data: lesson,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// @desc    Update, relink or move a lesson (within its module or to `module`)
+// @route   PUT /api/v1/courses/:id/curriculum/modules/:moduleId/lessons/:lessonId
+// @access  Private/Admin
+exports.updateLesson = async (req, res) => {
+  try {
+    const course = req.resource;
+    const courseModule = course.curriculum.id(req.params.moduleId);
+    const lesson = courseModule && courseModule.lessons.id(req.params.lessonId);
+
+    if (!lesson) {
+      return notFound(res, "Lesson not found");
+    }
+
+    const target = req.body.module ? course.curriculum.id(req.body.module) : courseModule;
+    if (!target) {
+      return notFound(res, "Module not found");
+    }
+
+    const linkError = await validateLinks(course, req.body);
+    if (linkError) {
+      return res.status(400).json({
+        success: false,
+        message: linkError,
+      });
+    }
+
+    const before = course.toObject().curriculum;
+    lesson.set(pick(req.body, LESSON_FIELDS));
+
+    let moved = lesson;
+    if (target !== courseModule) {
+      const data = lesson.toObject();
+      lesson.deleteOne();
+      courseModule.lessons.forEach((entry, index) => {
+        entry.order = index + 1;
+      });
+
+      target.lessons.push(data);
+      moved = target.lessons[target.lessons.length - 1];
+    }
+    placeAt(target.lessons, moved, req.body.position);
+
+    await saveCurriculum(req, course, before, "lesson.update");
+
+    res.status(200).json({
+      success: true,
+      data: moved,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// @desc    Delete a lesson (linked materials and assignments are kept)
+// @route   DELETE /api/v1/courses/:id/curriculum/modules/:moduleId/lessons/:lessonId
+// @access  Private/Admin
+exports.deleteLesson = async (req, res) => {
+  try {
+    const course = req.resource;
+    const courseModule = course.curriculum.id(req.params.moduleId);
+    const lesson = courseModule && courseModule.lessons.id(req.params.lessonId);
+
+    if (!lesson) {
+      return notFound(res, "Lesson not found");
+    }
+
+    const before = course.toObject().curriculum;
+    lesson.deleteOne();
+    courseModule.lessons.forEach((entry, index) => {
+      entry.order = index + 1;
+    });
+
+    await saveCurriculum(req, course, before, "lesson.delete");
+
+    res.status(200).json({
+      success: true,
+      message: "Lesson deleted successfully",
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
@@ -1,9 +1,13 @@
 const Doubt = require("../models/Doubt");
 const Batch = require("../models/Batch");
-const Enrollment = require("../models/Enrollment");
-const { sendEmail } = require("../utils/emailService");
+const { sendEmail, getBranding } = require("../utils/emailService");
 const cloudinary = require("../config/cloudinary");
 const mongoose = require("mongoose");
+const {
+  getUserPermissionScope,
+  isBatchStaff,
+  isBatchStudent,
+} = require("../utils/permissionService");
 
 // @desc    Create a new doubt
 // @route   POST /api/v1/doubts
@@ -22,15 +26,7 @@ exports.createDoubt = async (req, res) => {
     } = req.body;
 
     // Check if student is enrolled in the batch
-    const enrollment = await Enrollment.findOne({
-      student: req.user.id,
-      batch: batchId,
-      enrollmentStatus: "active",
-      accessRevoked: false,
-    });
-    console.log("enrollment: ", enrollment);
-
-    if (!enrollment) {
+    if (!(await isBatchStudent(req.user, batchId))) {
       return res.status(403).json({
         success: false,
         message: "Not enrolled in this batch",
@@ -148,10 +144,7 @@ exports.replyToDoubt = async (req, res) => {
     const reply = {
       user: req.user.id,
       content,
-      isInstructorReply:
-        req.user.role === "instructor" ||
-        req.user.role === "admin" ||
-        req.user.role === "superAdmin",
+      isInstructorReply: await isDoubtStaff(req.user, doubt),
     };
 
     // Handle attachments in reply
@@ -206,15 +199,6 @@ exports.getBatchDoubts = async (req, res) => {
       page = 1,
     } = req.query;
 
-    // Check if user has access to this batch
-    const hasAccess = await checkBatchAccess(req.user, batchId);
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view doubts for this batch",
-      });
-    }
-
     // Build query
     const query = { batch: batchId };
 
@@ -254,7 +238,7 @@ exports.getBatchDoubts = async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit))
       .populate("student", "name email")
-      .populate("replies.user", "name email role");
+      .populate("replies.user", "name email role profile.avatar");
 
     const total = await Doubt.countDocuments(query);
 
@@ -298,7 +282,7 @@ exports.getDoubt = async (req, res) => {
       .populate("student", "name email")
       .populate("batch", "name")
       .populate("course", "title")
-      .populate("replies.user", "name email role")
+      .populate("replies.user", "name email role profile.avatar")
       .populate("resolvedBy", "name");
 
     if (!doubt) {
@@ -350,14 +334,6 @@ exports.resolveDoubt = async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (!(await canUserManageDoubt(req.user, doubt))) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to resolve this doubt",
-      });
-    }
-
     // Update doubt status
     doubt.status = "resolved";
     doubt.resolvedAt = new Date();
@@ -413,25 +389,6 @@ exports.voteDoubt = async (req, res) => {
       });
     }
 
-    // Check if user is enrolled in the batch
-    const enrollment = await Enrollment.findOne({
-      student: req.user.id,
-      batch: doubt.batch,
-      enrollmentStatus: "active",
-    });
-
-    if (
-      !enrollment &&
-      req.user.role !== "instructor" &&
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not enrolled in this batch",
-      });
-    }
-
     // Update votes
     const upvoteIndex = doubt.upvotes.indexOf(req.user.id);
     const downvoteIndex = doubt.downvotes.indexOf(req.user.id);
@@ -495,25 +452,6 @@ exports.followDoubt = async (req, res) => {
       });
     }
 
-    // Check if user is enrolled in the batch
-    const enrollment = await Enrollment.findOne({
-      student: req.user.id,
-      batch: doubt.batch,
-      enrollmentStatus: "active",
-    });
-
-    if (
-      !enrollment &&
-      req.user.role !== "instructor" &&
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not enrolled in this batch",
-      });
-    }
-
     // Toggle follow
     const followIndex = doubt.followers.indexOf(req.user.id);
 
@@ -548,8 +486,8 @@ exports.getInstructorDoubts = async (req, res) => {
   try {
     const { status, priority, batchId, limit = 20, page = 1 } = req.query;
 
-    // Get batches assigned to instructor
-    const batches = await Batch.find({ instructor: req.user.id });
+    // Get batches the user teaches or assists
+    const batches = await Batch.find(Batch.staffFilter(req.user.id));
     const batchIds = batches.map((b) => b._id);
 
     if (batchIds.length === 0) {
@@ -586,7 +524,7 @@ exports.getInstructorDoubts = async (req, res) => {
       .limit(parseInt(limit))
       .populate("student", "name email")
       .populate("batch", "name")
-      .populate("replies.user", "name");
+      .populate("replies.user", "name profile.avatar");
 
     const total = await Doubt.countDocuments(query);
 
@@ -646,14 +584,6 @@ exports.pinDoubt = async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (!(await canUserManageDoubt(req.user, doubt))) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to pin/unpin this doubt",
-      });
-    }
-
     doubt.isPinned = !doubt.isPinned;
     await doubt.save();
 
@@ -672,101 +602,26 @@ exports.pinDoubt = async (req, res) => {
 
 // Helper functions
 
-async function checkBatchAccess(user, batchId) {
-  if (user.role === "admin" || user.role === "superAdmin") {
-    return true;
-  }
-
-  if (user.role === "instructor") {
-    const batch = await Batch.findById(batchId);
-    return batch && batch.instructor.toString() === user.id;
-  }
-
-  if (user.role === "student") {
-    const enrollment = await Enrollment.findOne({
-      student: user.id,
-      batch: batchId,
-      enrollmentStatus: "active",
-      accessRevoked: false,
-    });
-    return !!enrollment;
-  }
-
-  return false;
+// Staff who can moderate the doubt (admin, or instructor/assistant of its batch)
+async function isDoubtStaff(user, doubt) {
+  const scope = await getUserPermissionScope(user, "doubt:manage");
+  if (scope === "any") return true;
+  return scope === "own" && (await isBatchStaff(user, doubt.batch));
 }
 
 async function canUserReplyToDoubt(user, doubt) {
-  // Admin and super admin can always reply
-  if (user.role === "admin" || user.role === "superAdmin") {
-    return true;
-  }
-
-  // Instructor can reply if assigned to batch
-  if (user.role === "instructor") {
-    const batch = await Batch.findById(doubt.batch);
-    return batch && batch.instructor.toString() === user.id;
-  }
-
-  // Student can reply if enrolled in batch and not anonymous
-  if (user.role === "student") {
-    const enrollment = await Enrollment.findOne({
-      student: user.id,
-      batch: doubt.batch,
-      enrollmentStatus: "active",
-    });
-
-    return !!enrollment && !doubt.isAnonymous;
-  }
-
-  return false;
+  // Only staff can reply to anonymous doubts
+  if (!doubt.isAnonymous) return true;
+  return isDoubtStaff(user, doubt);
 }
 
 async function canUserViewDoubt(user, doubt) {
-  // Admin and super admin can always view
-  if (user.role === "admin" || user.role === "superAdmin") {
-    return true;
-  }
-
-  // Instructor can view if assigned to batch
-  if (user.role === "instructor") {
-    const batch = await Batch.findById(doubt.batch);
-    return batch && batch.instructor.toString() === user.id;
-  }
-
-  // Student can view if enrolled in batch
-  if (user.role === "student") {
-    const enrollment = await Enrollment.findOne({
-      student: user.id,
-      batch: doubt.batch,
-      enrollmentStatus: "active",
-    });
-
-    if (!enrollment) return false;
-
-    // Can't view anonymous doubts from other students
-    if (doubt.isAnonymous && doubt.student._id.toString() !== user.id) {
-      return false;
-    }
-
-    return true;
-  }
-
-  return false;
-}
-
-async function canUserManageDoubt(user, doubt) {
-  // Admin and super admin can always manage
-  if (user.role === "admin" || user.role === "superAdmin") {
-    return true;
-  }
-
-  // Instructor can manage if assigned to batch
-  if (user.role === "instructor") {
-    const batch = await Batch.findById(doubt.batch);
-    return batch && batch.instructor.toString() === user.id;
+  // Can't view anonymous doubts from other students
+  if (doubt.isAnonymous && doubt.student._id.toString() !== user.id) {
+    return isDoubtStaff(user, doubt);
   }
 
-  return false;
+  return true;
 }
 
 async function sendDoubtNotification(doubt, batch, action) {
@@ -775,13 +630,14 @@ async function sendDoubtNotification(doubt, batch, action) {
     const student = await User.findById(doubt.student);
 
     if (!student) return;
+    const branding = await getBranding(student.organization);
 
     const actionTemplates = {
       created: {
         subject: `New Doubt Posted: ${doubt.title}`,
         instructorTemplate: (instructor) => `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #4F46E5;">New Doubt Posted</h2>
+            <h2 style="color: ${branding.primaryColor};">New Doubt Posted</h2>
             <p>Hello ${instructor.name},</p>
             <p>A student has posted a new doubt in your batch <strong>${batch?.name}</strong>.</p>
             <p><strong>Doubt Details:</strong></p>
@@ -791,11 +647,11 @@ async function sendDoubtNotification(doubt, batch, action) {
               <li><strong>Category:</strong> ${doubt.category}</li>
               <li><strong>Posted:</strong> ${new Date(doubt.createdAt).toLocaleString()}</li>
             </ul>
-            <a href="${process.env.FRONTEND_URL}/doubts/${doubt._id}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+            <a href="${process.env.FRONTEND_URL}/doubts/${doubt._id}" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
               View Doubt
             </a>
             <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-            <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
+            <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
           </div>
         `,
       },
@@ -803,16 +659,16 @@ async function sendDoubtNotification(doubt, batch, action) {
         subject: `Doubt Resolved: ${doubt.title}`,
         studentTemplate: (student) => `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #4F46E5;">Doubt Resolved</h2>
+            <h2 style="color: ${branding.primaryColor};">Doubt Resolved</h2>
             <p>Hello ${student.name},</p>
             <p>Your doubt has been marked as resolved by the instructor.</p>
             <p><strong>Doubt:</strong> ${doubt.title}</p>
             <p><strong>Resolved At:</strong> ${new Date(doubt.resolvedAt).toLocaleString()}</p>
-            <a href="${process.env.FRONTEND_URL}/doubts/${doubt._id}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+            <a href="${process.env.FRONTEND_URL}/doubts/${doubt._id}" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
               View Resolution
             </a>
             <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-            <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
+            <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
           </div>
         `,
       },
@@ -847,11 +703,11 @@ async function sendDoubtNotification(doubt, batch, action) {
               subject: `Doubt You're Following Was Resolved: ${doubt.title}`,
               html: `
                 <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                  <h2 style="color: #4F46E5;">Doubt Resolved</h2>
+                  <h2 style="color: ${branding.primaryColor};">Doubt Resolved</h2>
                   <p>Hello ${follower.name},</p>
                   <p>A doubt you were following has been marked as resolved.</p>
                   <p><strong>Doubt:</strong> ${doubt.title}</p>
-                  <a href="${process.env.FRONTEND_URL}/doubts/${doubt._id}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+                  <a href="${process.env.FRONTEND_URL}/doubts/${doubt._id}" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
                     View Resolution
                   </a>
                 </div>
@@ -869,6 +725,7 @@ async function sendDoubtNotification(doubt, batch, action) {
 async function sendReplyNotification(doubt, reply, replyUser) {
   try {
     const User = require("../models/User");
+    const branding = await getBranding(replyUser.organization);
 
     // Get doubt owner
     const doubtOwner = await User.findById(doubt.student);
@@ -880,12 +737,12 @@ async function sendReplyNotification(doubt, reply, replyUser) {
         subject: `New Reply to Your Doubt: ${doubt.title}`,
         html: `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #4F46E5;">New Reply to Your Doubt</h2>
+            <h2 style="color: ${branding.primaryColor};">New Reply to Your Doubt</h2>
             <p>Hello ${doubtOwner.name},</p>
             <p>Someone has replied to your doubt.</p>
             <p><strong>Doubt:</strong> ${doubt.title}</p>
             <p><strong>Replied By:</strong> ${replyUser.name} (${replyUser.role})</p>
-            <a href="${process.env.FRONTEND_URL}/doubts/${doubt._id}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+            <a href="${process.env.FRONTEND_URL}/doubts/${doubt._id}" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
               View Reply
             </a>
           </div>
@@ -906,11 +763,11 @@ async function sendReplyNotification(doubt, reply, replyUser) {
             subject: `New Reply to Doubt You're Following: ${doubt.title}`,
             html: `
               <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <h2 style="color: #4F46E5;">New Reply to Doubt</h2>
+                <h2 style="color: ${branding.primaryColor};">New Reply to Doubt</h2>
                 <p>Hello ${follower.name},</p>
                 <p>There's a new reply to a doubt you're following.</p>
                 <p><strong>Doubt:</strong> ${doubt.title}</p>
-                <a href="${process.env.FRONTEND_URL}/doubts/${doubt._id}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+                <a href="${process.env.FRONTEND_URL}/doubts/${doubt._id}" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
                   View Reply
                 </a>
               </div>
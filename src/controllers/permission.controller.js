@@ -0,0 +1,148 @@
+const RolePermission = require('../models/RolePermission');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+const {
+  ROLES,
+  getRolePermissions,
+  clearPermissionCache,
+  findInvalidPermissions
+} = require('../utils/permissionService');
+const { recordAudit } = require('../utils/auditLogger');
+
+// @desc    Get permission registry and current role mappings
+// @route   GET /api/v1/permissions
+// @access  Private/SuperAdmin
+exports.getPermissions = async (req, res) => {
+  try {
+    const roles = {};
+    for (const role of ROLES) {
+      roles[role] = await getRolePermissions(role);
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: PERMISSIONS,
+        roles,
+        defaults: DEFAULT_ROLE_PERMISSIONS
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Replace the permissions of a role
+// @route   PUT /api/v1/permissions/roles/:role
+// @access  Private/SuperAdmin
+exports.updateRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+    
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+    
+    // Keep superAdmin unrestricted so nobody can lock themselves out
+    if (role === 'superAdmin') {
+      return res.status(400).json({
+        success: false,
+        message: 'superAdmin permissions cannot be changed'
+      });
+    }
+    
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions array is required'
+      });
+    }
+    
+    const invalid = findInvalidPermissions(permissions);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${invalid.join(', ')}`
+      });
+    }
+    
+    const previousPermissions = await getRolePermissions(role);
+    
+    const rolePermission = await RolePermission.findOneAndUpdate(
+      { role },
+      { role, permissions: [...new Set(permissions)], updatedBy: req.user.id },
+      { new: true, upsert: true, runValidators: true }
+    );
+    
+    clearPermissionCache(role);
+    
+    await recordAudit(req, {
+      action: 'permission.update',
+      targetType: 'RolePermission',
+      targetId: rolePermission._id,
+      before: { permissions: previousPermissions },
+      after: { permissions: rolePermission.permissions },
+      metadata: { role }
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: rolePermission
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Reset a role to its default permissions
+// @route   DELETE /api/v1/permissions/roles/:role
+// @access  Private/SuperAdmin
+exports.resetRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+    
+    const previousPermissions = await getRolePermissions(role);
+    
+    const override = await RolePermission.findOneAndDelete({ role });
+    clearPermissionCache(role);
+    
+    await recordAudit(req, {
+      action: 'permission.reset',
+      targetType: 'RolePermission',
+      targetId: override ? override._id : undefined,
+      before: { permissions: previousPermissions },
+      after: { permissions: DEFAULT_ROLE_PERMISSIONS[role] },
+      metadata: { role }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `Permissions for ${role} reset to defaults`,
+      data: {
+        role,
+        permissions: DEFAULT_ROLE_PERMISSIONS[role]
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,6 +1,7 @@
 const progressService = require("../services/ProgressService");
 const Progress = require("../models/Progress");
 const Enrollment = require("../models/Enrollment");
+const { authorize } = require("../utils/permissionService");
 
 // @desc    Get student progress dashboard
 // @route   GET /api/v1/student/progress/dashboard
@@ -28,18 +29,12 @@ exports.getBatchProgress = async (req, res) => {
   try {
     const { batchId } = req.params;
 
-    // Check if user has access to this batch
-    const hasAccess = await checkBatchProgressAccess(req.user, batchId);
-    if (!hasAccess) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view progress for this batch",
-      });
-    }
-
     let progress;
 
-    if (req.user.role === "student") {
+    // Staff of the batch get the dashboard, learners their own progress
+    const isStaff = await authorize(req.user, "progress:manage", { batchId });
+
+    if (!isStaff) {
       // Get student's progress for this batch
       progress = await Progress.findOne({
         student: req.user.id,
@@ -54,15 +49,11 @@ exports.getBatchProgress = async (req, res) => {
         success: true,
         data: progress,
       });
-    } else if (
-      req.user.role === "instructor" ||
-      req.user.role === "admin" ||
-      req.user.role === "superAdmin"
-    ) {
+    } else {
       // Get instructor dashboard for this batch
       const dashboard = await progressService.getInstructorBatchDashboard(
         batchId,
-        req.user.id,
+        req.user,
       );
 
       res.status(200).json({
@@ -150,28 +141,6 @@ exports.getAtRiskStudents = async (req, res) => {
     const { batchId } = req.params;
     const { threshold } = req.query;
 
-    // Check authorization
-    const Batch = require("../models/Batch");
-    const batch = await Batch.findById(batchId);
-
-    if (!batch) {
-      return res.status(404).json({
-        success: false,
-        message: "Batch not found",
-      });
-    }
-
-    if (
-      batch.instructor.toString() !== req.user.id &&
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to view at-risk students for this batch",
-      });
-    }
-
     const atRiskStudents = await progressService.identifyAtRiskStudents(
       batchId,
       parseInt(threshold) || 60,
@@ -197,28 +166,6 @@ exports.calculateBatchProgress = async (req, res) => {
   try {
     const { batchId } = req.params;
 
-    // Check authorization
-    const Batch = require("../models/Batch");
-    const batch = await Batch.findById(batchId);
-
-    if (!batch) {
-      return res.status(404).json({
-        success: false,
-        message: "Batch not found",
-      });
-    }
-
-    if (
-      batch.instructor.toString() !== req.user.id &&
-      req.user.role !== "admin" &&
-      req.user.role !== "superAdmin"
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to calculate progress for this batch",
-      });
-    }
-
     const results = await progressService.calculateBatchProgress(batchId);
 
     res.status(200).json({
@@ -294,9 +241,9 @@ exports.getProgressTrend = async (req, res) => {
 // @access  Private/Instructor
 exports.getInstructorProgressOverview = async (req, res) => {
   try {
-    // Get batches assigned to instructor
+    // Get batches assigned to instructor (lead or co-instructor)
     const Batch = require("../models/Batch");
-    const batches = await Batch.find({ instructor: req.user.id });
+    const batches = await Batch.find(Batch.staffFilter(req.user.id));
 
     const overview = {
       totalBatches: batches.length,
@@ -364,27 +311,3 @@ exports.getInstructorProgressOverview = async (req, res) => {
     });
   }
 };
-
-// Helper function
-async function checkBatchProgressAccess(user, batchId) {
-  if (user.role === "admin" || user.role === "superAdmin") {
-    return true;
-  }
-
-  if (user.role === "instructor") {
-    const Batch = require("../models/Batch");
-    const batch = await Batch.findById(batchId);
-    return batch && batch.instructor.toString() === user.id;
-  }
-
-  if (user.role === "student") {
-    const enrollment = await Enrollment.findOne({
-      student: user.id,
-      batch: batchId,
-      enrollmentStatus: "active",
-    });
-    return !!enrollment;
-  }
-
-  return false;
-}
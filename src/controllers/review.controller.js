@@ -0,0 +1,357 @@
+const mongoose = require("mongoose");
+const Review = require("../models/Review");
+const Course = require("../models/Course");
+const Batch = require("../models/Batch");
+const Enrollment = require("../models/Enrollment");
+const { recordAudit } = require("../utils/auditLogger");
+const { organizationFilter } = require("../utils/organizationScope");
+
+// Students with these enrollments may review the course
+const REVIEWABLE_STATUSES = ["active", "completed"];
+
+const REVIEW_SORTS = {
+  recent: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+// @desc    Get the published reviews of a course with its rating summary
+// @route   GET /api/v1/reviews/courses/:courseId/reviews
+// @access  Public
+exports.getCourseReviews = async (req, res) => {
+  try {
+    const course = mongoose.Types.ObjectId.isValid(req.params.courseId)
+      ? await Course.findById(req.params.courseId)
+      : null;
+
+    if (!course || !course.isPublished) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    const query = { course: course._id, status: "published" };
+    if (req.query.rating) {
+      query.rating = parseInt(req.query.rating, 10);
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .select("-reports -reportCount -moderation")
+        .populate("student", "name profile.avatar")
+        .populate("reply.repliedBy", "name")
+        .sort(REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.recent)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      summary: {
+        average: course.ratingAverage,
+        count: course.ratingCount,
+        distribution: course.ratingDistribution,
+      },
+      data: reviews,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Review a course for a batch the student is (or was) enrolled in
+// @route   POST /api/v1/reviews/courses/:courseId/reviews
+// @access  Private/Student
+exports.createReview = async (req, res) => {
+  try {
+    const { batch: batchId, rating, title, comment } = req.body;
+
+    const batch = mongoose.Types.ObjectId.isValid(batchId) ? await Batch.findById(batchId) : null;
+    if (!batch || batch.course.toString() !== req.params.courseId) {
+      return res.status(404).json({
+        success: false,
+        message: "Batch not found for this course",
+      });
+    }
+
+    const enrollment = await Enrollment.findOne({
+      student: req.user.id,
+      batch: batch._id,
+      enrollmentStatus: { $in: REVIEWABLE_STATUSES },
+    });
+
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        message: "Only students enrolled in this batch can review the course",
+      });
+    }
+
+    const existing = await Review.findOne({ student: req.user.id, batch: batch._id });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "You have already reviewed this course for this batch",
+      });
+    }
+
+    const review = await Review.create({
+      course: batch.course,
+      batch: batch._id,
+      enrollment: enrollment._id,
+      student: req.user.id,
+      organization: enrollment.organization,
+      rating,
+      title,
+      comment,
+    });
+
+    await Review.updateCourseRating(review.course);
+
+    res.status(201).json({
+      success: true,
+      data: review,
+    });
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update my review
+// @route   PUT /api/v1/reviews/:id
+// @access  Private/Student
+exports.updateReview = async (req, res) => {
+  try {
+    const review = req.resource;
+
+    if (review.student.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only edit your own review",
+      });
+    }
+
+    ["rating", "title", "comment"].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        review[field] = req.body[field];
+      }
+    });
+    await review.save();
+
+    await Review.updateCourseRating(review.course);
+
+    res.status(200).json({
+      success: true,
+      data: review,
+    });
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete my review
+// @route   DELETE /api/v1/reviews/:id
+// @access  Private/Student
+exports.deleteReview = async (req, res) => {
+  try {
+    const review = req.resource;
+
+    if (review.student.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only delete your own review",
+      });
+    }
+
+    await review.deleteOne();
+    await Review.updateCourseRating(review.course);
+
+    res.status(200).json({
+      success: true,
+      message: "Review deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Reply to a review (replaces an earlier reply)
+// @route   POST /api/v1/reviews/:id/reply
+// @access  Private/Instructor
+exports.replyToReview = async (req, res) => {
+  try {
+    const review = req.resource;
+
+    if (!req.body.comment) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide reply text",
+      });
+    }
+
+    review.reply = {
+      comment: req.body.comment,
+      repliedBy: req.user.id,
+      repliedAt: new Date(),
+    };
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      data: review,
+    });
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Report a review for moderation
+// @route   POST /api/v1/reviews/:id/report
+// @access  Private
+exports.reportReview = async (req, res) => {
+  try {
+    const review = req.resource;
+
+    if (review.reports.some((report) => report.user.toString() === req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You have already reported this review",
+      });
+    }
+
+    review.reports.push({ user: req.user.id, reason: req.body.reason });
+    review.reportCount = review.reports.length;
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Review reported, a moderator will look at it",
+    });
+  } catch (error) {
+    res.status(error.name === "ValidationError" ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get reviews for moderation (reported first)
+// @route   GET /api/v1/reviews
+// @access  Private/Admin
+exports.getReviewsForModeration = async (req, res) => {
+  try {
+    const query = { ...organizationFilter(req) };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.reported === "true") {
+      query.reportCount = { $gt: 0 };
+    }
+    if (req.query.course) {
+      query.course = req.query.course;
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .populate("student", "name email")
+        .populate("course", "title")
+        .populate("batch", "name")
+        .populate("reports.user", "name email")
+        .sort({ reportCount: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      data: reviews,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Hide or republish a review; republishing dismisses its reports
+// @route   PUT /api/v1/reviews/:id/moderate
+// @access  Private/Admin
+exports.moderateReview = async (req, res) => {
+  try {
+    const review = req.resource;
+    const { status, reason } = req.body;
+
+    if (!["published", "hidden"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be published or hidden",
+      });
+    }
+
+    const before = review.toObject();
+
+    review.status = status;
+    review.moderation = {
+      moderatedBy: req.user.id,
+      moderatedAt: new Date(),
+      reason,
+    };
+    if (status === "published") {
+      review.reports = [];
+      review.reportCount = 0;
+    }
+    await review.save();
+
+    await Review.updateCourseRating(review.course);
+
+    await recordAudit(req, {
+      action: "review.moderate",
+      targetType: "Review",
+      targetId: review._id,
+      before: { status: before.status, reportCount: before.reportCount },
+      after: { status: review.status, reportCount: review.reportCount },
+      metadata: { reason },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Review ${status === "hidden" ? "hidden" : "published"} successfully`,
+      data: review,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,188 @@
+const Scholarship = require("../models/Scholarship");
+const scholarshipService = require("../services/ScholarshipService");
+const { recordAudit } = require("../utils/auditLogger");
+const { organizationFilter } = require("../utils/organizationScope");
+
+// Enrollment fields a scholarship changes
+const enrollmentAmounts = (enrollment) => ({
+  totalAmount: enrollment.totalAmount,
+  scholarshipAmount: enrollment.scholarshipAmount,
+  remainingAmount: enrollment.remainingAmount,
+  emiAmount: enrollment.emiAmount,
+  emiMonths: enrollment.emiMonths,
+  paymentStatus: enrollment.paymentStatus,
+  enrollmentStatus: enrollment.enrollmentStatus,
+});
+
+// @desc    Request a scholarship for an enrollment
+// @route   POST /api/v1/scholarships
+// @access  Private/Admin
+exports.requestScholarship = async (req, res) => {
+  try {
+    const enrollment = req.resource;
+    const { type, value, reason } = req.body;
+
+    let scholarship;
+    try {
+      scholarship = await scholarshipService.request(enrollment, { type, value, reason }, req.user);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await recordAudit(req, {
+      action: "scholarship.request",
+      targetType: "Enrollment",
+      targetId: enrollment._id,
+      after: scholarship,
+      metadata: { scholarship: scholarship._id, amount: scholarship.amount },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Scholarship requested, waiting for approval",
+      data: scholarship,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get scholarships
+// @route   GET /api/v1/scholarships
+// @access  Private/Admin
+exports.getScholarships = async (req, res) => {
+  try {
+    const query = { ...organizationFilter(req) };
+
+    for (const field of ["status", "batch", "course", "student", "enrollment"]) {
+      if (req.query[field]) {
+        query[field] = req.query[field];
+      }
+    }
+
+    const scholarships = await Scholarship.find(query)
+      .populate("student", "name email")
+      .populate("course", "title")
+      .populate("batch", "name")
+      .populate("requestedBy reviewedBy", "name email")
+      .sort("-createdAt");
+
+    res.status(200).json({
+      success: true,
+      count: scholarships.length,
+      data: scholarships,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get single scholarship
+// @route   GET /api/v1/scholarships/:id
+// @access  Private/Admin
+exports.getScholarship = async (req, res) => {
+  try {
+    const scholarship = await req.resource.populate([
+      { path: "student", select: "name email" },
+      { path: "course", select: "title fee" },
+      { path: "batch", select: "name" },
+      { path: "enrollment", select: "listPrice discountAmount scholarshipAmount totalAmount paidAmount remainingAmount paymentMethod emiAmount emiMonths paymentStatus enrollmentStatus" },
+      { path: "requestedBy reviewedBy", select: "name email" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: scholarship,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Approve a scholarship and apply it to the enrollment
+// @route   PUT /api/v1/scholarships/:id/approve
+// @access  Private/Admin
+exports.approveScholarship = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await scholarshipService.approve(req.resource, req.user, req.body.note);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const { scholarship, enrollment } = result;
+
+    await recordAudit(req, {
+      action: "scholarship.approve",
+      targetType: "Enrollment",
+      targetId: enrollment._id,
+      after: enrollmentAmounts(enrollment),
+      metadata: { scholarship: scholarship._id, amount: scholarship.amount },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Scholarship of ₹${scholarship.amount} approved`,
+      data: {
+        scholarship,
+        enrollment,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Reject a scholarship request
+// @route   PUT /api/v1/scholarships/:id/reject
+// @access  Private/Admin
+exports.rejectScholarship = async (req, res) => {
+  try {
+    let scholarship;
+    try {
+      scholarship = await scholarshipService.reject(req.resource, req.user, req.body.note);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await recordAudit(req, {
+      action: "scholarship.reject",
+      targetType: "Enrollment",
+      targetId: scholarship.enrollment,
+      metadata: { scholarship: scholarship._id, note: scholarship.reviewNote },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Scholarship request rejected",
+      data: scholarship,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,6 +1,7 @@
 const SessionMaterial = require('../models/SessionMaterial');
 const LiveSession = require('../models/LiveSession');
 const cloudinary = require('../config/cloudinary');
+const { authorize } = require('../utils/permissionService');
 
 // @desc    Upload session material
 // @route   POST /api/v1/session-materials
@@ -19,9 +20,7 @@ exports.uploadMaterial = async (req, res) => {
     }
     
     // Check authorization
-    if (session.instructor.toString() !== req.user.id && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'superAdmin') {
+    if (!(await authorize(req.user, 'session:material:manage', { batchId: session.batch }))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to upload materials for this session'
@@ -178,16 +177,6 @@ exports.updateMaterial = async (req, res) => {
       });
     }
     
-    // Check authorization
-    if (material.uploadedBy.toString() !== req.user.id && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'superAdmin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this material'
-      });
-    }
-    
     // Handle file update if provided
     if (req.file) {
       // Delete old file from Cloudinary
@@ -238,16 +227,6 @@ exports.deleteMaterial = async (req, res) => {
       });
     }
     
-    // Check authorization
-    if (material.uploadedBy.toString() !== req.user.id && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'superAdmin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this material'
-      });
-    }
-    
     // Delete file from Cloudinary if exists
     if (material.file && material.file.public_id) {
       await cloudinary.uploader.destroy(material.file.public_id);
@@ -1,23 +1,52 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const validator = require('validator');
 const User = require('../models/User');
-const { sendWelcomeEmail } = require('../utils/emailService');
+const Invitation = require('../models/Invitation');
+const Batch = require('../models/Batch');
+const Enrollment = require('../models/Enrollment');
+const RefreshToken = require('../models/RefreshToken');
+const enrollmentService = require('../services/EnrollmentService');
+const privacyService = require('../services/PrivacyService');
+const invitationService = require('../services/InvitationService');
+const { recordAudit } = require('../utils/auditLogger');
+const { parseCsv } = require('../utils/csv');
+const { generateImpersonationToken, verifyToken } = require('../utils/tokenService');
+const { organizationFilter, getCreationOrganization, isCrossOrganization } = require('../utils/organizationScope');
+
+const IMPORT_ROLES = ['student', 'instructor', 'teachingAssistant', 'admin'];
+const PAYMENT_METHODS = ['fullPayment', 'emi'];
+
+// Account fields an admin may change (profile fields come from User.EDITABLE_PROFILE_FIELDS);
+// credentials, 2FA, lockout and SSO state are only changed through their own flows
+const ADMIN_EDITABLE_FIELDS = ['name', 'email', 'role', 'isActive'];
 
 // @desc    Create new user (Admin only - for instructors/admins)
 // @route   POST /api/v1/users
 // @access  Private/Admin
+// The account is created when the invitee accepts and sets their own password.
 exports.createUser = async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, role } = req.body;
     
     // Validate role
-    if (!['student', 'instructor', 'admin'].includes(role)) {
+    if (!['student', 'instructor', 'teachingAssistant', 'admin'].includes(role)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid role specified'
       });
     }
     
+    const organization = await getCreationOrganization(req);
+    if (organization === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organization not found or inactive'
+      });
+    }
+    
     // Check if user exists
-    const existingUser = await User.findOne({ email });
+    const existingUser = await User.findOne({ email: String(email).toLowerCase() });
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -25,41 +54,45 @@ exports.createUser = async (req, res) => {
       });
     }
     
-    // Create user
-    const user = await User.create({
-      name,
-      email,
-      password: password || generateRandomPassword(),
-      role
+    const pendingInvitation = await Invitation.findOne({
+      email: String(email).toLowerCase(),
+      status: 'pending'
     });
+    if (pendingInvitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invitation is already pending for this email, resend it instead'
+      });
+    }
     
-    // Send welcome email with password
-    await sendWelcomeEmail(user, password || 'Please use the password set by admin');
+    const invitation = await invitationService.invite({ name, email, role, organization }, req.user);
+    
+    await recordAudit(req, {
+      action: 'user.invite',
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      metadata: { email: invitation.email, role: invitation.role, organization }
+    });
     
     res.status(201).json({
       success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        isActive: user.isActive
-      }
+      message: 'Invitation sent successfully',
+      data: invitation
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: error.message
     });
   }
 };
 
-// @desc    Get all users
+// @desc    Get all users (superAdmin: all organizations, ?organization= to filter)
 // @route   GET /api/v1/users
 // @access  Private/Admin
 exports.getUsers = async (req, res) => {
   try {
-    const users = await User.find().select('-password');
+    const users = await User.find(organizationFilter(req)).select('-password');
     
     res.status(200).json({
       success: true,
@@ -74,6 +107,60 @@ exports.getUsers = async (req, res) => {
   }
 };
 
+// @desc    Get an instructor's public profile
+// @route   GET /api/v1/users/instructors/:id
+// @access  Public
+exports.getInstructorProfile = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instructor not found'
+      });
+    }
+    
+    const user = await User.findOne({
+      _id: req.params.id,
+      role: { $in: ['instructor', 'teachingAssistant'] },
+      isActive: true
+    }).select('name role profile createdAt');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instructor not found'
+      });
+    }
+    
+    const batches = await Batch.find({
+      ...Batch.staffFilter(user._id),
+      isActive: true
+    })
+      .select('name startDate endDate course')
+      .populate('course', 'title');
+    
+    // Phone number stays private
+    const { phone, ...publicProfile } = user.profile ? user.profile.toObject() : {};
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        id: user._id,
+        name: user.name,
+        role: user.role,
+        profile: publicProfile,
+        memberSince: user.createdAt,
+        batches
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Get single user
 // @route   GET /api/v1/users/:id
 // @access  Private/Admin
@@ -103,27 +190,72 @@ exports.getUser = async (req, res) => {
 // @desc    Update user
 // @route   PUT /api/v1/users/:id
 // @access  Private/Admin
-//TODO: This controller simply takes input without validating and santizing 
 exports.updateUser = async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    }).select('-password');
+    const existingUser = await User.findById(req.params.id);
     
-    if (!user) {
+    if (!existingUser) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
     
+    // Moving users between organizations is not supported
+    const updates = {};
+    for (const field of ADMIN_EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+    
+    const profile = req.body.profile || {};
+    for (const field of User.EDITABLE_PROFILE_FIELDS) {
+      if (profile[field] !== undefined) {
+        updates[`profile.${field}`] = profile[field];
+      }
+    }
+    
+    // A new email address has to be verified again
+    if (updates.email && String(updates.email).toLowerCase() !== existingUser.email) {
+      updates.emailVerified = false;
+    }
+    
+    // Super admin accounts and the role itself are managed by super admins only
+    if (!isCrossOrganization(req.user) && (existingUser.role === 'superAdmin' || updates.role === 'superAdmin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super admin can manage super admin accounts'
+      });
+    }
+    
+    const user = await User.findByIdAndUpdate(req.params.id, updates, {
+      new: true,
+      runValidators: true
+    }).select('-password');
+    
+    // Sessions were issued for the old role or an active account
+    if (user.role !== existingUser.role || user.isActive !== existingUser.isActive) {
+      await RefreshToken.revokeAllForUser(
+        user._id,
+        user.isActive ? 'role_changed' : 'account_deactivated'
+      );
+    }
+    
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'User',
+      targetId: user._id,
+      before: existingUser,
+      after: user
+    });
+    
     res.status(200).json({
       success: true,
       data: user
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
       message: error.message
     });
@@ -135,19 +267,33 @@ exports.updateUser = async (req, res) => {
 // @access  Private/Admin
 exports.deleteUser = async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { isActive: false },
-      { new: true }
-    ).select('-password');
+    const existingUser = await User.findById(req.params.id);
     
-    if (!user) {
+    if (!existingUser) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
     
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    ).select('-password');
+    
+    // Sign the user out everywhere
+    await RefreshToken.revokeAllForUser(user._id, 'account_deactivated');
+    
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      targetType: 'User',
+      targetId: user._id,
+      before: { isActive: existingUser.isActive },
+      after: { isActive: user.isActive },
+      metadata: { email: user.email }
+    });
+    
     res.status(200).json({
       success: true,
       message: 'User deactivated successfully',
@@ -192,13 +338,448 @@ exports.activateUser = async (req, res) => {
   }
 };
 
-// Helper function to generate random password
-function generateRandomPassword() {
-  const length = 12;
-  const charset = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*";
-  let password = "";
-  for (let i = 0; i < length; i++) {
-    password += charset.charAt(Math.floor(Math.random() * charset.length));
+// @desc    Get currently locked accounts
+// @route   GET /api/v1/users/locked
+// @access  Private/Admin
+exports.getLockedUsers = async (req, res) => {
+  try {
+    const users = await User.find({ ...organizationFilter(req), lockUntil: { $gt: new Date() } })
+      .select('name email role failedLoginAttempts lastFailedLoginAt lockUntil')
+      .sort('-lastFailedLoginAt');
+    
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unlock a locked account
+// @route   PUT /api/v1/users/:id/unlock
+// @access  Private/Admin
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { failedLoginAttempts: 0, $unset: { lockUntil: 1 } },
+      { new: true }
+    ).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
   }
-  return password;
+};
+
+// @desc    Erase a user's account on their request (anonymize personal data)
+// @route   POST /api/v1/users/:id/erase
+// @access  Private/Admin
+exports.eraseUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user.role === 'superAdmin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Super admin accounts cannot be erased'
+      });
+    }
+    
+    if (user.erasedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has already been erased'
+      });
+    }
+    
+    const summary = await privacyService.eraseUser(user);
+    
+    await recordAudit(req, {
+      action: 'user.erase',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { ...summary, reason: req.body.reason }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'User personal data erased successfully',
+      data: summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a short-lived token to act as a user (support)
+// @route   POST /api/v1/users/:id/impersonate
+// @access  Private/SuperAdmin
+// Payments, credential and session changes are refused with this token,
+// and every request made with it is written to the audit log.
+exports.impersonateUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot impersonate an inactive user'
+      });
+    }
+    
+    if (user.role === 'superAdmin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot impersonate a super admin'
+      });
+    }
+    
+    const token = generateImpersonationToken(user, req.user, req.sessionId);
+    const expiresAt = new Date(verifyToken(token).exp * 1000);
+    
+    await recordAudit(req, {
+      action: 'user.impersonate',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { reason: req.body.reason, expiresAt }
+    });
+    
+    res.status(200).json({
+      success: true,
+      token,
+      impersonation: true,
+      expiresAt,
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Import users from CSV, optionally enrolling students into a batch
+// @route   POST /api/v1/users/import?dryRun=true
+// @access  Private/Admin
+// CSV columns: name, email, role (default student), batchId, paymentMethod (default fullPayment)
+// Re-running the same file is safe: existing emails and enrollments are skipped.
+exports.importUsers = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true' || String(req.body.dryRun) === 'true';
+    const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    
+    if (!csvText) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV file'
+      });
+    }
+    
+    let rows;
+    try {
+      rows = parseImportRows(csvText);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    const maxRows = parseInt(process.env.USER_IMPORT_MAX_ROWS || 1000);
+    if (rows.length === 0 || rows.length > maxRows) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV must contain between 1 and ${maxRows} rows`
+      });
+    }
+    
+    const organization = await getCreationOrganization(req);
+    if (organization === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organization not found or inactive'
+      });
+    }
+    
+    await validateImportRows(rows, organization);
+    
+    if (!dryRun) {
+      for (const row of rows) {
+        if (row.errors.length > 0) continue;
+        await processImportRow(row, req.user, organization);
+      }
+    }
+    
+    const results = rows.map(formatImportRow);
+    const summary = {
+      total: rows.length,
+      valid: rows.filter((row) => row.errors.length === 0).length,
+      invalid: rows.filter((row) => row.errors.length > 0).length,
+      created: results.filter((row) => row.user === 'created').length,
+      existing: results.filter((row) => row.user === 'existing').length,
+      enrolled: results.filter((row) => row.enrollment === 'enrolled').length,
+      alreadyEnrolled: results.filter((row) => row.enrollment === 'already_enrolled').length
+    };
+    
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: 'user.import',
+        targetType: 'User',
+        metadata: summary
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      dryRun,
+      summary,
+      data: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Helper function to turn CSV text into import rows
+function parseImportRows(csvText) {
+  const [headerRow, ...dataRows] = parseCsv(csvText);
+  
+  if (!headerRow) {
+    return [];
+  }
+  
+  // "Batch ID", "batch_id" and "batchId" all map to batchid
+  const headers = headerRow.map((header) => header.trim().toLowerCase().replace(/[\s_-]/g, ''));
+  
+  for (const required of ['name', 'email']) {
+    if (!headers.includes(required)) {
+      throw new Error(`CSV is missing the "${required}" column`);
+    }
+  }
+  
+  return dataRows.map((cells, index) => {
+    const value = (column) => {
+      const position = headers.indexOf(column);
+      return position === -1 ? '' : (cells[position] || '').trim();
+    };
+    
+    return {
+      row: index + 2, // header is row 1
+      name: value('name'),
+      email: value('email').toLowerCase(),
+      role: value('role') || 'student',
+      batchId: value('batchid'),
+      paymentMethod: value('paymentmethod'),
+      errors: []
+    };
+  });
+}
+
+// Helper function to validate import rows against each other and the database
+// Existing users and batches must belong to the organization being imported into
+async function validateImportRows(rows, organization) {
+  const emails = rows.map((row) => row.email).filter(Boolean);
+  const batchIds = [...new Set(rows.map((row) => row.batchId))]
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+  
+  const existingUsers = await User.find({ email: { $in: emails } });
+  const pendingInvitations = await Invitation.find({
+    email: { $in: emails },
+    status: 'pending'
+  }).select('email');
+  const batches = await Batch.find({ _id: { $in: batchIds } }).populate('course');
+  const enrollments = await Enrollment.find({
+    student: { $in: existingUsers.map((user) => user._id) },
+    batch: { $in: batchIds }
+  });
+  
+  const inOrganization = (doc) => String(doc.organization || '') === String(organization || '');
+  const usersByEmail = new Map(existingUsers.map((user) => [user.email, user]));
+  const invitedEmails = new Set(pendingInvitations.map((invitation) => invitation.email));
+  const batchesById = new Map(batches.map((batch) => [batch._id.toString(), batch]));
+  const seenEmails = new Map();
+  const plannedSeats = new Map();
+  
+  for (const row of rows) {
+    if (!row.name) {
+      row.errors.push('Name is required');
+    }
+    
+    if (!row.email || !validator.isEmail(row.email)) {
+      row.errors.push('A valid email is required');
+    } else if (seenEmails.has(row.email)) {
+      row.errors.push(`Duplicate email (first seen on row ${seenEmails.get(row.email)})`);
+    } else {
+      seenEmails.set(row.email, row.row);
+    }
+    
+    if (!IMPORT_ROLES.includes(row.role)) {
+      row.errors.push(`Invalid role "${row.role}"`);
+    }
+    
+    row.existingUser = usersByEmail.get(row.email) || null;
+    
+    if (row.existingUser && !inOrganization(row.existingUser)) {
+      row.errors.push('A user with this email belongs to another organization');
+    }
+    
+    if (!row.existingUser && invitedEmails.has(row.email)) {
+      row.errors.push('An invitation is already pending for this email');
+    }
+    
+    if (!row.batchId) {
+      if (row.paymentMethod) {
+        row.errors.push('paymentMethod requires a batchId');
+      }
+      continue;
+    }
+    
+    row.paymentMethod = row.paymentMethod || 'fullPayment';
+    if (!PAYMENT_METHODS.includes(row.paymentMethod)) {
+      row.errors.push(`Invalid payment method "${row.paymentMethod}"`);
+    }
+    
+    const role = row.existingUser ? row.existingUser.role : row.role;
+    if (role !== 'student') {
+      row.errors.push('Only students can be enrolled in a batch');
+    }
+    
+    const batch = batchesById.get(row.batchId);
+    if (!batch || !inOrganization(batch)) {
+      row.errors.push('Batch not found');
+      continue;
+    }
+    
+    row.batch = batch;
+    row.existingEnrollment = row.existingUser
+      ? enrollments.find((enrollment) =>
+        enrollment.student.toString() === row.existingUser._id.toString() &&
+        enrollment.batch.toString() === row.batchId
+      ) || null
+      : null;
+    
+    if (row.existingEnrollment) {
+      continue;
+    }
+    
+    if (!batch.isActive || batch.startDate <= new Date()) {
+      row.errors.push('Batch is not open for enrollment');
+      continue;
+    }
+    
+    // Keep the whole file within the batch capacity
+    const seats = (plannedSeats.get(row.batchId) || 0) + 1;
+    if (batch.currentStudents + seats > batch.maxStudents) {
+      row.errors.push('Batch is full');
+      continue;
+    }
+    plannedSeats.set(row.batchId, seats);
+  }
+}
+
+// Helper function to create the user and enrollment for a valid row
+// New accounts are created right away (so they can be enrolled) and invited
+// to set their own password
+async function processImportRow(row, importedBy, organization) {
+  try {
+    let user = row.existingUser;
+    
+    if (!user) {
+      user = await User.create({
+        name: row.name,
+        email: row.email,
+        password: generatePlaceholderPassword(),
+        role: row.role,
+        organization
+      });
+      row.createdUser = true;
+      
+      await invitationService.invite(
+        { name: row.name, email: row.email, role: row.role, organization, user },
+        importedBy
+      );
+    }
+    
+    if (row.batch && !row.existingEnrollment) {
+      await enrollmentService.createEnrollment(user, row.batch, row.paymentMethod);
+      row.enrolled = true;
+    }
+  } catch (error) {
+    row.errors.push(error.message);
+  }
+}
+
+// Helper function to describe the outcome of an import row
+function formatImportRow(row) {
+  let enrollment = null;
+  if (row.batchId) {
+    if (row.existingEnrollment) enrollment = 'already_enrolled';
+    else if (row.enrolled) enrollment = 'enrolled';
+    else if (row.errors.length === 0) enrollment = 'enroll';
+  }
+  
+  let user = row.existingUser ? 'existing' : 'create';
+  if (row.createdUser) user = 'created';
+  
+  return {
+    row: row.row,
+    name: row.name,
+    email: row.email,
+    role: row.existingUser ? row.existingUser.role : row.role,
+    batchId: row.batchId || null,
+    user: row.errors.length > 0 && !row.createdUser ? null : user,
+    enrollment,
+    errors: row.errors
+  };
+}
+
+// Helper function to generate a password nobody knows (replaced when the invitation is accepted)
+function generatePlaceholderPassword() {
+  return crypto.randomBytes(32).toString('hex');
 }
\ No newline at end of file
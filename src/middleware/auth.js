@@ -1,5 +1,132 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const { isTwoFactorRequired } = require('../utils/twoFactorService');
+const { authorize } = require('../utils/permissionService');
+const { recordAudit } = require('../utils/auditLogger');
+const { isPasswordExpired } = require('../utils/passwordPolicy');
+
+// Destructive actions refused while impersonating: credentials, sessions, payments
+// and personal data export
+const BLOCKED_WHILE_IMPERSONATING = [
+  { methods: ['POST', 'PUT', 'PATCH', 'DELETE'], path: /^\/api\/v1\/auth\// },
+  { methods: ['GET'], path: /^\/api\/v1\/auth\/me\/export\/?$/ },
+  { methods: ['POST'], path: /^\/api\/v1\/enrollments\/?$/ },
+  { methods: ['PUT'], path: /^\/api\/v1\/enrollments\/[^/]+\/cancel\/?$/ },
+  { methods: ['POST'], path: /^\/api\/v1\/bundles\/[^/]+\/enroll\/?$/ },
+  { methods: ['PUT'], path: /^\/api\/v1\/bundles\/enrollments\/[^/]+\/cancel\/?$/ },
+  { methods: ['DELETE'], path: /./ }
+];
+
+const isBlockedWhileImpersonating = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  return BLOCKED_WHILE_IMPERSONATING.some(
+    (rule) => rule.methods.includes(req.method) && rule.path.test(path)
+  );
+};
+
+// Resolve the superAdmin behind an impersonation token and audit the request
+const startImpersonation = async (req, res, decoded) => {
+  const impersonator = await User.findById(decoded.impersonatedBy).select('-password');
+
+  if (
+    !impersonator ||
+    !impersonator.isActive ||
+    !(await authorize(impersonator, 'user:impersonate'))
+  ) {
+    return false;
+  }
+
+  req.impersonator = impersonator;
+  res.setHeader('X-Impersonated-By', impersonator._id.toString());
+
+  res.on('finish', () => {
+    recordAudit(req, {
+      action: 'impersonation.request',
+      targetType: 'User',
+      targetId: req.user._id,
+      metadata: {
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode
+      }
+    });
+  });
+
+  return true;
+};
+
+// Account rules that confine a user to the auth routes until they are met
+// (an impersonating superAdmin has already passed their own checks)
+const getAccountPolicyError = (req) => {
+  if (req.impersonator || req.originalUrl.startsWith('/api/v1/auth')) {
+    return null;
+  }
+
+  // Org policy: these roles may only use auth routes until 2FA is enrolled
+  if (isTwoFactorRequired(req.user.role) && !req.user.twoFactorEnabled) {
+    return 'Two-factor authentication must be enabled for your account';
+  }
+
+  // Staff with an expired password may only use auth routes until they change it
+  if (isPasswordExpired(req.user)) {
+    return 'Your password has expired, please change it';
+  }
+
+  return null;
+};
+
+// Authenticate with a personal API key (X-API-Key header)
+const protectWithApiKey = async (req, res, next, rawKey) => {
+  try {
+    const apiKey = await ApiKey.findUsable(rawKey);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, expired or revoked API key'
+      });
+    }
+
+    // Keys cannot manage the account itself (passwords, sessions, other keys)
+    if (req.originalUrl.startsWith('/api/v1/auth')) {
+      return res.status(403).json({
+        success: false,
+        message: 'API keys cannot be used for account routes'
+      });
+    }
+
+    req.user = await User.findById(apiKey.user).select('-password');
+
+    if (!req.user || !req.user.isActive || !(await req.user.isOrganizationActive())) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or account is inactive'
+      });
+    }
+
+    const policyError = getAccountPolicyError(req);
+    if (policyError) {
+      return res.status(403).json({
+        success: false,
+        message: policyError
+      });
+    }
+
+    // Checked by permissionService on top of the role's permissions
+    req.user.apiKeyPermissions = apiKey.permissions;
+    req.apiKey = apiKey;
+    await apiKey.markUsed(req);
+
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+};
 
 const protect = async (req, res, next) => {
   let token;
@@ -11,6 +138,10 @@ const protect = async (req, res, next) => {
     token = req.headers.authorization.split(' ')[1];
   }
   
+  if (!token && req.headers['x-api-key']) {
+    return protectWithApiKey(req, res, next, req.headers['x-api-key']);
+  }
+  
   if (!token) {
     return res.status(401).json({
       success: false,
@@ -20,15 +151,49 @@ const protect = async (req, res, next) => {
   
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens die with their session (logout, rotation reuse, password change)
+    if (!decoded.sid || !(await RefreshToken.isFamilyActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked, please login again'
+      });
+    }
+
     req.user = await User.findById(decoded.id).select('-password');
     
-    if (!req.user || !req.user.isActive) {
+    if (!req.user || !req.user.isActive || !(await req.user.isOrganizationActive())) {
       return res.status(401).json({
         success: false,
         message: 'User not found or account is inactive'
       });
     }
     
+    if (decoded.purpose === 'impersonation') {
+      if (!(await startImpersonation(req, res, decoded))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation is no longer allowed, please login again'
+        });
+      }
+      
+      if (isBlockedWhileImpersonating(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This action is not allowed while impersonating a user'
+        });
+      }
+    }
+    
+    const policyError = getAccountPolicyError(req);
+    if (policyError) {
+      return res.status(403).json({
+        success: false,
+        message: policyError
+      });
+    }
+    
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     return res.status(401).json({
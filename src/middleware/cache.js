@@ -10,8 +10,13 @@ exports.cacheResponse = (ttl = 300) => {
       return next();
     }
     
-    // Generate cache key from URL and query params
-    const cacheKey = `api:${req.originalUrl || req.url}`;
+    // Generate cache key from organization, URL and query params
+    // (superAdmin responses span organizations, the URL carries any filter)
+    let scope = 'public';
+    if (req.user) {
+      scope = req.user.role === 'superAdmin' ? 'all' : String(req.user.organization || 'platform');
+    }
+    const cacheKey = `api:${scope}:${req.originalUrl || req.url}`;
     
     try {
       // Check cache
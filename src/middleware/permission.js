@@ -0,0 +1,70 @@
+const { getUserPermissionScope, isWithinScope, isWithinOrganization } = require('../utils/permissionService');
+
+/**
+ * Check that the user holds `permission`. When a resourceLoader is given and the
+ * role only holds the permission for its own resources, the loaded resource must
+ * belong to the user (own batch, own enrollment...); otherwise it must be in the
+ * user's organization. The loaded resource is attached to req.resource.
+ */
+const can = (permission, resourceLoader = null) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not authenticated'
+      });
+    }
+    
+    try {
+      const scope = await getUserPermissionScope(req.user, permission);
+      
+      if (!scope) {
+        return res.status(403).json({
+          success: false,
+          message: req.apiKey
+            ? `API key is not allowed to use ${permission}`
+            : `User role ${req.user.role} is not authorized to access this route`
+        });
+      }
+      
+      if (!resourceLoader) {
+        return next();
+      }
+      
+      const context = await resourceLoader(req);
+      
+      if (!context) {
+        return res.status(404).json({
+          success: false,
+          message: 'Resource not found'
+        });
+      }
+      
+      // Other organizations' resources do not exist as far as the user is concerned
+      if (scope === 'any' && !(await isWithinOrganization(req.user, context))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Resource not found'
+        });
+      }
+      
+      req.resource = context.resource;
+      
+      if (scope === 'own' && !(await isWithinScope(req.user, context))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this resource'
+        });
+      }
+      
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  };
+};
+
+module.exports = { can };
@@ -0,0 +1,15 @@
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Stricter limiter for credential endpoints (login, 2FA, password reset)
+ */
+exports.authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  limit: parseInt(process.env.AUTH_RATE_LIMIT || 20), // requests per IP per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many requests from this IP, please try again later'
+  }
+});
@@ -0,0 +1,11 @@
+const { randomUUID } = require('crypto');
+
+/**
+ * Tag every request with an id (reuses an incoming X-Request-Id header)
+ */
+exports.requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = incoming && /^[\w-]{1,100}$/.test(incoming) ? incoming : randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
@@ -183,6 +183,48 @@ const uploadDoubtAttachment = multer({
 // Export new middleware
 exports.uploadDoubtAttachments = uploadDoubtAttachment.array('attachments', 5); // Max 5 files
 
+// CSV imports are parsed in memory, never stored
+const csvFilter = (req, file, cb) => {
+  const allowedMimes = ['text/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+  if (allowedMimes.includes(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+    cb(null, true);
+  } else {
+    req.fileValidationError = 'Only CSV files are allowed';
+    cb(new Error('Invalid file type'), false);
+  }
+};
+
+const uploadCsvFile = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: csvFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB
+  }
+});
+
+exports.uploadCsv = uploadCsvFile.single('file');
+
+// Profile pictures, cropped square around the face
+const avatarStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: process.env.CLOUDINARY_AVATARS_FOLDER || 'alma-better/avatars',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+    transformation: [{ width: 400, height: 400, crop: 'fill', gravity: 'face' }]
+  }
+});
+
+const uploadAvatarImage = multer({
+  storage: avatarStorage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB
+  }
+});
+
+exports.uploadAvatar = uploadAvatarImage.single('avatar');
+
 // Error handling middleware
 exports.handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
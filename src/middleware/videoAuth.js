@@ -35,7 +35,7 @@ exports.validateSessionToken = async (req, res, next) => {
  */
 exports.canJoinSession = async (req, res, next) => {
   try {
-    const { sessionId } = req.params;
+    const sessionId = req.params.sessionId || req.params.id;
     const userId = req.user ? req.user.id : req.sessionAccess.userId;
     const userRole = req.user ? req.user.role : req.sessionAccess.role;
     
@@ -95,28 +95,3 @@ exports.canJoinSession = async (req, res, next) => {
     });
   }
 };
-
-/**
- * Middleware for instructor-only session actions
- */
-exports.instructorOnly = (req, res, next) => {
-  const userRole = req.user ? req.user.role : req.sessionAccess.role;
-  
-  if (userRole !== 'instructor' && userRole !== 'admin' && userRole !== 'superAdmin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Only instructors can perform this action'
-    });
-  }
-  
-  // Check if instructor owns the session
-  if (req.session && req.session.instructor.toString() !== req.user.id && 
-      userRole !== 'admin' && userRole !== 'superAdmin') {
-    return res.status(403).json({
-      success: false,
-      message: 'You can only manage your own sessions'
-    });
-  }
-  
-  next();
-};
\ No newline at end of file
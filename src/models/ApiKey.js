@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const KEY_PREFIX = "ak_";
+
+// Personal API key; acts as its owner, limited to `permissions`
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, "Please provide a key name"],
+    trim: true,
+    maxlength: [100, "Key name cannot exceed 100 characters"],
+  },
+  // Only the SHA-256 hash of the key is stored
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // First characters of the key, to tell keys apart in listings
+  keyPrefix: {
+    type: String,
+    required: true,
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (permissions) => permissions.length > 0,
+      message: "Select at least one permission",
+    },
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+apiKeySchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+};
+
+// Create a key; the raw key is returned once and never stored
+apiKeySchema.statics.issue = async function (userId, { name, permissions, expiresAt }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+
+  const doc = await this.create({
+    user: userId,
+    name,
+    permissions,
+    expiresAt,
+    keyHash: this.hashKey(key),
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 8),
+  });
+
+  return { key, doc };
+};
+
+// Find an unrevoked, unexpired key by its raw value
+apiKeySchema.statics.findUsable = async function (key) {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  return this.findOne({
+    keyHash: this.hashKey(key),
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Record usage, at most once a minute to spare writes on busy scripts
+apiKeySchema.methods.markUsed = async function (req) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return;
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = req.ip;
+  await this.save();
+};
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
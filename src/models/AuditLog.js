@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+// Append-only record of privileged actions
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  actorEmail: String,
+  actorRole: String,
+  // Set when a superAdmin (the actor) acted as another user
+  impersonatedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  action: {
+    type: String,
+    required: true, // e.g. course.update, user.deactivate
+  },
+  targetType: {
+    type: String,
+    required: true, // model name, e.g. Course
+  },
+  targetId: mongoose.Schema.Types.ObjectId,
+  // Changed fields only
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  requestId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ impersonatedUser: 1, createdAt: -1 }, { sparse: true });
+
+// Entries can be created but never changed or removed
+const rejectMutation = function () {
+  throw new Error("Audit log entries are append-only");
+};
+
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) {
+    rejectMutation();
+  }
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  auditLogSchema.pre(operation, { document: true, query: true }, rejectMutation);
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+
+const authAttemptSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ["login", "two_factor", "forgot_password"],
+    required: true,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  ip: String,
+  userAgent: String,
+  success: {
+    type: Boolean,
+    default: false,
+  },
+  reason: String, // e.g. invalid_password, account_locked
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 90 * 24 * 60 * 60, // keep 90 days
+  },
+});
+
+// Indexes
+authAttemptSchema.index({ ip: 1, action: 1, createdAt: -1 });
+authAttemptSchema.index({ email: 1, action: 1, createdAt: -1 });
+authAttemptSchema.index({ user: 1, createdAt: -1 });
+
+// Record an attempt
+authAttemptSchema.statics.record = async function (req, data) {
+  return this.create({
+    ...data,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+  });
+};
+
+// Count attempts matching `filter` within the last `minutes`
+authAttemptSchema.statics.countRecent = async function (filter, minutes) {
+  return this.countDocuments({
+    ...filter,
+    createdAt: { $gte: new Date(Date.now() - minutes * 60 * 1000) },
+  });
+};
+
+/**
+ * Progressive delay: after `freeAttempts` consecutive failures inside the window,
+ * every further failure doubles the wait (1s, 2s, 4s ... capped at 5 minutes).
+ * Returns the number of seconds the caller still has to wait.
+ */
+authAttemptSchema.statics.getRetryDelay = async function (filter, freeAttempts) {
+  const windowMinutes = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15);
+  const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+  // Failures only count since the last successful attempt
+  const lastSuccess = await this.findOne({ ...filter, success: true, createdAt: { $gte: since } })
+    .sort("-createdAt")
+    .select("createdAt");
+
+  const failures = await this.find({
+    ...filter,
+    success: false,
+    createdAt: { $gte: lastSuccess ? lastSuccess.createdAt : since },
+  })
+    .sort("-createdAt")
+    .select("createdAt");
+
+  if (failures.length < freeAttempts) {
+    return 0;
+  }
+
+  const delaySeconds = Math.min(2 ** (failures.length - freeAttempts), 300);
+  const retryAt = failures[0].createdAt.getTime() + delaySeconds * 1000;
+
+  return Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+};
+
+// Whether the user has signed in before, and from this browser/device
+authAttemptSchema.statics.getDeviceHistory = async function (userId, userAgent) {
+  const [hasPreviousLogin, isKnownDevice] = await Promise.all([
+    this.exists({ user: userId, action: "login", success: true }),
+    this.exists({ user: userId, action: "login", success: true, userAgent }),
+  ]);
+
+  return { hasPreviousLogin: !!hasPreviousLogin, isKnownDevice: !!isKnownDevice };
+};
+
+module.exports = mongoose.model("AuthAttempt", authAttemptSchema);
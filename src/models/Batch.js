@@ -18,6 +18,15 @@ const scheduleSchema = new mongoose.Schema({
   },
 });
 
+// Check that every user in `ids` exists and has `role`
+const hasRole = async (ids, role) => {
+  if (!ids || ids.length === 0) return true;
+
+  const User = mongoose.model("User");
+  const count = await User.countDocuments({ _id: { $in: ids }, role });
+  return count === new Set(ids.map((id) => id.toString())).size;
+};
+
 const batchSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -64,6 +73,34 @@ const batchSchema = new mongoose.Schema({
       message: "Assigned user must be an instructor",
     },
   },
+  coInstructors: {
+    type: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    validate: {
+      validator: async function (value) {
+        return hasRole(value, "instructor");
+      },
+      message: "Co-instructors must be instructors",
+    },
+  },
+  assistants: {
+    type: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    validate: {
+      validator: async function (value) {
+        return hasRole(value, "teachingAssistant");
+      },
+      message: "Assistants must be teaching assistants",
+    },
+  },
   maxStudents: {
     type: Number,
     required: [true, "Please provide maximum number of students"],
@@ -82,6 +119,11 @@ const batchSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Copied from the course
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
@@ -112,6 +154,24 @@ batchSchema.pre("findOneAndUpdate", async function (next) {
   }
 });
 
+// Indexes
+batchSchema.index({ coInstructors: 1 });
+batchSchema.index({ assistants: 1 });
+batchSchema.index({ organization: 1 });
+
+// Query matching batches a user teaches or assists
+batchSchema.statics.staffFilter = function (userId) {
+  return {
+    $or: [{ instructor: userId }, { coInstructors: userId }, { assistants: userId }],
+  };
+};
+
+// Check if user is the instructor, a co-instructor or an assistant of the batch
+batchSchema.methods.isStaff = function (userId) {
+  const ids = [this.instructor, ...(this.coInstructors || []), ...(this.assistants || [])];
+  return ids.some((id) => id && (id._id || id).toString() === userId.toString());
+};
+
 // Virtual for checking if batch has started
 batchSchema.virtual("hasStarted").get(function () {
   return this.startDate <= new Date();
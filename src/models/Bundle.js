@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const bundleSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Please provide bundle title"],
+      trim: true,
+      maxlength: [100, "Title cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      required: [true, "Please provide bundle description"],
+      maxlength: [2000, "Description cannot exceed 2000 characters"],
+    },
+    shortDescription: {
+      type: String,
+      maxlength: [200, "Short description cannot exceed 200 characters"],
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    // Courses in learning order; a student takes one batch of each
+    courses: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Course",
+        },
+      ],
+      validate: [
+        {
+          validator: (courses) => courses.length >= 2,
+          message: "A bundle needs at least 2 courses",
+        },
+        {
+          validator: (courses) => new Set(courses.map(String)).size === courses.length,
+          message: "A course can only be in a bundle once",
+        },
+      ],
+    },
+    // Price of the whole bundle, usually below the sum of the course fees
+    price: {
+      type: Number,
+      required: [true, "Please provide bundle price"],
+      min: [0, "Price cannot be negative"],
+    },
+    emiAmount: {
+      type: Number,
+      required: [true, "Please provide EMI amount per month"],
+      min: [0, "EMI amount cannot be negative"],
+    },
+    thumbnail: {
+      url: String,
+      public_id: String,
+    },
+    isPublished: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true },
+);
+
+bundleSchema.index({ organization: 1, isPublished: 1 });
+bundleSchema.index({ courses: 1 });
+
+// Sum of the course fees (courses populated)
+bundleSchema.methods.getListPrice = function () {
+  return this.courses.reduce((sum, course) => sum + (course.fee || 0), 0);
+};
+
+module.exports = mongoose.model("Bundle", bundleSchema);
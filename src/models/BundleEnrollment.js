@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+// A student's purchase of a bundle: one Enrollment per course of the bundle
+const bundleEnrollmentSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bundle",
+      required: true,
+    },
+    // Copied from the bundle
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    enrollments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Enrollment",
+      },
+    ],
+    paymentMethod: {
+      type: String,
+      enum: ["fullPayment", "emi"],
+      required: true,
+    },
+    // Sum of the course fees and the bundle price paid instead
+    listPrice: Number,
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: [0, "Amount cannot be negative"],
+    },
+    status: {
+      type: String,
+      enum: ["active", "completed", "cancelled"],
+      default: "active",
+    },
+    // Average of the course progresses (see BundleService.getProgress)
+    overallProgress: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    completedCourses: {
+      type: Number,
+      default: 0,
+    },
+    completedAt: Date,
+    lastCalculated: Date,
+  },
+  { timestamps: true },
+);
+
+bundleEnrollmentSchema.index({ student: 1, bundle: 1 });
+bundleEnrollmentSchema.index({ organization: 1, createdAt: -1 });
+
+module.exports = mongoose.model("BundleEnrollment", bundleEnrollmentSchema);
@@ -0,0 +1,140 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema({
+  // Entered by students at checkout, stored uppercase
+  code: {
+    type: String,
+    required: [true, "Please provide coupon code"],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, "Code can only contain 3-30 letters, numbers, dashes and underscores"],
+  },
+  description: {
+    type: String,
+    maxlength: [500, "Description cannot exceed 500 characters"],
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
+  discountType: {
+    type: String,
+    enum: ["percentage", "flat"],
+    required: [true, "Please provide discount type"],
+  },
+  discountValue: {
+    type: Number,
+    required: [true, "Please provide discount value"],
+    min: [0, "Discount cannot be negative"],
+    validate: {
+      validator: function (value) {
+        return this.discountType !== "percentage" || value <= 100;
+      },
+      message: "Percentage discount cannot exceed 100",
+    },
+  },
+  // Upper limit for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: [0, "Maximum discount cannot be negative"],
+  },
+  // Courses the coupon applies to, empty = every course of the organization
+  courses: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+    },
+  ],
+  validFrom: {
+    type: Date,
+    default: Date.now,
+  },
+  validUntil: Date,
+  // Total redemptions (null = unlimited)
+  maxUses: {
+    type: Number,
+    min: [1, "Maximum uses must be at least 1"],
+    default: null,
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, "Per user limit must be at least 1"],
+    default: 1,
+  },
+  // Early bird: only while the batch has fewer enrollments than this
+  firstNStudents: {
+    type: Number,
+    min: [1, "First N students must be at least 1"],
+    default: null,
+  },
+  // Enrollments currently holding the coupon (cancelled ones give it back)
+  usedCount: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Codes are unique inside an organization
+couponSchema.index({ organization: 1, code: 1 }, { unique: true });
+
+// Update timestamp
+couponSchema.pre("save", async function () {
+  if (!this.isNew) {
+    this.updatedAt = Date.now();
+  }
+});
+
+couponSchema.pre("validate", async function () {
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    this.invalidate("validUntil", "Valid until must be after valid from");
+  }
+});
+
+// Discount on a fee, never more than the fee itself
+couponSchema.methods.getDiscount = function (fee) {
+  let discount = this.discountType === "percentage"
+    ? Math.round((fee * this.discountValue) / 100)
+    : this.discountValue;
+
+  if (this.discountType === "percentage" && this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.min(discount, fee);
+};
+
+// Take one use, false when the coupon ran out meanwhile
+couponSchema.statics.redeem = async function (couponId) {
+  const result = await this.updateOne(
+    {
+      _id: couponId,
+      $or: [{ maxUses: null }, { $expr: { $lt: ["$usedCount", "$maxUses"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Give back a use of a cancelled enrollment
+couponSchema.statics.release = function (couponId) {
+  return this.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+module.exports = mongoose.model("Coupon", couponSchema);
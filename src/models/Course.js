@@ -1,5 +1,63 @@
 const mongoose = require("mongoose");
 
+// A lesson of the curriculum, linking the learning materials and assignments
+// (of any batch of the course) that act as its templates
+const lessonSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, "Please provide lesson title"],
+    trim: true,
+    maxlength: [200, "Title cannot exceed 200 characters"],
+  },
+  description: {
+    type: String,
+    maxlength: [1000, "Description cannot exceed 1000 characters"],
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+  durationMinutes: {
+    type: Number,
+    min: [0, "Duration cannot be negative"],
+  },
+  // Shown as a free preview in the catalog
+  isPreview: {
+    type: Boolean,
+    default: false,
+  },
+  materials: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LearningMaterial",
+    },
+  ],
+  assignments: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Assignment",
+    },
+  ],
+});
+
+const moduleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, "Please provide module title"],
+    trim: true,
+    maxlength: [200, "Title cannot exceed 200 characters"],
+  },
+  description: {
+    type: String,
+    maxlength: [1000, "Description cannot exceed 1000 characters"],
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+  lessons: [lessonSchema],
+});
+
 const courseSchema = new mongoose.Schema(
   {
     title: {
@@ -53,6 +111,37 @@ const courseSchema = new mongoose.Schema(
     tags: [String],
     prerequisites: [String],
     learningOutcomes: [String],
+    // Published revision the versioned fields were copied from
+    currentRevision: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CourseRevision",
+    },
+    currentVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Aggregate of published reviews (see Review.updateCourseRating)
+    ratingAverage: {
+      type: Number,
+      default: 0,
+    },
+    ratingCount: {
+      type: Number,
+      default: 0,
+    },
+    ratingDistribution: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 },
+    },
+    // Modules -> lessons, kept in `order`
+    curriculum: [moduleSchema],
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -75,7 +164,55 @@ courseSchema.pre("findOneAndUpdate", async function () {
   this.set({ updatedAt: Date.now() });
 });
 
+// Syllabus for the public catalog: the curriculum without linked ids
+courseSchema.methods.getSyllabus = function () {
+  let lessonCount = 0;
+  let totalMinutes = 0;
+
+  const modules = (this.curriculum || []).map((module) => {
+    lessonCount += module.lessons.length;
+
+    return {
+      _id: module._id,
+      title: module.title,
+      description: module.description,
+      order: module.order,
+      lessons: module.lessons.map((lesson) => {
+        totalMinutes += lesson.durationMinutes || 0;
+
+        return {
+          _id: lesson._id,
+          title: lesson.title,
+          description: lesson.description,
+          order: lesson.order,
+          durationMinutes: lesson.durationMinutes,
+          isPreview: lesson.isPreview,
+          materialCount: lesson.materials.length,
+          assignmentCount: lesson.assignments.length,
+        };
+      }),
+    };
+  });
+
+  return {
+    moduleCount: modules.length,
+    lessonCount,
+    totalMinutes,
+    modules,
+  };
+};
+
+// Remove a deleted learning material or assignment from every lesson
+courseSchema.statics.unlinkFromCurriculum = function (courseId, field, id) {
+  return this.updateOne(
+    { _id: courseId },
+    { $pull: { [`curriculum.$[].lessons.$[].${field}`]: id } },
+  );
+};
+
 // Index for search
 courseSchema.index({ title: "text", description: "text", tags: "text" });
+courseSchema.index({ organization: 1 });
+courseSchema.index({ isPublished: 1, ratingAverage: -1 });
 
 module.exports = mongoose.model("Course", courseSchema);
@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+
+// Course fields that go through draft -> publish. Everything else (thumbnail,
+// catalog visibility, curriculum, ratings) is edited on the course directly.
+const VERSIONED_FIELDS = [
+  "title",
+  "description",
+  "shortDescription",
+  "fee",
+  "emiAmount",
+  "duration",
+  "durationUnit",
+  "category",
+  "tags",
+  "prerequisites",
+  "learningOutcomes",
+];
+
+const courseRevisionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+  },
+  // Copied from the course
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // draft: being edited, published: live on the course, archived: replaced
+  status: {
+    type: String,
+    enum: ["draft", "published", "archived"],
+    default: "draft",
+  },
+  // Values of VERSIONED_FIELDS, validated against the Course schema
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // Version the revision was started from
+  basedOn: Number,
+  note: {
+    type: String,
+    maxlength: [500, "Note cannot exceed 500 characters"],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  publishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+courseRevisionSchema.index({ course: 1, version: -1 }, { unique: true });
+// At most one open draft per course
+courseRevisionSchema.index(
+  { course: 1 },
+  { unique: true, partialFilterExpression: { status: "draft" } },
+);
+
+// Update timestamp
+courseRevisionSchema.pre("save", async function () {
+  if (!this.isNew) {
+    this.updatedAt = Date.now();
+  }
+});
+
+courseRevisionSchema.statics.VERSIONED_FIELDS = VERSIONED_FIELDS;
+
+// Versioned values of a course (or of a request body, skipping missing fields)
+courseRevisionSchema.statics.pickContent = function (source) {
+  const content = {};
+  for (const field of VERSIONED_FIELDS) {
+    if (source[field] !== undefined) {
+      content[field] = source[field];
+    }
+  }
+  return content;
+};
+
+// Fields that differ between two revisions' content
+courseRevisionSchema.statics.diff = function (from = {}, to = {}) {
+  return VERSIONED_FIELDS
+    .filter((field) => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map((field) => ({ field, from: from[field], to: to[field] }));
+};
+
+module.exports = mongoose.model("CourseRevision", courseRevisionSchema);
@@ -17,6 +17,47 @@ const enrollmentSchema = new mongoose.Schema(
       ref: "Course",
       required: true,
     },
+    // Copied from the batch
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    // Course revision (fee, EMI terms) the student enrolled under
+    courseRevision: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CourseRevision",
+    },
+    courseVersion: Number,
+    // Course fee before discounts and scholarships; totalAmount is what the student pays
+    listPrice: {
+      type: Number,
+      min: [0, "Price cannot be negative"],
+    },
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+    },
+    couponCode: String,
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Discount cannot be negative"],
+    },
+    // Set when bought as part of a bundle; the fee is the course's share of the bundle price
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bundle",
+    },
+    bundleEnrollment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BundleEnrollment",
+    },
+    // Approved scholarships (see Scholarship)
+    scholarshipAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Scholarship cannot be negative"],
+    },
     paymentMethod: {
       type: String,
       enum: ["fullPayment", "emi"],
@@ -86,16 +127,21 @@ const enrollmentSchema = new mongoose.Schema(
 
 // Ensure one student can't enroll in same batch multiple times
 enrollmentSchema.index({ student: 1, batch: 1 }, { unique: true });
+enrollmentSchema.index({ organization: 1, enrollmentDate: -1 });
+enrollmentSchema.index({ coupon: 1, student: 1 }, { sparse: true });
 
 // Update remaining amount based on paid amount
 enrollmentSchema.pre("save", async function () {
   this.remainingAmount = this.totalAmount - this.paidAmount;
 
-  // Update payment status based on amounts
-  if (this.paidAmount === 0) {
-    this.paymentStatus = "pending";
-  } else if (this.paidAmount >= this.totalAmount) {
+  // Cancelled enrollments keep their status
+  if (this.enrollmentStatus === "cancelled") return;
+
+  // Update payment status based on amounts (free enrollments are paid)
+  if (this.paidAmount >= this.totalAmount) {
     this.paymentStatus = "paid";
+  } else if (this.paidAmount === 0) {
+    this.paymentStatus = "pending";
   } else if (this.paidAmount > 0) {
     this.paymentStatus = "partially_paid";
   }
@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+const validator = require("validator");
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, "Please provide an email"],
+    lowercase: true,
+    trim: true,
+    validate: [validator.isEmail, "Please provide a valid email"],
+  },
+  name: {
+    type: String,
+    required: [true, "Please provide a name"],
+    trim: true,
+    maxlength: [50, "Name cannot exceed 50 characters"],
+  },
+  role: {
+    type: String,
+    enum: ["student", "instructor", "teachingAssistant", "admin"],
+    required: true,
+  },
+  // Set when the account already exists (e.g. created by a bulk import)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Organization the account joins
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "revoked"],
+    default: "pending",
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Bumped on every resend so that older links stop working
+  sendCount: {
+    type: Number,
+    default: 0,
+  },
+  lastSentAt: Date,
+  acceptedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes - only one open invitation per email
+invitationSchema.index(
+  { email: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } },
+);
+invitationSchema.index({ status: 1, createdAt: -1 });
+
+invitationSchema.virtual("isExpired").get(function () {
+  return this.expiresAt <= new Date();
+});
+
+invitationSchema.pre("save", function () {
+  this.updatedAt = Date.now();
+});
+
+module.exports = mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Pending OIDC login, created when the user is sent to the IdP and
+// consumed once by the callback
+const oidcLoginStateSchema = new mongoose.Schema({
+  // SHA-256 of the `state` parameter
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // SHA-256 of the browser token kept by the frontend that started the login,
+  // so a callback is only accepted from that browser
+  browserTokenHash: {
+    type: String,
+    required: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  // Signed-in user linking the identity to their account (not set for logins)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  nonce: {
+    type: String,
+    required: true,
+  },
+  codeVerifier: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 10 * 60, // 10 minutes to finish the login
+  },
+});
+
+module.exports = mongoose.model("OidcLoginState", oidcLoginStateSchema);
@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+const validator = require("validator");
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+// Look and feel of emails and the frontend for an organization
+const brandingSchema = new mongoose.Schema({
+  // Signature used in emails, e.g. "Acme Academy Team"
+  teamName: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Team name cannot exceed 100 characters"],
+  },
+  primaryColor: {
+    type: String,
+    match: [HEX_COLOR, "Primary color must be a hex color like #4F46E5"],
+  },
+  logoUrl: {
+    type: String,
+    validate: {
+      validator: (value) => !value || validator.isURL(value, { protocols: ["https"], require_protocol: true }),
+      message: "Logo must be an https URL",
+    },
+  },
+  supportEmail: {
+    type: String,
+    lowercase: true,
+    validate: {
+      validator: (value) => !value || validator.isEmail(value),
+      message: "Please provide a valid support email",
+    },
+  },
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Please provide organization name"],
+    trim: true,
+    maxlength: [100, "Name cannot exceed 100 characters"],
+  },
+  // Used in URLs and to pick the organization at registration
+  slug: {
+    type: String,
+    required: [true, "Please provide organization slug"],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, "Slug can only contain lowercase letters, numbers and dashes"],
+    maxlength: [50, "Slug cannot exceed 50 characters"],
+  },
+  branding: {
+    type: brandingSchema,
+    default: () => ({}),
+  },
+  // Students can sign up on their own (otherwise invitation only)
+  allowSelfRegistration: {
+    type: Boolean,
+    default: true,
+  },
+  // Inactive organizations take no new members, courses or batches
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp
+organizationSchema.pre("save", async function () {
+  if (!this.isNew) {
+    this.updatedAt = Date.now();
+  }
+});
+
+// Platform branding, used for users outside any organization and for missing fields
+organizationSchema.statics.DEFAULT_BRANDING = {
+  appName: process.env.APP_NAME || "AlmaBetter Clone",
+  teamName: process.env.EMAIL_TEAM_NAME || "AlmaBetter Clone Team",
+  primaryColor: process.env.EMAIL_PRIMARY_COLOR || "#4F46E5",
+  logoUrl: null,
+  supportEmail: null,
+};
+
+// Branding of an organization (or the platform), with defaults filled in
+organizationSchema.statics.getBranding = async function (organizationOrId) {
+  const defaults = this.DEFAULT_BRANDING;
+
+  const organization = organizationOrId && organizationOrId.branding
+    ? organizationOrId
+    : organizationOrId && (await this.findById(organizationOrId._id || organizationOrId).lean());
+
+  if (!organization) {
+    return { ...defaults };
+  }
+
+  const branding = organization.branding || {};
+
+  return {
+    appName: organization.name,
+    teamName: branding.teamName || `${organization.name} Team`,
+    primaryColor: branding.primaryColor || defaults.primaryColor,
+    logoUrl: branding.logoUrl || defaults.logoUrl,
+    supportEmail: branding.supportEmail || defaults.supportEmail,
+  };
+};
+
+module.exports = mongoose.model("Organization", organizationSchema);
@@ -21,6 +21,11 @@ const paymentSchema = new mongoose.Schema({
     ref: 'Course',
     required: true
   },
+  // Copied from the enrollment
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   amount: {
     type: Number,
     required: true,
@@ -42,7 +47,8 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    // cancelled: the order was withdrawn before it was paid (replaced or the enrollment cancelled)
+    enum: ['pending', 'completed', 'failed', 'refunded', 'cancelled'],
     default: 'pending'
   },
   razorpayOrderId: String,
@@ -53,6 +59,15 @@ const paymentSchema = new mongoose.Schema({
     default: Date.now
   },
   dueDate: Date,
+  // Coupon applied to the enrollment, recorded on its first payment
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
   lateFeeApplied: {
     type: Number,
     default: 0
@@ -69,6 +84,9 @@ const paymentSchema = new mongoose.Schema({
   }
 });
 
+// Indexes
+paymentSchema.index({ organization: 1, paymentDate: -1 });
+
 // Update timestamp
 paymentSchema.pre('findOneAndUpdate', function(next) {
   this.set({ updatedAt: Date.now() });
@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Only the SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // All tokens rotated from the same login share a family (one per device session)
+  family: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 },
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: [
+      "rotated",
+      "logout",
+      "session_revoked",
+      "logout_all",
+      "reuse_detected",
+      "password_changed",
+      "account_deactivated",
+      "role_changed",
+      "account_erased",
+      "organization_deactivated",
+    ],
+  },
+  replacedByHash: String,
+  createdByIp: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+
+// Virtual for checking if token can still be used
+refreshTokenSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Hash a raw refresh token
+refreshTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Issue a new refresh token, starting a new family unless one is given
+refreshTokenSchema.statics.issue = async function (userId, options = {}) {
+  const token = crypto.randomBytes(40).toString("hex");
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || 30);
+
+  const doc = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(token),
+    family: options.family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    createdByIp: options.ip,
+    userAgent: options.userAgent,
+  });
+
+  return { token, family: doc.family, doc };
+};
+
+// Revoke every active token of a family
+refreshTokenSchema.statics.revokeFamily = async function (family, reason) {
+  return this.updateMany(
+    { family, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+};
+
+// Revoke every active token of a user
+refreshTokenSchema.statics.revokeAllForUser = async function (userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+};
+
+// Check whether a family still holds a usable token
+refreshTokenSchema.statics.isFamilyActive = async function (family) {
+  const token = await this.exists({
+    family,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  });
+
+  return !!token;
+};
+
+// Active sessions (families) of a user, most recently used first
+refreshTokenSchema.statics.listActiveSessions = async function (userId) {
+  const now = new Date();
+
+  return this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: "$family",
+        startedAt: { $first: "$createdAt" },
+        lastActiveAt: { $last: "$createdAt" },
+        ip: { $last: "$createdByIp" },
+        userAgent: { $last: "$userAgent" },
+        expiresAt: { $last: "$expiresAt" },
+        active: {
+          $max: {
+            $and: [{ $not: ["$revokedAt"] }, { $gt: ["$expiresAt", now] }],
+          },
+        },
+      },
+    },
+    { $match: { active: true } },
+    { $sort: { lastActiveAt: -1 } },
+    { $project: { _id: 0, id: "$_id", startedAt: 1, lastActiveAt: 1, ip: 1, userAgent: 1, expiresAt: 1 } },
+  ]);
+};
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
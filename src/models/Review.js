@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+
+const reviewSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Batch",
+    required: true,
+  },
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Enrollment",
+    required: true,
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Copied from the enrollment
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
+  rating: {
+    type: Number,
+    required: [true, "Please provide a rating"],
+    min: [1, "Rating must be between 1 and 5"],
+    max: [5, "Rating must be between 1 and 5"],
+    validate: {
+      validator: Number.isInteger,
+      message: "Rating must be a whole number",
+    },
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Title cannot exceed 100 characters"],
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, "Review cannot exceed 2000 characters"],
+  },
+
+  // Instructor reply
+  reply: {
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Reply cannot exceed 2000 characters"],
+    },
+    repliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    repliedAt: Date,
+  },
+
+  // Moderation - hidden reviews leave the catalog and the course rating
+  status: {
+    type: String,
+    enum: ["published", "hidden"],
+    default: "published",
+  },
+  moderation: {
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    moderatedAt: Date,
+    reason: String,
+  },
+  reports: [
+    {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reason: {
+        type: String,
+        maxlength: [500, "Reason cannot exceed 500 characters"],
+      },
+      reportedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  reportCount: {
+    type: Number,
+    default: 0,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One review per student per batch
+reviewSchema.index({ student: 1, batch: 1 }, { unique: true });
+reviewSchema.index({ course: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ organization: 1, reportCount: -1 });
+
+// Update timestamp
+reviewSchema.pre("save", async function () {
+  if (!this.isNew) {
+    this.updatedAt = Date.now();
+  }
+});
+
+// Recalculate the aggregate rating stored on the course from published reviews
+reviewSchema.statics.updateCourseRating = async function (courseId) {
+  const Course = mongoose.model("Course");
+
+  const counts = await this.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(String(courseId)), status: "published" } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let sum = 0;
+
+  for (const { _id: rating, count } of counts) {
+    distribution[rating] = count;
+    total += count;
+    sum += rating * count;
+  }
+
+  await Course.updateOne({ _id: courseId }, {
+    $set: {
+      ratingAverage: total ? Math.round((sum / total) * 10) / 10 : 0,
+      ratingCount: total,
+      ratingDistribution: distribution,
+    },
+  });
+};
+
+module.exports = mongoose.model("Review", reviewSchema);
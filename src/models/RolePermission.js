@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Overrides the default permissions of a role (see config/permissions.js)
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  permissions: [String],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp
+rolePermissionSchema.pre("findOneAndUpdate", async function () {
+  this.set({ updatedAt: Date.now() });
+});
+
+module.exports = mongoose.model("RolePermission", rolePermissionSchema);
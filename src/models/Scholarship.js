@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+const scholarshipSchema = new mongoose.Schema({
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Enrollment",
+    required: true,
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Batch",
+    required: true,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course",
+    required: true,
+  },
+  // Copied from the enrollment
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
+  // Fixed amount or percentage of the fee (after coupon discounts)
+  type: {
+    type: String,
+    enum: ["amount", "percentage"],
+    required: [true, "Please provide scholarship type"],
+  },
+  value: {
+    type: Number,
+    required: [true, "Please provide scholarship value"],
+    min: [0.01, "Scholarship must be more than 0"],
+    validate: {
+      validator: function (value) {
+        return this.type !== "percentage" || value <= 100;
+      },
+      message: "Percentage scholarship cannot exceed 100",
+    },
+  },
+  // Amount taken off the fee, worked out again on approval
+  amount: {
+    type: Number,
+    min: [0, "Amount cannot be negative"],
+  },
+  reason: {
+    type: String,
+    required: [true, "Please provide a reason"],
+    trim: true,
+    maxlength: [1000, "Reason cannot exceed 1000 characters"],
+  },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected", "cancelled"],
+    default: "pending",
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    maxlength: [1000, "Note cannot exceed 1000 characters"],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One open request per enrollment
+scholarshipSchema.index(
+  { enrollment: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } },
+);
+scholarshipSchema.index({ organization: 1, status: 1, createdAt: -1 });
+
+// Update timestamp
+scholarshipSchema.pre("save", async function () {
+  if (!this.isNew) {
+    this.updatedAt = Date.now();
+  }
+});
+
+// Amount taken off a fee
+scholarshipSchema.methods.getAmount = function (fee) {
+  const amount = this.type === "percentage" ? Math.round((fee * this.value) / 100) : this.value;
+  return Math.min(amount, fee);
+};
+
+module.exports = mongoose.model("Scholarship", scholarshipSchema);
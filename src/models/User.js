@@ -2,6 +2,68 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const validator = require("validator");
 const crypto = require("crypto");
+const { verifyTotp, hashBackupCode } = require("../utils/twoFactorService");
+const { getPasswordPolicy } = require("../utils/passwordPolicy");
+
+// Accepts only http(s) links on the given host (or its subdomains)
+const profileUrlValidator = (host) => ({
+  validator: (value) =>
+    !value ||
+    (validator.isURL(value, { protocols: ["http", "https"], require_protocol: true }) &&
+      new RegExp(`^https?://([a-z0-9-]+\\.)*${host.replace(".", "\\.")}(/|$)`, "i").test(value)),
+  message: `Please provide a valid ${host} URL`,
+});
+
+const isValidTimezone = (value) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Contact details and public profile shown on session pages and doubt threads
+const profileSchema = new mongoose.Schema(
+  {
+    avatar: {
+      url: String,
+      public_id: String,
+    },
+    phone: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: (value) => !value || validator.isMobilePhone(value, "any", { strictMode: true }),
+        message: "Please provide a valid phone number with country code, e.g. +919876543210",
+      },
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Bio cannot exceed 1000 characters"],
+    },
+    linkedin: {
+      type: String,
+      trim: true,
+      validate: profileUrlValidator("linkedin.com"),
+    },
+    github: {
+      type: String,
+      trim: true,
+      validate: profileUrlValidator("github.com"),
+    },
+    timezone: {
+      type: String,
+      default: "Asia/Kolkata",
+      validate: {
+        validator: (value) => !value || isValidTimezone(value),
+        message: "Please provide a valid IANA timezone, e.g. Asia/Kolkata",
+      },
+    },
+  },
+  { _id: false },
+);
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,21 +85,83 @@ const userSchema = new mongoose.Schema({
     minlength: [8, "Password must be at least 8 characters"],
     select: false,
   },
+  // Previous password hashes, newest first (current one excluded)
+  passwordHistory: {
+    type: [String],
+    select: false,
+  },
+  passwordChangedAt: Date,
   role: {
     type: String,
-    enum: ["student", "instructor", "admin", "superAdmin"],
+    enum: ["student", "instructor", "teachingAssistant", "admin", "superAdmin"],
     default: "student",
   },
   isActive: {
     type: Boolean,
     default: true,
   },
+  // Tenant the user belongs to; superAdmin works across organizations
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
+  profile: {
+    type: profileSchema,
+    default: () => ({}),
+  },
   passwordResetToken: String,
   passwordResetExpires: Date,
   emailVerified: {
     type: Boolean,
     default: false,
   },
+  emailVerifiedAt: Date,
+  emailVerificationSentAt: Date,
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  twoFactorBackupCodes: {
+    type: [String], // sha256 hashes, removed once used
+    select: false,
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false,
+  },
+  twoFactorEnabledAt: Date,
+  // Brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
+  // Linked single sign-on identities (OIDC provider id + subject)
+  oidcIdentities: [
+    {
+      _id: false,
+      provider: String,
+      subject: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  // Provisioned through single sign-on with a random password nobody knows,
+  // cleared once the user sets a password of their own
+  ssoOnly: {
+    type: Boolean,
+    default: false,
+  },
+  // Set once personal data has been anonymized (account erasure)
+  erasedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now,
@@ -48,11 +172,29 @@ const userSchema = new mongoose.Schema({
   },
 });
 
+userSchema.index({ "oidcIdentities.provider": 1, "oidcIdentities.subject": 1 });
+userSchema.index({ organization: 1, role: 1 });
+
 // Encrypt password before saving
-userSchema.pre("save", async function (next) {
+userSchema.pre("save", async function () {
   if (!this.isModified("password")) return;
 
-  return (this.password = await bcrypt.hash(this.password, 12));
+  // Remember the hash being replaced so it cannot be reused
+  if (!this.isNew) {
+    const previous = await this.constructor
+      .findById(this._id)
+      .select("+password +passwordHistory");
+
+    if (previous && previous.password) {
+      const keep = Math.max(getPasswordPolicy().historyCount - 1, 0);
+      this.passwordHistory = [previous.password, ...(previous.passwordHistory || [])].slice(0, keep);
+    }
+
+    this.ssoOnly = false;
+  }
+
+  this.passwordChangedAt = new Date();
+  this.password = await bcrypt.hash(this.password, 12);
 });
 
 // Update timestamp on update
@@ -60,6 +202,74 @@ userSchema.pre("findOneAndUpdate", async function (next) {
   this.set({ updatedAt: Date.now() });
 });
 
+// Virtual for checking if the account is temporarily locked
+userSchema.virtual("isLocked").get(function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Count a failed login, locking the account once the limit is reached.
+// Returns true when this failure caused a new lock. Counted in the database
+// so parallel failures cannot overwrite each other's count.
+userSchema.methods.registerFailedLogin = async function () {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS || 5);
+  const lockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES || 15);
+  const now = new Date();
+
+  // Previous lock has expired, start counting again
+  await this.constructor.updateOne(
+    { _id: this._id, lockUntil: { $lte: now } },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } },
+  );
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true },
+  );
+  if (!updated) return false;
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = updated.lastFailedLoginAt;
+  this.lockUntil = updated.lockUntil;
+
+  if (updated.failedLoginAttempts < maxAttempts || updated.isLocked) {
+    return false;
+  }
+
+  // Only the failure that sets the lock reports it
+  const lockUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      failedLoginAttempts: { $gte: maxAttempts },
+      $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }],
+    },
+    { $set: { lockUntil } },
+  );
+
+  if (result.modifiedCount !== 1) return false;
+
+  this.lockUntil = lockUntil;
+  return true;
+};
+
+// Clear failed attempts and any lock
+userSchema.methods.resetLoginAttempts = async function () {
+  if (!this.failedLoginAttempts && !this.lockUntil) return;
+
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  await this.save({ validateBeforeSave: false });
+};
+
+// Users of a deactivated organization can no longer sign in or use the API
+userSchema.methods.isOrganizationActive = async function () {
+  if (!this.organization) return true;
+
+  const organization = await mongoose.model("Organization").exists({ _id: this.organization, isActive: true });
+  return !!organization;
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -76,4 +286,49 @@ userSchema.methods.createPasswordResetToken = function () {
   return resetToken;
 };
 
+// Verify a TOTP code (or a backup code) against the stored secret.
+// Requires the 2FA fields to be selected. The code is claimed in the database,
+// so of concurrent requests with the same code only one succeeds.
+userSchema.methods.verifyTwoFactorCode = async function (code, backupCode) {
+  if (code) {
+    const step = verifyTotp(this.twoFactorSecret, code);
+    if (step === null) return false;
+
+    // Reject replays of an already used code
+    const result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }],
+      },
+      { $set: { twoFactorLastUsedStep: step } },
+    );
+    if (result.modifiedCount !== 1) return false;
+
+    // Already stored, a later save must not write it back over a newer step
+    this.twoFactorLastUsedStep = step;
+    this.unmarkModified("twoFactorLastUsedStep");
+    return true;
+  }
+
+  if (backupCode) {
+    const hashed = hashBackupCode(backupCode);
+    if (!(this.twoFactorBackupCodes || []).includes(hashed)) return false;
+
+    const result = await this.constructor.updateOne(
+      { _id: this._id, twoFactorBackupCodes: hashed },
+      { $pull: { twoFactorBackupCodes: hashed } },
+    );
+    if (result.modifiedCount !== 1) return false;
+
+    this.twoFactorBackupCodes.pull(hashed);
+    this.unmarkModified("twoFactorBackupCodes");
+    return true;
+  }
+
+  return false;
+};
+
+// Profile fields users may edit themselves (avatar has its own upload route)
+userSchema.statics.EDITABLE_PROFILE_FIELDS = ["phone", "bio", "linkedin", "github", "timezone"];
+
 module.exports = mongoose.model("User", userSchema);
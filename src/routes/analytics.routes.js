@@ -5,6 +5,7 @@ const {
   getBatchAnalytics,
   getCourseAnalytics,
   getPaymentCollectionReport,
+  getCouponRedemptionReport,
   getStudentEngagementMetrics,
   getRevenueAnalytics,
   getEnrollmentAnalytics,
@@ -12,18 +13,34 @@ const {
   getAdminDashboard,
 } = require("../controllers/analytics.controller");
 const { protect } = require("../middleware/auth");
-const { authorize } = require("../middleware/role");
+const { can } = require("../middleware/permission");
+const loaders = require("../utils/resourceLoaders");
 const { cacheResponse } = require("../middleware/cache");
 
 // All routes protected
 router.use(protect);
-router.use(authorize("admin", "superAdmin"));
+
+// Batch analytics (instructors for their own batches)
+router.get(
+  "/batches/:batchId",
+  can("analytics:batch:view", loaders.batch()),
+  cacheResponse(300),
+  getBatchAnalytics,
+);
+
+// Everything else is system-wide
+router.use(can("analytics:view"));
 
 // Analytics endpoints with caching
 router.get("/system", cacheResponse(300), getSystemAnalytics);
-router.get("/batches/:batchId", cacheResponse(300), getBatchAnalytics);
-router.get("/courses/:courseId", cacheResponse(3600), getCourseAnalytics);
+router.get(
+  "/courses/:courseId",
+  can("analytics:view", loaders.course("courseId")),
+  cacheResponse(3600),
+  getCourseAnalytics,
+);
 router.get("/payments", cacheResponse(300), getPaymentCollectionReport);
+router.get("/coupons", cacheResponse(300), getCouponRedemptionReport);
 router.get("/engagement", cacheResponse(300), getStudentEngagementMetrics);
 router.get("/revenue", cacheResponse(300), getRevenueAnalytics);
 router.get("/enrollments", cacheResponse(300), getEnrollmentAnalytics);
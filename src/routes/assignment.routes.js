@@ -10,7 +10,8 @@ const {
   getAssignmentSubmissions
 } = require('../controllers/assignment.controller');
 const { protect } = require('../middleware/auth');
-const { authorize } = require('../middleware/role');
+const { can } = require('../middleware/permission');
+const loaders = require('../utils/resourceLoaders');
 const { canAccessBatchMaterials, canManageBatchContent } = require('../middleware/accessControl');
 
 // All routes protected
@@ -18,19 +19,15 @@ router.use(protect);
 
 // Batch assignments
 router.get('/batches/:batchId/assignments', canAccessBatchMaterials, getBatchAssignments);
-router.post('/batches/:batchId/assignments', 
-  authorize('instructor', 'admin', 'superAdmin'),
-  canManageBatchContent,
-  createAssignment
-);
+router.post('/batches/:batchId/assignments', canManageBatchContent, createAssignment);
 
 // Assignment CRUD
-router.get('/:id', getAssignment);
-router.put('/:id', authorize('instructor', 'admin', 'superAdmin'), updateAssignment);
-router.delete('/:id', authorize('instructor', 'admin', 'superAdmin'), deleteAssignment);
-router.put('/:id/publish', authorize('instructor', 'admin', 'superAdmin'), togglePublish);
+router.get('/:id', can('batch:content:view', loaders.assignment()), getAssignment);
+router.put('/:id', can('batch:content:manage', loaders.assignment()), updateAssignment);
+router.delete('/:id', can('batch:content:manage', loaders.assignment()), deleteAssignment);
+router.put('/:id/publish', can('batch:content:manage', loaders.assignment()), togglePublish);
 
 // Instructor only - submissions
-router.get('/assignments/:id/submissions', authorize('instructor', 'admin', 'superAdmin'), getAssignmentSubmissions);
+router.get('/assignments/:id/submissions', can('assignment:grade', loaders.assignment()), getAssignmentSubmissions);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const { getAuditLogs, exportAuditLogs } = require("../controllers/audit.controller");
+const { protect } = require("../middleware/auth");
+const { can } = require("../middleware/permission");
+
+// All audit routes require authentication and audit access (superAdmin)
+router.use(protect);
+router.use(can("audit:view"));
+
+router.get("/", getAuditLogs);
+router.get("/export", exportAuditLogs);
+
+module.exports = router;
@@ -7,19 +7,83 @@ const {
   resetPassword,
   getMe,
   updateDetails,
-  updatePassword
+  updatePassword,
+  refreshToken,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  unlockAccount,
+  exportMyData,
+  eraseMyAccount,
+  updateAvatar,
+  deleteAvatar,
+  getSessions,
+  revokeSession,
+  getLoginHistory,
+  getPasswordPolicy,
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  startOidcLink,
+  linkOidcIdentity
 } = require('../controllers/auth.controller');
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKey.controller');
 const { protect } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimit');
+const { uploadAvatar, handleUploadError } = require('../middleware/uploads');
 
 // Public routes
 router.post('/register', register);
-router.post('/login', login);
-router.post('/forgot-password', forgotPassword);
+router.post('/login', authLimiter, login);
+router.post('/forgot-password', authLimiter, forgotPassword);
 router.put('/reset-password/:resetToken', resetPassword);
+router.post('/refresh', refreshToken);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/2fa/login', authLimiter, verifyTwoFactorLogin);
+router.get('/unlock-account/:token', unlockAccount);
+router.get('/password-policy', getPasswordPolicy);
+
+// Single sign-on (OpenID Connect)
+router.get('/oidc/providers', getOidcProviders);
+router.get('/oidc/:provider/login', authLimiter, startOidcLogin);
+router.post('/oidc/:provider/callback', authLimiter, oidcCallback);
 
 // Protected routes
 router.get('/me', protect, getMe);
+router.get('/me/export', protect, exportMyData);
+router.delete('/me', protect, eraseMyAccount);
 router.put('/update-details', protect, updateDetails);
+router.put('/avatar', protect, uploadAvatar, handleUploadError, updateAvatar);
+router.delete('/avatar', protect, deleteAvatar);
 router.put('/update-password', protect, updatePassword);
+router.post('/logout', protect, logout);
+router.post('/logout-all', protect, logoutAll);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+router.get('/login-history', protect, getLoginHistory);
+router.post('/resend-verification', protect, resendVerification);
+router.get('/oidc/:provider/link', protect, startOidcLink);
+router.post('/oidc/:provider/link', protect, linkOidcIdentity);
+
+// Personal API keys
+router.get('/api-keys', protect, getApiKeys);
+router.post('/api-keys', protect, createApiKey);
+router.delete('/api-keys/:id', protect, revokeApiKey);
+
+// Two-factor authentication
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/backup-codes', protect, regenerateBackupCodes);
 
 module.exports = router;
\ No newline at end of file
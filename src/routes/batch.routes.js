@@ -10,22 +10,23 @@ const {
   getBatchesByCourse
 } = require('../controllers/batch.controller');
 const { protect } = require('../middleware/auth');
-const { authorize } = require('../middleware/role');
+const { can } = require('../middleware/permission');
+const loaders = require('../utils/resourceLoaders');
 
 // All routes protected
 router.use(protect);
 
 // Admin only routes
-router.post('/', authorize('admin', 'superAdmin'), createBatch);
-router.put('/:id', authorize('admin', 'superAdmin'), updateBatch);
-router.delete('/:id', authorize('admin', 'superAdmin'), deleteBatch);
-router.put('/:id/toggle-active', authorize('admin', 'superAdmin'), toggleActive);
+router.post('/', can('batch:manage'), createBatch);
+router.put('/:id', can('batch:manage', loaders.batch('id')), updateBatch);
+router.delete('/:id', can('batch:manage', loaders.batch('id')), deleteBatch);
+router.put('/:id/toggle-active', can('batch:manage', loaders.batch('id')), toggleActive);
 
 // Admin, instructor, student routes
-router.get('/', getBatches);
-router.get('/:id', getBatch);
+router.get('/', can('batch:view'), getBatches);
+router.get('/:id', can('batch:view', loaders.batch('id')), getBatch);
 
 // Public route for course batches (with auth)
-router.get('/courses/:courseId/batches', protect, getBatchesByCourse);
+router.get('/courses/:courseId/batches', can('batch:view'), getBatchesByCourse);
 
 module.exports = router;
\ No newline at end of file
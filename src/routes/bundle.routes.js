@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createBundle,
+  getBundles,
+  getManagedBundles,
+  getBundle,
+  updateBundle,
+  deleteBundle,
+  togglePublish,
+  enrollInBundle,
+  getMyBundles,
+  getBundleProgress,
+  cancelBundleEnrollment,
+} = require("../controllers/bundle.controller");
+const { protect } = require("../middleware/auth");
+const { can } = require("../middleware/permission");
+const loaders = require("../utils/resourceLoaders");
+
+// Admin routes
+router.post("/", protect, can("bundle:manage"), createBundle);
+router.get("/manage", protect, can("bundle:manage"), getManagedBundles);
+router
+  .route("/:id")
+  .put(protect, can("bundle:manage", loaders.bundle()), updateBundle)
+  .delete(protect, can("bundle:manage", loaders.bundle()), deleteBundle);
+router.put("/:id/publish", protect, can("bundle:manage", loaders.bundle()), togglePublish);
+
+// Student routes
+router.post("/:id/enroll", protect, can("enrollment:create"), enrollInBundle);
+router.get("/my-bundles", protect, can("enrollment:view"), getMyBundles);
+router.get(
+  "/enrollments/:id/progress",
+  protect,
+  can("enrollment:view", loaders.bundleEnrollment()),
+  getBundleProgress,
+);
+router.put(
+  "/enrollments/:id/cancel",
+  protect,
+  can("enrollment:cancel", loaders.bundleEnrollment()),
+  cancelBundleEnrollment,
+);
+
+// Public routes
+router.get("/", getBundles);
+router.get("/:id", getBundle);
+
+module.exports = router;
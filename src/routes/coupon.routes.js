@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createCoupon,
+  getCoupons,
+  getCoupon,
+  updateCoupon,
+  deleteCoupon,
+  validateCoupon,
+} = require("../controllers/coupon.controller");
+const { protect } = require("../middleware/auth");
+const { can } = require("../middleware/permission");
+const loaders = require("../utils/resourceLoaders");
+
+router.use(protect);
+
+// Student routes
+router.post("/validate", can("enrollment:create"), validateCoupon);
+
+// Admin routes
+router
+  .route("/")
+  .get(can("coupon:manage"), getCoupons)
+  .post(can("coupon:manage"), createCoupon);
+
+router
+  .route("/:id")
+  .get(can("coupon:manage", loaders.coupon()), getCoupon)
+  .put(can("coupon:manage", loaders.coupon()), updateCoupon)
+  .delete(can("coupon:manage", loaders.coupon()), deleteCoupon);
+
+module.exports = router;
@@ -8,17 +8,37 @@ const {
   deleteCourse,
   togglePublish,
   getCourseStats,
+  searchCourses,
 } = require("../controllers/course.controller");
+const {
+  getCurriculum,
+  replaceCurriculum,
+  addModule,
+  updateModule,
+  deleteModule,
+  addLesson,
+  updateLesson,
+  deleteLesson,
+} = require("../controllers/curriculum.controller");
+const {
+  getRevisions,
+  getRevisionDiff,
+  getRevision,
+  discardDraft,
+  publishDraft,
+  rollbackRevision,
+} = require("../controllers/courseRevision.controller");
 const { protect } = require("../middleware/auth");
-const { authorize } = require("../middleware/role");
+const { can } = require("../middleware/permission");
 const { uploadThumbnail, handleUploadError } = require("../middleware/uploads");
+const loaders = require("../utils/resourceLoaders");
 
 
 // Admin only routes
 router.post(
   "/",
   protect,
-  authorize("admin", "superAdmin"),
+  can("course:manage"),
   uploadThumbnail,
   handleUploadError,
   createCourse,
@@ -26,17 +46,44 @@ router.post(
 router.put(
   "/:id",
   protect,
-  authorize("admin", "superAdmin"),
+  can("course:manage", loaders.course("id")),
   uploadThumbnail,
   handleUploadError,
   updateCourse,
 );
-router.delete("/:id", protect, authorize("admin", "superAdmin"), deleteCourse);
-router.put("/:id/publish",protect, authorize("admin", "superAdmin"), togglePublish);
-router.get("/stats",protect, authorize("admin", "superAdmin"), getCourseStats);
+router.delete("/:id", protect, can("course:manage", loaders.course("id")), deleteCourse);
+router.put("/:id/publish",protect, can("course:manage", loaders.course("id")), togglePublish);
+router.get("/stats",protect, can("course:manage"), getCourseStats);
+
+const canManageCourse = can("course:manage", loaders.course("id"));
+
+// Revisions (draft -> published)
+router.get("/:id/revisions", protect, canManageCourse, getRevisions);
+router.get("/:id/revisions/diff", protect, canManageCourse, getRevisionDiff);
+router.delete("/:id/revisions/draft", protect, canManageCourse, discardDraft);
+router.put("/:id/revisions/draft/publish", protect, canManageCourse, publishDraft);
+router.get("/:id/revisions/:version", protect, canManageCourse, getRevision);
+router.put("/:id/revisions/:version/rollback", protect, canManageCourse, rollbackRevision);
+
+// Curriculum (modules -> lessons)
+router
+  .route("/:id/curriculum")
+  .get(protect, canManageCourse, getCurriculum)
+  .put(protect, canManageCourse, replaceCurriculum);
+router.post("/:id/curriculum/modules", protect, canManageCourse, addModule);
+router
+  .route("/:id/curriculum/modules/:moduleId")
+  .put(protect, canManageCourse, updateModule)
+  .delete(protect, canManageCourse, deleteModule);
+router.post("/:id/curriculum/modules/:moduleId/lessons", protect, canManageCourse, addLesson);
+router
+  .route("/:id/curriculum/modules/:moduleId/lessons/:lessonId")
+  .put(protect, canManageCourse, updateLesson)
+  .delete(protect, canManageCourse, deleteLesson);
 
 // Public routes (with authentication)
 router.get("/", getCourses);
+router.get("/search", searchCourses);
 router.get("/:id", getCourse);
 
 module.exports = router;
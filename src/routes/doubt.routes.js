@@ -12,7 +12,8 @@ const {
   pinDoubt,
 } = require("../controllers/doubt.controller");
 const { protect } = require("../middleware/auth");
-const { authorize } = require("../middleware/role");
+const { can } = require("../middleware/permission");
+const loaders = require("../utils/resourceLoaders");
 const { uploadDoubtAttachments, handleUploadError } = require("../middleware/uploads");
 
 // All routes protected
@@ -21,30 +22,32 @@ router.use(protect);
 // Student routes
 router.post(
   "/",
-  authorize("student"),
+  can("doubt:create"),
   uploadDoubtAttachments,
   handleUploadError,
   createDoubt,
 );
 
-router.post("/:id/reply", uploadDoubtAttachments, handleUploadError, replyToDoubt);
+router.post(
+  "/:id/reply",
+  can("doubt:reply", loaders.doubt()),
+  uploadDoubtAttachments,
+  handleUploadError,
+  replyToDoubt,
+);
 
-router.post("/:id/vote", voteDoubt);
-router.post("/:id/follow", followDoubt);
+router.post("/:id/vote", can("doubt:reply", loaders.doubt()), voteDoubt);
+router.post("/:id/follow", can("doubt:reply", loaders.doubt()), followDoubt);
 
 // Batch doubts
-router.get("/batches/:batchId/doubts", getBatchDoubts);
+router.get("/batches/:batchId/doubts", can("doubt:view", loaders.batch()), getBatchDoubts);
 
 // Single doubt
-router.get("/:id", getDoubt);
+router.get("/:id", can("doubt:view", loaders.doubt()), getDoubt);
 
 // Instructor routes
-router.get(
-  "/instructor/doubts",
-  authorize("instructor", "admin", "superAdmin"),
-  getInstructorDoubts,
-);
-router.put("/:id/resolve", authorize("instructor", "admin", "superAdmin"), resolveDoubt);
-router.put("/:id/pin", authorize("instructor", "admin", "superAdmin"), pinDoubt);
+router.get("/instructor/doubts", can("doubt:manage"), getInstructorDoubts);
+router.put("/:id/resolve", can("doubt:manage", loaders.doubt()), resolveDoubt);
+router.put("/:id/pin", can("doubt:manage", loaders.doubt()), pinDoubt);
 
 module.exports = router;
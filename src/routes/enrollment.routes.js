@@ -9,7 +9,8 @@ const {
   cancelEnrollment
 } = require('../controllers/enrollment.controller');
 const { protect } = require('../middleware/auth');
-const { authorize } = require('../middleware/role');
+const { can } = require('../middleware/permission');
+const loaders = require('../utils/resourceLoaders');
 
 // Payment callback (public for webhook)
 router.post('/payment-callback', paymentCallback);
@@ -18,12 +19,12 @@ router.post('/payment-callback', paymentCallback);
 router.use(protect);
 
 // Student enrollment
-router.post('/', authorize('student'), enrollInBatch);
-router.get('/my-enrollments', authorize('student'), getMyEnrollments);
-router.get('/:id', getEnrollment); // Student can see own, admin/instructor can see all
-router.put('/:id/cancel', cancelEnrollment); // Student can cancel own, admin can cancel any
+router.post('/', can('enrollment:create'), enrollInBatch);
+router.get('/my-enrollments', can('enrollment:view'), getMyEnrollments);
+router.get('/:id', can('enrollment:view', loaders.enrollment()), getEnrollment); // Student can see own, instructor their batches, admin all
+router.put('/:id/cancel', can('enrollment:cancel', loaders.enrollment()), cancelEnrollment); // Student can cancel own, admin can cancel any
 
 // Admin/Instructor routes
-router.get('/batches/:batchId/enrollments', authorize('admin', 'superAdmin', 'instructor'), getBatchEnrollments);
+router.get('/batches/:batchId/enrollments', can('enrollment:roster', loaders.batch()), getBatchEnrollments);
 
 module.exports = router;
\ No newline at end of file
@@ -8,7 +8,9 @@ const {
   finalizeBatchGrades,
 } = require("../controllers/grade.controller");
 const { protect } = require("../middleware/auth");
-const { authorize } = require("../middleware/role");
+const { can } = require("../middleware/permission");
+const { canGradeAssignment } = require("../middleware/accessControl");
+const loaders = require("../utils/resourceLoaders");
 
 // All routes protected
 router.use(protect);
@@ -16,23 +18,23 @@ router.use(protect);
 // Grading
 router.put(
   "/submissions/:id/grade",
-  authorize("instructor", "admin", "superAdmin"),
+  can("assignment:grade", loaders.submission()),
   gradeSubmission,
 );
 router.post(
   "/assignments/:assignmentId/bulk-grade",
-  authorize("instructor", "admin", "superAdmin"),
+  canGradeAssignment,
   bulkGradeSubmissions,
 );
 
 // Grade viewing
-router.get("/batches/:batchId/grades", getBatchGrades);
-router.get("/student/grades", authorize("student"), getStudentGrades);
+router.get("/batches/:batchId/grades", can("grade:view", loaders.batch()), getBatchGrades);
+router.get("/student/grades", can("grade:view"), getStudentGrades);
 
 // Grade finalization
 router.put(
   "/batches/:batchId/grades/finalize",
-  authorize("instructor", "admin", "superAdmin"),
+  can("grade:finalize", loaders.batch()),
   finalizeBatchGrades,
 );
 
@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation,
+} = require("../controllers/invitation.controller");
+const { protect } = require("../middleware/auth");
+const { can } = require("../middleware/permission");
+const { authLimiter } = require("../middleware/rateLimit");
+
+// Public routes (invite link)
+router.get("/accept/:token", getInvitationByToken);
+router.post("/accept/:token", authLimiter, acceptInvitation);
+
+// Admin routes
+router.use(protect);
+router.use(can("user:manage"));
+
+router.get("/", getInvitations);
+router.put("/:id/resend", resendInvitation);
+router.put("/:id/revoke", revokeInvitation);
+
+module.exports = router;
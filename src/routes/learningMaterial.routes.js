@@ -10,7 +10,8 @@ const {
   getMaterialStats,
 } = require("../controllers/learningMaterial.controller");
 const { protect } = require("../middleware/auth");
-const { authorize } = require("../middleware/role");
+const { can } = require("../middleware/permission");
+const loaders = require("../utils/resourceLoaders");
 const {
   canAccessBatchMaterials,
   canManageBatchContent,
@@ -28,33 +29,36 @@ router.get(
 );
 router.get(
   "/batches/:batchId/learning-materials/stats",
-  authorize("instructor", "admin", "superAdmin"),
+  canManageBatchContent,
   getMaterialStats,
 );
 
 // Material CRUD
 router.post(
   "/batches/:batchId/learning-materials",
-  authorize("instructor", "admin", "superAdmin"),
   canManageBatchContent,
   uploadSessionMaterial,
   handleUploadError,
   createLearningMaterial,
 );
 //! TODO: Does not respect the 'isPublish' flag, even with 'isPublish' set to false, student can access that material
-router.get("/:id", getLearningMaterial);
+router.get("/:id", can("batch:content:view", loaders.learningMaterial()), getLearningMaterial);
 router.put(
   "/:id",
-  authorize("instructor", "admin", "superAdmin"),
+  can("batch:content:manage", loaders.learningMaterial()),
   uploadSessionMaterial,
   handleUploadError,
   updateLearningMaterial,
 );
 router.delete(
   "/:id",
-  authorize("instructor", "admin", "superAdmin"),
+  can("batch:content:manage", loaders.learningMaterial()),
   deleteLearningMaterial,
 );
-router.put("/:id/publish", authorize("instructor", "admin", "superAdmin"), togglePublish);
+router.put(
+  "/:id/publish",
+  can("batch:content:manage", loaders.learningMaterial()),
+  togglePublish,
+);
 
 module.exports = router;
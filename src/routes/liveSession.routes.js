@@ -12,12 +12,9 @@ const {
   uploadRecording,
 } = require("../controllers/liveSession.controller");
 const { protect } = require("../middleware/auth");
-const { authorize } = require("../middleware/role");
-const {
-  canJoinSession,
-  instructorOnly,
-  validateSessionToken,
-} = require("../middleware/videoAuth");
+const { can } = require("../middleware/permission");
+const loaders = require("../utils/resourceLoaders");
+const { canJoinSession, validateSessionToken } = require("../middleware/videoAuth");
 const {
   uploadRecording: uploadRecordingMiddleware,
   handleUploadError,
@@ -27,31 +24,39 @@ const {
 router.use(protect);
 
 // Instructor routes
-router.post("/", authorize("instructor", "admin", "superAdmin"), createLiveSession);
+router.post(
+  "/",
+  can("batch:content:manage", loaders.batch("batch", "body")),
+  createLiveSession,
+);
 router.get(
   "/instructor/sessions",
-  authorize("instructor", "admin", "superAdmin"),
+  can("batch:content:manage"),
   getInstructorSessions,
 );
 router.put(
   "/:id/cancel",
-  authorize("instructor", "admin", "superAdmin"),
+  can("batch:content:manage", loaders.liveSession()),
   cancelLiveSession,
 );
 router.post(
   "/:id/recording",
-  authorize("instructor", "admin", "superAdmin"),
+  can("batch:content:manage", loaders.liveSession()),
   uploadRecordingMiddleware,
   handleUploadError,
   uploadRecording,
 );
 
 // Batch sessions
-router.get("/batches/:batchId/sessions", getBatchSessions);
+router.get(
+  "/batches/:batchId/sessions",
+  can("batch:content:view", loaders.batch()),
+  getBatchSessions,
+);
 
 // Session management
-router.get("/:id", getLiveSession);
-router.put("/:id", authorize("instructor", "admin", "superAdmin"), updateLiveSession);
+router.get("/:id", can("batch:content:view", loaders.liveSession()), getLiveSession);
+router.put("/:id", can("batch:content:manage", loaders.liveSession()), updateLiveSession);
 
 // Session access
 router.get("/:id/join-link", canJoinSession, getSessionJoinLink);
@@ -9,34 +9,43 @@ const {
   getStudentSessions,
 } = require("../controllers/sessionMaterial.controller");
 const { protect } = require("../middleware/auth");
-const { authorize } = require("../middleware/role");
+const { can } = require("../middleware/permission");
+const loaders = require("../utils/resourceLoaders");
 const { uploadSessionMaterial, handleUploadError } = require("../middleware/uploads");
 
 // All routes protected
 router.use(protect);
 
 // Student dashboard
-router.get("/student/sessions", authorize("student"), getStudentSessions);
+router.get("/student/sessions", can("session:join"), getStudentSessions);
 
 // Session materials
-router.get("/live-sessions/:sessionId/materials", getSessionMaterials);
+router.get(
+  "/live-sessions/:sessionId/materials",
+  can("batch:content:view", loaders.liveSession("sessionId")),
+  getSessionMaterials,
+);
 router.post(
   "/",
-  authorize("instructor", "admin", "superAdmin"),
+  can("session:material:manage"), // batch scope checked once the multipart body is parsed
   uploadSessionMaterial,
   handleUploadError,
   uploadMaterial,
 );
 
 // Material CRUD
-router.get("/:id", getMaterial);
+router.get("/:id", can("batch:content:view", loaders.sessionMaterial()), getMaterial);
 router.put(
   "/:id",
-  authorize("instructor", "admin", "superAdmin"),
+  can("session:material:manage", loaders.sessionMaterial()),
   uploadSessionMaterial,
   handleUploadError,
   updateMaterial,
 );
-router.delete("/:id", authorize("instructor", "admin", "superAdmin"), deleteMaterial);
+router.delete(
+  "/:id",
+  can("session:material:manage", loaders.sessionMaterial()),
+  deleteMaterial,
+);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getOrganizations,
+  createOrganization,
+  getOrganization,
+  updateOrganization,
+  getCurrentOrganization,
+  updateCurrentOrganization,
+  getOrganizationBranding,
+} = require("../controllers/organization.controller");
+const { protect } = require("../middleware/auth");
+const { can } = require("../middleware/permission");
+
+// Public branding (login and signup pages)
+router.get("/branding/:slug", getOrganizationBranding);
+
+router.use(protect);
+
+// Organization admins
+router
+  .route("/current")
+  .get(can("organization:settings"), getCurrentOrganization)
+  .put(can("organization:settings"), updateCurrentOrganization);
+
+// All organizations (superAdmin)
+router.use(can("organization:manage"));
+
+router.route("/").get(getOrganizations).post(createOrganization);
+router.route("/:id").get(getOrganization).put(updateOrganization);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPermissions,
+  updateRolePermissions,
+  resetRolePermissions,
+} = require("../controllers/permission.controller");
+const { protect } = require("../middleware/auth");
+const { can } = require("../middleware/permission");
+
+// All permission routes require authentication and permission management rights
+router.use(protect);
+router.use(can("permission:manage"));
+
+router.get("/", getPermissions);
+router.route("/roles/:role").put(updateRolePermissions).delete(resetRolePermissions);
+
+module.exports = router;
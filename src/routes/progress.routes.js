@@ -10,7 +10,8 @@ const {
   getInstructorProgressOverview,
 } = require("../controllers/progress.controller");
 const { protect } = require("../middleware/auth");
-const { authorize } = require("../middleware/role");
+const { can } = require("../middleware/permission");
+const loaders = require("../utils/resourceLoaders");
 const { cacheResponse } = require("../middleware/cache");
 
 // All routes protected
@@ -19,33 +20,37 @@ router.use(protect);
 // Student routes
 router.get(
   "/student/progress/dashboard",
-  authorize("student"),
+  can("progress:update"),
   getStudentProgressDashboard,
 );
-router.get("/student/progress/trend", authorize("student"), getProgressTrend);
+router.get("/student/progress/trend", can("progress:update"), getProgressTrend);
 
 // Batch progress
-router.get("/batches/:batchId/progress", getBatchProgress);
+router.get(
+  "/batches/:batchId/progress",
+  can("progress:view", loaders.batch()),
+  getBatchProgress,
+);
 router.put(
   "/materials/:materialId",
-  authorize("student"),
+  can("progress:update"),
   updateMaterialProgress,
 );
 
 // Instructor routes
 router.get(
   "/batches/:batchId/at-risk-students",
-  authorize("instructor", "admin", "superAdmin"),
+  can("progress:manage", loaders.batch()),
   getAtRiskStudents,
 );
 router.post(
   "/batches/:batchId/progress/calculate",
-  authorize("instructor", "admin", "superAdmin"),
+  can("progress:manage", loaders.batch()),
   calculateBatchProgress,
 );
 router.get(
   "/instructor/progress/overview",
-  authorize("instructor", "admin", "superAdmin"),
+  can("progress:manage"),
   getInstructorProgressOverview,
 );
 
@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCourseReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  replyToReview,
+  reportReview,
+  getReviewsForModeration,
+  moderateReview,
+} = require("../controllers/review.controller");
+const { protect } = require("../middleware/auth");
+const { can } = require("../middleware/permission");
+const loaders = require("../utils/resourceLoaders");
+
+// Public catalog
+router.get("/courses/:courseId/reviews", getCourseReviews);
+
+router.use(protect);
+
+// Student routes
+router.post("/courses/:courseId/reviews", can("review:create"), createReview);
+router
+  .route("/:id")
+  .put(can("review:create", loaders.review()), updateReview)
+  .delete(can("review:create", loaders.review()), deleteReview);
+router.post("/:id/report", can("review:report", loaders.review()), reportReview);
+
+// Instructor routes
+router.post("/:id/reply", can("review:reply", loaders.review()), replyToReview);
+
+// Moderation
+router.get("/", can("review:moderate"), getReviewsForModeration);
+router.put("/:id/moderate", can("review:moderate", loaders.review()), moderateReview);
+
+module.exports = router;
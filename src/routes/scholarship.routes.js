@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const {
+  requestScholarship,
+  getScholarships,
+  getScholarship,
+  approveScholarship,
+  rejectScholarship,
+} = require("../controllers/scholarship.controller");
+const { protect } = require("../middleware/auth");
+const { can } = require("../middleware/permission");
+const loaders = require("../utils/resourceLoaders");
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(can("scholarship:request"), getScholarships)
+  .post(can("scholarship:request", loaders.enrollment("enrollment", "body")), requestScholarship);
+
+router.get("/:id", can("scholarship:request", loaders.scholarship()), getScholarship);
+
+// Approval workflow
+router.put("/:id/approve", can("scholarship:approve", loaders.scholarship()), approveScholarship);
+router.put("/:id/reject", can("scholarship:approve", loaders.scholarship()), rejectScholarship);
+
+module.exports = router;
@@ -9,7 +9,8 @@ const {
   deleteSubmission,
 } = require("../controllers/Submission.controller");
 const { protect } = require("../middleware/auth");
-const { authorize } = require("../middleware/role");
+const { can } = require("../middleware/permission");
+const loaders = require("../utils/resourceLoaders");
 const { canSubmitAssignment } = require("../middleware/accessControl");
 const multer = require("multer");
 const { handleUploadError } = require("../middleware/uploads");
@@ -28,7 +29,7 @@ router.use(protect);
 // Student submissions
 router.post(
   "/:assignmentId/submit",
-  authorize("student"),
+  can("assignment:submit"),
   canSubmitAssignment,
   upload.array("files", 5), // Max 5 files
   handleUploadError,
@@ -37,20 +38,20 @@ router.post(
 
 router.get(
   "/:assignmentId/my-submission",
-  authorize("student"),
+  can("assignment:submit"),
   getMySubmission,
 );
-router.get("/student/submissions", authorize("student"), getStudentSubmissions);
+router.get("/student/submissions", can("assignment:submit"), getStudentSubmissions);
 
 // Submission CRUD
-router.get("/:id", getSubmission);
+router.get("/:id", can("submission:view", loaders.submission()), getSubmission);
 router.put(
   "/:id",
-  authorize("student"),
+  can("assignment:submit", loaders.submission()),
   upload.array("files", 5),
   handleUploadError,
   updateSubmission,
 );
-router.delete("/:id", authorize("student"), deleteSubmission);
+router.delete("/:id", can("assignment:submit", loaders.submission()), deleteSubmission);
 
 module.exports = router;
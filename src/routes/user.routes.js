@@ -7,18 +7,41 @@ const {
   updateUser,
   deleteUser,
   activateUser,
+  getLockedUsers,
+  unlockUser,
+  importUsers,
+  impersonateUser,
+  eraseUser,
+  getInstructorProfile,
 } = require("../controllers/user.controller");
 const { protect } = require("../middleware/auth");
-const { authorize } = require("../middleware/role");
+const { can } = require("../middleware/permission");
+const { uploadCsv, handleUploadError } = require("../middleware/uploads");
+const loaders = require("../utils/resourceLoaders");
 
-// All user routes require authentication and admin role
+// Target user must be in the admin's organization
+const canManageUser = can("user:manage", loaders.user("id"));
+
+// Public instructor profile
+router.get("/instructors/:id", getInstructorProfile);
+
+// All other user routes require authentication and user management rights
 router.use(protect);
-router.use(authorize("admin", "superAdmin"));
+router.use(can("user:manage"));
 
 router.route("/").post(createUser).get(getUsers);
+router.get("/locked", getLockedUsers);
+router.post("/import", uploadCsv, handleUploadError, importUsers);
 
-router.route("/:id").get(getUser).put(updateUser).delete(deleteUser);
+router
+  .route("/:id")
+  .get(canManageUser, getUser)
+  .put(canManageUser, updateUser)
+  .delete(canManageUser, deleteUser);
 
-router.put("/:id/activate", activateUser);
+router.put("/:id/activate", canManageUser, activateUser);
+router.put("/:id/unlock", canManageUser, unlockUser);
+router.post("/:id/impersonate", can("user:impersonate"), impersonateUser);
+router.post("/:id/erase", canManageUser, eraseUser);
 
 module.exports = router;
@@ -0,0 +1,25 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const courseRevisionService = require('../services/CourseRevisionService');
+
+// One-off: pin enrollments from before course versioning to their course's
+// published revision. Safe to run again, run it from a single process.
+const backfillEnrollmentRevisions = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB for the enrollment revision backfill...');
+    
+    const updated = await courseRevisionService.backfillEnrollments();
+    
+    console.log(`✅ Pinned ${updated} enrollments to their course revision`);
+    
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling enrollment revisions:', error);
+    process.exit(1);
+  }
+};
+
+// Run the backfill script
+backfillEnrollmentRevisions();
@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+const Batch = require("../models/Batch");
+const LearningMaterial = require("../models/LearningMaterial");
+const Assignment = require("../models/Assignment");
+
+// Per-batch figures that start over in the copy
+const MATERIAL_STATS = ["viewCount", "completionCount", "averageTimeSpent"];
+const ASSIGNMENT_STATS = ["submissionCount", "gradedCount", "averageScore"];
+
+// Dates moved along with the batch start date
+const MATERIAL_DATES = ["availableFrom", "availableUntil"];
+const ASSIGNMENT_DATES = ["publishDate", "startDate", "deadline", "lateSubmissionDeadline"];
+
+class BatchContentService {
+  /**
+   * Learning materials and assignments to copy into a new batch:
+   * - "course": the templates linked in the course curriculum, in curriculum order
+   * - a batch: everything in that batch
+   */
+  async getTemplates(source, course) {
+    if (source === "course") {
+      const materialIds = [];
+      const assignmentIds = [];
+
+      for (const courseModule of course.curriculum || []) {
+        for (const lesson of courseModule.lessons) {
+          materialIds.push(...lesson.materials);
+          assignmentIds.push(...lesson.assignments);
+        }
+      }
+
+      const [materials, assignments] = await Promise.all([
+        LearningMaterial.find({ _id: { $in: materialIds }, course: course._id }),
+        Assignment.find({ _id: { $in: assignmentIds }, course: course._id }),
+      ]);
+
+      const inOrder = (docs, ids) => {
+        const byId = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+        return [...new Set(ids.map(String))].map((id) => byId.get(id)).filter(Boolean);
+      };
+
+      return {
+        materials: inOrder(materials, materialIds),
+        assignments: inOrder(assignments, assignmentIds),
+      };
+    }
+
+    const [materials, assignments] = await Promise.all([
+      LearningMaterial.find({ batch: source._id }).sort({ week: 1, moduleOrder: 1 }),
+      Assignment.find({ batch: source._id }).sort({ week: 1, deadline: 1 }),
+    ]);
+
+    return { materials, assignments };
+  }
+
+  /**
+   * Copy the materials, assignments and rubrics of `source` ("course" or a batch
+   * of the same course) into a new batch. Dates keep their distance to the start
+   * date of the batch they came from.
+   */
+  async cloneContent(batch, { source, course, user }) {
+    const { materials, assignments } = await this.getTemplates(source, course);
+
+    // Start date of every batch the templates come from
+    const sourceBatchIds = [...materials, ...assignments].map((doc) => doc.batch);
+    const sourceBatches = await Batch.find({ _id: { $in: sourceBatchIds } }).select("startDate");
+    const offsets = new Map(
+      sourceBatches.map((sourceBatch) => [
+        sourceBatch._id.toString(),
+        batch.startDate.getTime() - sourceBatch.startDate.getTime(),
+      ]),
+    );
+
+    const copy = (doc, stats, dates) => {
+      const data = doc.toObject({ virtuals: false });
+      const offset = offsets.get(String(doc.batch)) || 0;
+
+      delete data._id;
+      delete data.__v;
+      stats.forEach((field) => delete data[field]);
+      dates.forEach((field) => {
+        if (data[field]) {
+          data[field] = new Date(new Date(data[field]).getTime() + offset);
+        }
+      });
+
+      return {
+        ...data,
+        batch: batch._id,
+        createdBy: user._id,
+        updatedBy: undefined,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+    };
+
+    // New ids up front so prerequisites can point at the copies
+    const materialIds = new Map(
+      materials.map((material) => [material._id.toString(), new mongoose.Types.ObjectId()]),
+    );
+
+    const materialCopies = materials.map((material) => ({
+      ...copy(material, MATERIAL_STATS, MATERIAL_DATES),
+      _id: materialIds.get(material._id.toString()),
+      prerequisites: (material.prerequisites || [])
+        .map((id) => materialIds.get(id.toString()))
+        .filter(Boolean),
+    }));
+    const assignmentCopies = assignments.map((assignment) =>
+      copy(assignment, ASSIGNMENT_STATS, ASSIGNMENT_DATES),
+    );
+
+    try {
+      await LearningMaterial.insertMany(materialCopies);
+      await Assignment.insertMany(assignmentCopies);
+    } catch (error) {
+      await LearningMaterial.deleteMany({ batch: batch._id });
+      await Assignment.deleteMany({ batch: batch._id });
+      throw error;
+    }
+
+    // insertMany skips the post-save hooks that keep these counts up to date
+    const [materialCount, assignmentCount] = await Promise.all([
+      LearningMaterial.countDocuments({ batch: batch._id, isPublished: true }),
+      Assignment.countDocuments({ batch: batch._id, isPublished: true }),
+    ]);
+    await Batch.findByIdAndUpdate(batch._id, { $set: { materialCount, assignmentCount } });
+
+    return {
+      source: source === "course" ? "course" : source._id,
+      materials: materialCopies.length,
+      assignments: assignmentCopies.length,
+    };
+  }
+}
+
+module.exports = new BatchContentService();
@@ -0,0 +1,360 @@
+const mongoose = require("mongoose");
+const BundleEnrollment = require("../models/BundleEnrollment");
+const Enrollment = require("../models/Enrollment");
+const Payment = require("../models/Payment");
+const Batch = require("../models/Batch");
+const Progress = require("../models/Progress");
+const enrollmentService = require("./EnrollmentService");
+const courseRevisionService = require("./CourseRevisionService");
+const paymentService = require("../utils/paymentService");
+const { sendEmail, getBranding } = require("../utils/emailService");
+const { isSameOrganization } = require("../utils/organizationScope");
+
+// Split `total` in proportion to `weights`, the rounding remainder goes to the last part
+const splitAmount = (total, weights) => {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  const parts = weights.map((weight) =>
+    Math.floor(sum > 0 ? (total * weight) / sum : total / weights.length),
+  );
+  parts[parts.length - 1] += total - parts.reduce((acc, part) => acc + part, 0);
+  return parts;
+};
+
+class BundleService {
+  /**
+   * Load the batches a student picked, one for every course of the bundle
+   * (courses populated). Throws with a message for the student.
+   */
+  async getBatches(student, bundle, batchIds) {
+    if (!Array.isArray(batchIds) || !batchIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      throw new Error("Please select a batch for every course of the bundle");
+    }
+
+    const batches = await Batch.find({ _id: { $in: batchIds } }).populate("course");
+    const byCourse = new Map();
+
+    for (const batch of batches) {
+      if (!batch.isActive || !isSameOrganization(student, batch)) {
+        throw new Error(`Batch ${batch.name} is not active`);
+      }
+      if (!bundle.courses.some((course) => course._id.equals(batch.course._id))) {
+        throw new Error(`Batch ${batch.name} is not part of this bundle`);
+      }
+      if (byCourse.has(batch.course._id.toString())) {
+        throw new Error(`Please select only one batch of ${batch.course.title}`);
+      }
+      if (batch.isFull) {
+        throw new Error(`Batch ${batch.name} is already full`);
+      }
+      if (batch.startDate <= new Date()) {
+        throw new Error(`Batch ${batch.name} has already started`);
+      }
+      byCourse.set(batch.course._id.toString(), batch);
+    }
+
+    const missing = bundle.courses.filter((course) => !byCourse.has(course._id.toString()));
+    if (missing.length > 0) {
+      throw new Error(`Please select a batch for ${missing.map((course) => course.title).join(", ")}`);
+    }
+
+    const enrolled = await Enrollment.findOne({
+      student: student._id,
+      batch: { $in: batches.map((batch) => batch._id) },
+    }).populate("batch", "name");
+    if (enrolled) {
+      throw new Error(`Already enrolled in batch ${enrolled.batch.name}`);
+    }
+
+    // Keep the bundle's course order
+    return bundle.courses.map((course) => byCourse.get(course._id.toString()));
+  }
+
+  /**
+   * Price of a bundle for a payment method, split over its courses in
+   * proportion to their fees. Returns null for an unknown payment method.
+   */
+  getPaymentPlan(bundle, paymentMethod) {
+    const plan = enrollmentService.getPaymentPlan(
+      { fee: bundle.price, emiAmount: bundle.emiAmount },
+      paymentMethod,
+    );
+    if (!plan) return null;
+
+    const fees = bundle.courses.map((course) => course.fee);
+    const totals = splitAmount(plan.totalAmount, fees);
+    const emis = splitAmount(plan.emiAmount, fees);
+
+    return {
+      listPrice: bundle.getListPrice(),
+      totalAmount: plan.totalAmount,
+      emiAmount: plan.emiAmount,
+      emiMonths: plan.emiMonths,
+      firstPaymentAmount: plan.firstPaymentAmount,
+      courses: bundle.courses.map((course, index) => ({
+        course: course._id,
+        title: course.title,
+        fee: course.fee,
+        totalAmount: totals[index],
+        emiAmount: emis[index],
+        firstPaymentAmount: paymentMethod === "emi" ? emis[index] : totals[index],
+      })),
+    };
+  }
+
+  /**
+   * Enroll a student into one batch per course with a single payment order.
+   * `bundle` must have its courses populated, `batches` come from getBatches.
+   */
+  async checkout(student, bundle, batches, paymentMethod) {
+    const plan = this.getPaymentPlan(bundle, paymentMethod);
+    if (!plan) {
+      throw new Error("Invalid payment method");
+    }
+
+    const revisions = [];
+    for (const batch of batches) {
+      revisions.push(await courseRevisionService.getPublished(batch.course));
+    }
+
+    const bundleEnrollment = await BundleEnrollment.create({
+      student: student._id,
+      bundle: bundle._id,
+      organization: bundle.organization,
+      paymentMethod,
+      listPrice: plan.listPrice,
+      totalAmount: plan.totalAmount,
+    });
+
+    const enrollments = [];
+    let order = null;
+    try {
+      for (const [index, batch] of batches.entries()) {
+        const share = plan.courses[index];
+
+        enrollments.push(
+          await Enrollment.create({
+            student: student._id,
+            batch: batch._id,
+            course: batch.course._id,
+            organization: batch.organization,
+            courseRevision: revisions[index]._id,
+            courseVersion: revisions[index].version,
+            bundle: bundle._id,
+            bundleEnrollment: bundleEnrollment._id,
+            paymentMethod,
+            listPrice: share.fee,
+            discountAmount: Math.max(share.fee - share.totalAmount, 0),
+            totalAmount: share.totalAmount,
+            emiAmount: share.emiAmount,
+            emiMonths: plan.emiMonths,
+            enrollmentStatus: "pending",
+            paymentStatus: "pending",
+            paidAmount: 0,
+            nextPaymentDue:
+              paymentMethod === "emi" && share.totalAmount > 0
+                ? new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
+                : null,
+          }),
+        );
+      }
+
+      bundleEnrollment.enrollments = enrollments.map((enrollment) => enrollment._id);
+      await bundleEnrollment.save();
+
+      // One order for the whole bundle, one payment record per enrollment
+      if (plan.totalAmount > 0) {
+        order = await paymentService.createOrder(
+          plan.firstPaymentAmount,
+          "INR",
+          `bundle_${bundleEnrollment._id}`,
+        );
+
+        await Payment.insertMany(
+          enrollments.map((enrollment, index) => ({
+            enrollment: enrollment._id,
+            student: student._id,
+            batch: enrollment.batch,
+            course: enrollment.course,
+            organization: enrollment.organization,
+            amount: plan.courses[index].firstPaymentAmount,
+            paymentType: paymentMethod === "fullPayment" ? "full" : "emi",
+            emiNumber: 1,
+            status: "pending",
+            razorpayOrderId: order.id,
+            dueDate: new Date(),
+            metadata: { bundle: bundle._id, bundleEnrollment: bundleEnrollment._id },
+          })),
+        );
+      }
+    } catch (error) {
+      const enrollmentIds = enrollments.map((enrollment) => enrollment._id);
+      await Payment.deleteMany({ enrollment: { $in: enrollmentIds } });
+      if (order) await paymentService.cancelOrder(order.id);
+      await Enrollment.deleteMany({ _id: { $in: enrollmentIds } });
+      await bundleEnrollment.deleteOne();
+      throw error;
+    }
+
+    // Nothing to pay: the enrollments are already active (see Enrollment pre-save)
+    if (plan.totalAmount === 0) {
+      for (const batch of batches) {
+        const enrolledBatch = await Batch.findById(batch._id);
+        enrolledBatch.currentStudents += 1;
+        await enrolledBatch.save();
+      }
+    }
+
+    await this.sendBundleConfirmation(student, bundle, batches, plan, paymentMethod);
+
+    return { bundleEnrollment, enrollments, order, plan };
+  }
+
+  /**
+   * Bundle progress from the Progress records of its enrollments. Every
+   * course counts the same; a course is complete when its enrollment is
+   * completed or its progress reaches 100%. Marks the bundle completed
+   * once all courses are.
+   */
+  async getProgress(bundleEnrollment) {
+    const enrollments = await Enrollment.find({ _id: { $in: bundleEnrollment.enrollments } })
+      .populate("course", "title")
+      .populate("batch", "name startDate endDate");
+
+    const progresses = await Progress.find({
+      student: bundleEnrollment.student,
+      batch: { $in: enrollments.map((enrollment) => enrollment.batch._id) },
+    });
+
+    const courses = enrollments.map((enrollment) => {
+      const progress = progresses.find((entry) => entry.batch.equals(enrollment.batch._id));
+      const overallProgress = progress ? progress.overallProgress : 0;
+
+      return {
+        course: enrollment.course,
+        batch: enrollment.batch,
+        enrollment: enrollment._id,
+        enrollmentStatus: enrollment.enrollmentStatus,
+        paymentStatus: enrollment.paymentStatus,
+        overallProgress,
+        materialCompletionPercentage: progress ? progress.materialCompletionPercentage : 0,
+        attendancePercentage: progress ? progress.attendancePercentage : 0,
+        assignmentCompletionPercentage: progress ? progress.assignmentCompletionPercentage : 0,
+        lastActive: progress ? progress.lastActive : null,
+        isCompleted: enrollment.enrollmentStatus === "completed" || overallProgress >= 100,
+      };
+    });
+
+    const completedCourses = courses.filter((course) => course.isCompleted).length;
+    const overallProgress = courses.length
+      ? Math.round(courses.reduce((sum, course) => sum + course.overallProgress, 0) / courses.length)
+      : 0;
+
+    if (bundleEnrollment.status !== "cancelled") {
+      bundleEnrollment.overallProgress = overallProgress;
+      bundleEnrollment.completedCourses = completedCourses;
+      bundleEnrollment.lastCalculated = new Date();
+
+      if (courses.length > 0 && completedCourses === courses.length && bundleEnrollment.status === "active") {
+        bundleEnrollment.status = "completed";
+        bundleEnrollment.completedAt = new Date();
+      }
+      await bundleEnrollment.save();
+    }
+
+    return {
+      bundleEnrollment: bundleEnrollment._id,
+      status: bundleEnrollment.status,
+      overallProgress,
+      completedCourses,
+      totalCourses: courses.length,
+      completedAt: bundleEnrollment.completedAt,
+      courses,
+    };
+  }
+
+  /**
+   * Cancel every enrollment of a bundle, only before any of its batches starts
+   */
+  async cancel(bundleEnrollment) {
+    if (bundleEnrollment.status !== "active") {
+      throw new Error(`Bundle enrollment is already ${bundleEnrollment.status}`);
+    }
+
+    const enrollments = await Enrollment.find({ _id: { $in: bundleEnrollment.enrollments } }).populate("batch");
+
+    if (enrollments.some((enrollment) => enrollment.batch.startDate <= new Date())) {
+      throw new Error("Cannot cancel a bundle after one of its batches has started");
+    }
+
+    for (const enrollment of enrollments) {
+      if (enrollment.enrollmentStatus === "cancelled") continue;
+
+      // Only active enrollments hold a seat in the batch
+      const hadSeat = enrollment.enrollmentStatus === "active";
+
+      enrollment.enrollmentStatus = "cancelled";
+      enrollment.paymentStatus = "cancelled";
+      await enrollment.save();
+
+      if (hadSeat) {
+        const batch = enrollment.batch;
+        batch.currentStudents = Math.max(0, batch.currentStudents - 1);
+        await batch.save();
+      }
+    }
+
+    // The bundle's open order can no longer be paid
+    const orderIds = await Payment.distinct("razorpayOrderId", {
+      enrollment: { $in: bundleEnrollment.enrollments },
+      status: "pending",
+    });
+    for (const orderId of orderIds.filter(Boolean)) {
+      await paymentService.cancelOrder(orderId);
+    }
+
+    await Payment.updateMany(
+      { enrollment: { $in: bundleEnrollment.enrollments }, status: "pending" },
+      { $set: { status: "cancelled", notes: "Bundle enrollment cancelled", updatedAt: Date.now() } },
+    );
+
+    bundleEnrollment.status = "cancelled";
+    await bundleEnrollment.save();
+
+    return bundleEnrollment;
+  }
+
+  /**
+   * Send bundle enrollment confirmation email
+   */
+  async sendBundleConfirmation(student, bundle, batches, plan, paymentMethod) {
+    const branding = await getBranding(bundle.organization);
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${branding.primaryColor};">Enrollment Confirmation</h2>
+        <p>Hello ${student.name},</p>
+        <p>Your enrollment in the <strong>${bundle.title}</strong> bundle has been initiated:</p>
+        <ul>
+          ${batches.map((batch) => `<li>${batch.course.title} - batch ${batch.name}</li>`).join("")}
+        </ul>
+        <p><strong>Payment Details:</strong></p>
+        <ul>
+          <li>Courses Total: ₹${plan.listPrice}</li>
+          <li>Bundle Price: ₹${plan.totalAmount}</li>
+          <li>Payment Method: ${paymentMethod}</li>
+          <li>First Payment Due: ₹${plan.firstPaymentAmount}</li>
+        </ul>
+        ${plan.totalAmount > 0 ? "<p>Please complete your payment to activate your enrollments.</p>" : ""}
+        <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
+        <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
+      </div>
+    `;
+
+    await sendEmail({
+      email: student.email,
+      subject: `Enrollment Confirmation - ${branding.appName}`,
+      html: emailHtml,
+    });
+  }
+}
+
+module.exports = new BundleService();
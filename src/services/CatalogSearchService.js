@@ -0,0 +1,308 @@
+const Course = require("../models/Course");
+
+// Facet buckets. Durations are compared in weeks (a month counts as 4 weeks).
+const FEE_BOUNDARIES = [0, 10000, 25000, 50000, 100000];
+const DURATION_BOUNDARIES = [0, 4, 12, 26, 52];
+const RATING_STEPS = [4, 3, 2, 1];
+
+// Terms this long tolerate one typo
+const MIN_FUZZY_LENGTH = 4;
+const MAX_TERMS = 5;
+// The fuzzy pattern grows with the square of the term length, so the
+// (public) query and each term are cut before patterns are built
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERM_LENGTH = 40;
+
+const SORTS = {
+  relevance: { score: -1, ratingAverage: -1, createdAt: -1 },
+  startsSoonest: { nextBatchSort: 1, score: -1 },
+  rating: { ratingAverage: -1, ratingCount: -1 },
+  feeAsc: { fee: 1, createdAt: -1 },
+  feeDesc: { fee: -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+class CatalogSearchService {
+  /**
+   * Search published courses with facet counts. Each facet is counted with
+   * every filter except its own, so the other values stay selectable.
+   */
+  async search(params = {}, baseFilter = {}) {
+    const terms = this.getTerms(params.q);
+    const filters = this.getFilters(params);
+
+    const page = Math.max(parseInt(params.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || 12, 1), 50);
+    const sortKey = SORTS[params.sort] ? params.sort : terms.length > 0 ? "relevance" : "newest";
+
+    const matchExcept = (facet) => {
+      const others = Object.entries(filters).filter(([name]) => name !== facet).map(([, filter]) => filter);
+      return { $match: others.length ? { $and: others } : {} };
+    };
+    const matchAll = matchExcept(null);
+
+    const [result] = await Course.aggregate([
+      { $match: { isPublished: true, ...baseFilter, ...this.getTextMatch(terms) } },
+      ...this.getEnrichStages(terms),
+      {
+        $facet: {
+          results: [
+            matchAll,
+            { $sort: SORTS[sortKey] },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { curriculum: 0, searchTags: 0, nextBatchSort: 0, upcomingBatches: 0 } },
+          ],
+          total: [matchAll, { $count: "count" }],
+          categories: [
+            matchExcept("category"),
+            { $group: { _id: "$category", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          fee: [
+            matchExcept("fee"),
+            {
+              $bucket: {
+                groupBy: "$fee",
+                boundaries: FEE_BOUNDARIES,
+                default: "above",
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          duration: [
+            matchExcept("duration"),
+            {
+              $bucket: {
+                groupBy: "$durationWeeks",
+                boundaries: DURATION_BOUNDARIES,
+                default: "above",
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          rating: [
+            matchExcept("rating"),
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(
+                  RATING_STEPS.map((step) => [
+                    `atLeast${step}`,
+                    { $sum: { $cond: [{ $gte: ["$ratingAverage", step] }, 1, 0] } },
+                  ]),
+                ),
+              },
+            },
+          ],
+          availability: [
+            matchExcept("availability"),
+            { $group: { _id: "$hasUpcomingBatch", count: { $sum: 1 } } },
+          ],
+        },
+      },
+    ]);
+
+    const total = result.total[0] ? result.total[0].count : 0;
+
+    return {
+      data: result.results,
+      total,
+      pagination: { page, limit, pages: Math.ceil(total / limit) },
+      sort: sortKey,
+      facets: this.formatFacets(result),
+    };
+  }
+
+  // Lowercase search terms, at most MAX_TERMS of at most MAX_TERM_LENGTH characters
+  getTerms(q) {
+    if (!q) return [];
+
+    return String(q)
+      .slice(0, MAX_QUERY_LENGTH)
+      .toLowerCase()
+      .split(/[^a-z0-9+#.]+/)
+      .filter(Boolean)
+      .slice(0, MAX_TERMS)
+      .map((term) => term.slice(0, MAX_TERM_LENGTH));
+  }
+
+  /**
+   * Regex source matching words that start with `term`, allowing one wrong,
+   * missing, extra or swapped letter in longer terms
+   */
+  getTermPattern(term) {
+    const variants = new Set([escapeRegex(term)]);
+
+    if (term.length >= MIN_FUZZY_LENGTH) {
+      for (let i = 0; i < term.length; i++) {
+        const before = escapeRegex(term.slice(0, i));
+
+        variants.add(`${before}.${escapeRegex(term.slice(i + 1))}`); // wrong letter
+        variants.add(`${before}.${escapeRegex(term.slice(i))}`); // missing letter
+        variants.add(`${before}${escapeRegex(term.slice(i + 1))}`); // extra letter
+
+        if (i < term.length - 1) {
+          variants.add(`${before}${escapeRegex(term[i + 1] + term[i])}${escapeRegex(term.slice(i + 2))}`); // swapped
+        }
+      }
+    }
+
+    return `\\b(?:${[...variants].join("|")})`;
+  }
+
+  // Every term has to match the title, short description, description, tags or category
+  getTextMatch(terms) {
+    if (terms.length === 0) return {};
+
+    return {
+      $and: terms.map((term) => {
+        const regex = new RegExp(this.getTermPattern(term), "i");
+        return {
+          $or: ["title", "shortDescription", "description", "tags", "category"].map((field) => ({
+            [field]: regex,
+          })),
+        };
+      }),
+    };
+  }
+
+  // Relevance score, next upcoming batch and normalized duration
+  getEnrichStages(terms) {
+    const now = new Date();
+    const regexMatch = (input, pattern) => ({
+      $regexMatch: { input: { $ifNull: [input, ""] }, regex: pattern, options: "i" },
+    });
+    const points = (condition, value) => ({ $cond: [condition, value, 0] });
+
+    const score = terms.length === 0
+      ? { $literal: 0 }
+      : {
+        $add: terms.flatMap((term) => {
+          const exact = `\\b${escapeRegex(term)}`;
+          const fuzzy = this.getTermPattern(term);
+
+          return [
+            points(regexMatch("$title", exact), 4),
+            points(regexMatch("$title", fuzzy), 2),
+            points(regexMatch("$searchTags", fuzzy), 2),
+            points(regexMatch("$shortDescription", fuzzy), 1),
+            points(regexMatch("$description", fuzzy), 1),
+          ];
+        }),
+      };
+
+    return [
+      {
+        $lookup: {
+          from: "batches",
+          let: { courseId: "$_id" },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ["$course", "$$courseId"] },
+                isActive: true,
+                isFull: false,
+                startDate: { $gt: now },
+              },
+            },
+            { $sort: { startDate: 1 } },
+            { $limit: 1 },
+            { $project: { name: 1, startDate: 1, endDate: 1 } },
+          ],
+          as: "upcomingBatches",
+        },
+      },
+      {
+        $addFields: {
+          searchTags: {
+            $reduce: {
+              input: { $ifNull: ["$tags", []] },
+              initialValue: "",
+              in: { $concat: ["$$value", " ", "$$this"] },
+            },
+          },
+          nextBatch: { $first: "$upcomingBatches" },
+          hasUpcomingBatch: { $gt: [{ $size: "$upcomingBatches" }, 0] },
+          durationWeeks: {
+            $cond: [{ $eq: ["$durationUnit", "months"] }, { $multiply: ["$duration", 4] }, "$duration"],
+          },
+        },
+      },
+      {
+        $addFields: {
+          score,
+          // Courses without an upcoming batch last
+          nextBatchSort: { $ifNull: ["$nextBatch.startDate", new Date(8640000000000000)] },
+        },
+      },
+    ];
+  }
+
+  /**
+   * Filters keyed by facet:
+   * category=web-dev,devops  minFee/maxFee  minWeeks/maxWeeks  minRating  upcoming=true
+   */
+  getFilters(params) {
+    const filters = {};
+
+    if (params.category) {
+      filters.category = { category: { $in: String(params.category).split(",") } };
+    }
+
+    const fee = {};
+    if (toNumber(params.minFee) !== undefined) fee.$gte = toNumber(params.minFee);
+    if (toNumber(params.maxFee) !== undefined) fee.$lt = toNumber(params.maxFee);
+    if (Object.keys(fee).length) filters.fee = { fee };
+
+    const duration = {};
+    if (toNumber(params.minWeeks) !== undefined) duration.$gte = toNumber(params.minWeeks);
+    if (toNumber(params.maxWeeks) !== undefined) duration.$lt = toNumber(params.maxWeeks);
+    if (Object.keys(duration).length) filters.duration = { durationWeeks: duration };
+
+    if (toNumber(params.minRating) !== undefined) {
+      filters.rating = { ratingAverage: { $gte: toNumber(params.minRating) } };
+    }
+
+    if (params.upcoming === "true") {
+      filters.availability = { hasUpcomingBatch: true };
+    }
+
+    return filters;
+  }
+
+  // Turn bucket ids into ranges the filters accept (the last boundary opens
+  // the "above" bucket)
+  formatFacets(result) {
+    const ranges = (buckets, boundaries, minKey, maxKey) =>
+      boundaries.map((min, index) => {
+        const max = boundaries[index + 1] ?? null;
+        const id = index < boundaries.length - 1 ? min : "above";
+        const bucket = buckets.find((entry) => entry._id === id);
+        return { [minKey]: min, [maxKey]: max, count: bucket ? bucket.count : 0 };
+      });
+
+    const ratingCounts = result.rating[0] || {};
+    const availability = Object.fromEntries(result.availability.map((entry) => [String(entry._id), entry.count]));
+
+    return {
+      categories: result.categories.map((entry) => ({ value: entry._id, count: entry.count })),
+      fee: ranges(result.fee, FEE_BOUNDARIES, "minFee", "maxFee"),
+      duration: ranges(result.duration, DURATION_BOUNDARIES, "minWeeks", "maxWeeks"),
+      rating: RATING_STEPS.map((step) => ({ minRating: step, count: ratingCounts[`atLeast${step}`] || 0 })),
+      availability: {
+        upcoming: availability.true || 0,
+        none: availability.false || 0,
+      },
+    };
+  }
+}
+
+module.exports = new CatalogSearchService();
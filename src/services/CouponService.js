@@ -0,0 +1,86 @@
+const Coupon = require("../models/Coupon");
+const Enrollment = require("../models/Enrollment");
+
+class CouponService {
+  /**
+   * Check a coupon code for a student enrolling in a batch (course populated).
+   * Returns { coupon, discountAmount }, throws with a message for the student.
+   */
+  async validate(code, student, batch) {
+    const course = batch.course;
+
+    const coupon = await Coupon.findOne({
+      code: String(code || "").trim().toUpperCase(),
+      organization: batch.organization || null,
+      isActive: true,
+    });
+
+    if (!coupon) {
+      throw new Error("Invalid coupon code");
+    }
+
+    const now = new Date();
+    if (coupon.validFrom && coupon.validFrom > now) {
+      throw new Error("This coupon is not valid yet");
+    }
+    if (coupon.validUntil && coupon.validUntil < now) {
+      throw new Error("This coupon has expired");
+    }
+
+    if (coupon.courses.length > 0 && !coupon.courses.some((id) => id.toString() === course._id.toString())) {
+      throw new Error("This coupon does not apply to this course");
+    }
+
+    if (coupon.maxUses && coupon.usedCount >= coupon.maxUses) {
+      throw new Error("This coupon has been fully redeemed");
+    }
+
+    const usedByStudent = await Enrollment.countDocuments({
+      student: student._id,
+      coupon: coupon._id,
+      enrollmentStatus: { $ne: "cancelled" },
+    });
+    if (usedByStudent >= coupon.perUserLimit) {
+      throw new Error("You have already used this coupon");
+    }
+
+    if (coupon.firstNStudents) {
+      const enrolled = await Enrollment.countDocuments({
+        batch: batch._id,
+        enrollmentStatus: { $ne: "cancelled" },
+      });
+      if (enrolled >= coupon.firstNStudents) {
+        throw new Error(`This coupon was only for the first ${coupon.firstNStudents} students of the batch`);
+      }
+    }
+
+    return { coupon, discountAmount: coupon.getDiscount(course.fee) };
+  }
+
+  /**
+   * Check the per-student and first-N limits again once the enrollment is
+   * saved. Concurrent enrollments can all pass validate; only the earliest
+   * ones (by enrollment id) keep the coupon. Throws with a message for the student.
+   */
+  async checkLimits(coupon, enrollment) {
+    const earlier = { _id: { $lte: enrollment._id }, enrollmentStatus: { $ne: "cancelled" } };
+
+    const usedByStudent = await Enrollment.countDocuments({
+      ...earlier,
+      student: enrollment.student,
+      coupon: coupon._id,
+    });
+    if (usedByStudent > coupon.perUserLimit) {
+      throw new Error("You have already used this coupon");
+    }
+
+    if (coupon.firstNStudents) {
+      const enrolled = await Enrollment.countDocuments({ ...earlier, batch: enrollment.batch });
+      if (enrolled > coupon.firstNStudents) {
+        throw new Error(`This coupon was only for the first ${coupon.firstNStudents} students of the batch`);
+      }
+    }
+  }
+}
+
+module.exports = new CouponService();
@@ -0,0 +1,165 @@
+const Course = require("../models/Course");
+const CourseRevision = require("../models/CourseRevision");
+const Enrollment = require("../models/Enrollment");
+
+class CourseRevisionService {
+  /**
+   * Published revision of a course. Courses from before versioning get
+   * version 1 made from their live values.
+   */
+  async getPublished(course, user = null) {
+    if (course.currentRevision) {
+      const revision = await CourseRevision.findById(course.currentRevision);
+      if (revision) return revision;
+    }
+
+    const revision = await CourseRevision.create({
+      course: course._id,
+      organization: course.organization,
+      version: await this.nextVersion(course),
+      status: "published",
+      content: CourseRevision.pickContent(course.toObject()),
+      note: "Initial version",
+      createdBy: user ? user._id : course.createdBy,
+      publishedBy: user ? user._id : course.createdBy,
+      publishedAt: new Date(),
+    });
+
+    course.currentRevision = revision._id;
+    course.currentVersion = revision.version;
+    await course.save();
+
+    return revision;
+  }
+
+  /**
+   * Pin enrollments made without a revision to their course's published one.
+   * What they enrolled under is not recorded, the published revision is the
+   * closest there is. Returns the number of enrollments updated.
+   */
+  async backfillEnrollments() {
+    const courseIds = await Enrollment.distinct("course", { courseRevision: null });
+    let updated = 0;
+
+    for (const courseId of courseIds) {
+      const course = await Course.findById(courseId);
+      if (!course) continue;
+
+      const revision = await this.getPublished(course);
+      const result = await Enrollment.updateMany(
+        { course: course._id, courseRevision: null },
+        { $set: { courseRevision: revision._id, courseVersion: revision.version } },
+      );
+      updated += result.modifiedCount;
+    }
+
+    return updated;
+  }
+
+  getDraft(course) {
+    return CourseRevision.findOne({ course: course._id, status: "draft" });
+  }
+
+  /**
+   * Apply versioned changes to the course's draft, starting one from the
+   * published revision when there is none
+   */
+  async saveDraft(course, changes, user, note) {
+    let draft = await this.getDraft(course);
+
+    if (!draft) {
+      const published = await this.getPublished(course, user);
+
+      draft = new CourseRevision({
+        course: course._id,
+        organization: course.organization,
+        version: await this.nextVersion(course),
+        status: "draft",
+        content: { ...published.content },
+        basedOn: published.version,
+        createdBy: user._id,
+      });
+    }
+
+    const content = { ...draft.content, ...CourseRevision.pickContent(changes) };
+    this.validateContent(course, content);
+
+    draft.content = content;
+    draft.updatedBy = user._id;
+    if (note !== undefined) {
+      draft.note = note;
+    }
+    await draft.save();
+
+    return draft;
+  }
+
+  /**
+   * Make a revision live: copy its content onto the course and archive the
+   * previously published revision
+   */
+  async publish(course, revision, user) {
+    this.validateContent(course, revision.content);
+
+    await CourseRevision.updateMany(
+      { course: course._id, status: "published", _id: { $ne: revision._id } },
+      { $set: { status: "archived" } },
+    );
+
+    revision.status = "published";
+    revision.publishedBy = user._id;
+    revision.publishedAt = new Date();
+    await revision.save();
+
+    course.set(revision.content);
+    course.currentRevision = revision._id;
+    course.currentVersion = revision.version;
+    await course.save();
+
+    return revision;
+  }
+
+  /**
+   * Publish the content of an earlier version again, as a new version
+   */
+  async rollback(course, version, user) {
+    await this.getPublished(course, user);
+
+    const target = await CourseRevision.findOne({
+      course: course._id,
+      version,
+      status: { $ne: "draft" },
+    });
+
+    if (!target) {
+      return null;
+    }
+
+    const revision = await CourseRevision.create({
+      course: course._id,
+      organization: course.organization,
+      version: await this.nextVersion(course),
+      status: "archived", // live once published below
+      content: { ...target.content },
+      basedOn: target.version,
+      note: `Rollback to version ${target.version}`,
+      createdBy: user._id,
+    });
+
+    return this.publish(course, revision, user);
+  }
+
+  async nextVersion(course) {
+    const latest = await CourseRevision.findOne({ course: course._id }).sort({ version: -1 }).select("version");
+    return latest ? latest.version + 1 : 1;
+  }
+
+  // Check content against the Course schema, throws a ValidationError
+  validateContent(course, content) {
+    const candidate = new Course({ ...course.toObject(), ...content });
+    const error = candidate.validateSync(CourseRevision.VERSIONED_FIELDS);
+    if (error) throw error;
+  }
+}
+
+module.exports = new CourseRevisionService();
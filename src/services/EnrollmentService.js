@@ -0,0 +1,192 @@
+const Enrollment = require("../models/Enrollment");
+const Payment = require("../models/Payment");
+const Batch = require("../models/Batch");
+const Coupon = require("../models/Coupon");
+const courseRevisionService = require("./CourseRevisionService");
+const couponService = require("./CouponService");
+const paymentService = require("../utils/paymentService");
+const { sendEmail, getBranding } = require("../utils/emailService");
+
+class EnrollmentService {
+  /**
+   * Work out the amounts for a payment method, after an optional discount.
+   * Returns null for an unknown payment method.
+   */
+  getPaymentPlan(course, paymentMethod, discountAmount = 0) {
+    const listPrice = course.fee;
+    const totalAmount = Math.max(listPrice - discountAmount, 0);
+    let emiAmount = Math.min(course.emiAmount, totalAmount);
+    let emiMonths = emiAmount > 0 ? Math.ceil(totalAmount / emiAmount) : 0;
+    let firstPaymentAmount;
+
+    if (paymentMethod === "fullPayment") {
+      firstPaymentAmount = totalAmount;
+      emiAmount = totalAmount;
+      emiMonths = 1;
+    } else if (paymentMethod === "emi") {
+      firstPaymentAmount = emiAmount;
+    } else {
+      return null;
+    }
+
+    return {
+      listPrice,
+      discountAmount: listPrice - totalAmount,
+      totalAmount,
+      emiAmount,
+      emiMonths,
+      firstPaymentAmount,
+    };
+  }
+
+  /**
+   * Create a pending enrollment with its first payment order.
+   * `batch` must have its course populated, `discount` is a checked coupon
+   * ({ coupon, discountAmount } from CouponService.validate).
+   * Free enrollments (full discount) are active right away, without a payment.
+   */
+  async createEnrollment(student, batch, paymentMethod, discount = null) {
+    const course = batch.course;
+    const plan = this.getPaymentPlan(course, paymentMethod, discount ? discount.discountAmount : 0);
+
+    if (!plan) {
+      throw new Error("Invalid payment method");
+    }
+
+    const coupon = discount ? discount.coupon : null;
+    if (coupon && !(await Coupon.redeem(coupon._id))) {
+      throw new Error("This coupon has been fully redeemed");
+    }
+
+    try {
+      return await this.createEnrollmentWithPlan(student, batch, paymentMethod, plan, coupon);
+    } catch (error) {
+      // Give the use back only when no enrollment holds the coupon
+      if (coupon && !(await Enrollment.exists({ student: student._id, batch: batch._id, coupon: coupon._id }))) {
+        await Coupon.release(coupon._id);
+      }
+      throw error;
+    }
+  }
+
+  async createEnrollmentWithPlan(student, batch, paymentMethod, plan, coupon) {
+    const course = batch.course;
+    const revision = await courseRevisionService.getPublished(course);
+
+    //! Hide 'nextPaymentDue' if no payment is done
+    const enrollment = await Enrollment.create({
+      student: student._id,
+      batch: batch._id,
+      course: course._id,
+      organization: batch.organization,
+      courseRevision: revision._id,
+      courseVersion: revision.version,
+      paymentMethod,
+      listPrice: plan.listPrice,
+      coupon: coupon ? coupon._id : undefined,
+      couponCode: coupon ? coupon.code : undefined,
+      discountAmount: plan.discountAmount,
+      totalAmount: plan.totalAmount,
+      emiAmount: plan.emiAmount,
+      emiMonths: plan.emiMonths,
+      enrollmentStatus: "pending",
+      paymentStatus: "pending",
+      paidAmount: 0,
+      nextPaymentDue:
+        paymentMethod === "emi" && plan.totalAmount > 0
+          ? new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
+          : null,
+    });
+
+    // The coupon's limits only hold once the enrollment is counted
+    if (coupon) {
+      try {
+        await couponService.checkLimits(coupon, enrollment);
+      } catch (error) {
+        await enrollment.deleteOne();
+        throw error;
+      }
+    }
+
+    let order = null;
+    let payment = null;
+    try {
+      if (plan.totalAmount === 0) {
+        // Nothing to pay: the enrollment is already active (see Enrollment pre-save)
+        const enrolledBatch = await Batch.findById(batch._id);
+        enrolledBatch.currentStudents += 1;
+        await enrolledBatch.save();
+      } else {
+        // Create payment order
+        order = await paymentService.createOrder(
+          plan.firstPaymentAmount,
+          "INR",
+          `enrollment_${enrollment._id}`,
+        );
+
+        // Create payment record
+        payment = await Payment.create({
+          enrollment: enrollment._id,
+          student: student._id,
+          batch: batch._id,
+          course: course._id,
+          organization: enrollment.organization,
+          amount: plan.firstPaymentAmount,
+          paymentType: paymentMethod === "fullPayment" ? "full" : "emi",
+          emiNumber: 1,
+          coupon: coupon ? coupon._id : undefined,
+          discountAmount: plan.discountAmount,
+          status: "pending",
+          razorpayOrderId: order.id,
+          dueDate: new Date(),
+        });
+      }
+    } catch (error) {
+      await Payment.deleteMany({ enrollment: enrollment._id });
+      if (order) await paymentService.cancelOrder(order.id);
+      await enrollment.deleteOne();
+      throw error;
+    }
+
+    // The enrollment stands even when the email cannot be sent
+    try {
+      await this.sendEnrollmentConfirmation(student, batch, plan, paymentMethod);
+    } catch (error) {
+      console.error("Error sending enrollment confirmation:", error);
+    }
+
+    return { enrollment, payment, order, plan };
+  }
+
+  /**
+   * Send enrollment confirmation email
+   */
+  async sendEnrollmentConfirmation(student, batch, plan, paymentMethod) {
+    const branding = await getBranding(batch.organization);
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${branding.primaryColor};">Enrollment Confirmation</h2>
+        <p>Hello ${student.name},</p>
+        <p>Your enrollment in <strong>${batch.course.title}</strong> batch <strong>${batch.name}</strong> has been initiated.</p>
+        <p><strong>Payment Details:</strong></p>
+        <ul>
+          ${plan.discountAmount > 0 ? `<li>Course Fee: ₹${plan.listPrice}</li><li>Discount: ₹${plan.discountAmount}</li>` : ""}
+          <li>Total Amount: ₹${plan.totalAmount}</li>
+          <li>Payment Method: ${paymentMethod}</li>
+          <li>First Payment Due: ₹${plan.firstPaymentAmount}</li>
+        </ul>
+        <p>Please complete your payment to activate your enrollment.</p>
+        <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
+        <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
+      </div>
+    `;
+
+    await sendEmail({
+      email: student.email,
+      subject: `Enrollment Confirmation - ${branding.appName}`,
+      html: emailHtml,
+    });
+  }
+}
+
+module.exports = new EnrollmentService();
@@ -0,0 +1,128 @@
+const Invitation = require("../models/Invitation");
+const User = require("../models/User");
+const { generateInvitationToken, verifyInvitationToken } = require("../utils/tokenService");
+const { sendInvitationEmail, sendWelcomeEmail } = require("../utils/emailService");
+
+class InvitationService {
+  /**
+   * Create a pending invitation and email the link.
+   * Pass `user` when the account already exists (bulk import).
+   */
+  async invite({ name, email, role, organization = null, user = null }, invitedBy) {
+    const invitation = await Invitation.create({
+      name,
+      email,
+      role,
+      organization: organization || undefined,
+      user: user ? user._id : undefined,
+      invitedBy: invitedBy ? invitedBy._id : undefined,
+      expiresAt: this.getExpiryDate(),
+    });
+
+    await this.send(invitation);
+    return invitation;
+  }
+
+  /**
+   * (Re)send the invite link. Earlier links for the same invitation stop working.
+   */
+  async send(invitation) {
+    invitation.sendCount += 1;
+    invitation.lastSentAt = new Date();
+    invitation.expiresAt = this.getExpiryDate();
+    await invitation.save();
+
+    await sendInvitationEmail(invitation, generateInvitationToken(invitation));
+    return invitation;
+  }
+
+  /**
+   * Resolve an invite link to its pending invitation.
+   * Throws when the link is invalid, superseded, expired, used or revoked.
+   */
+  async findByToken(token) {
+    let decoded;
+    try {
+      decoded = verifyInvitationToken(token);
+    } catch (error) {
+      throw new Error("Invitation link is invalid or has expired");
+    }
+
+    const invitation = await Invitation.findById(decoded.id);
+
+    if (
+      !invitation ||
+      invitation.status !== "pending" ||
+      invitation.sendCount !== decoded.v ||
+      invitation.isExpired
+    ) {
+      throw new Error("Invitation link is invalid or has expired");
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Accept an invitation, creating the account (or activating the imported one)
+   * with the password chosen by the invitee.
+   */
+  async accept(invitation, password) {
+    let user;
+
+    if (invitation.user) {
+      user = await User.findById(invitation.user).select("+password");
+
+      if (!user || !user.isActive) {
+        throw new Error("This account is no longer active");
+      }
+
+      user.password = password;
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    } else {
+      user = await User.create({
+        name: invitation.name,
+        email: invitation.email,
+        password,
+        role: invitation.role,
+        organization: invitation.organization,
+        // The invite link proves ownership of the address
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+      });
+    }
+
+    invitation.status = "accepted";
+    invitation.acceptedAt = new Date();
+    invitation.user = user._id;
+    await invitation.save();
+
+    // The account is ready; a failed welcome email should not undo that
+    try {
+      await sendWelcomeEmail(user);
+    } catch (error) {
+      console.error("Welcome email error:", error.message);
+    }
+
+    return user;
+  }
+
+  /**
+   * Withdraw a pending invitation
+   */
+  async revoke(invitation, revokedBy) {
+    invitation.status = "revoked";
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = revokedBy._id;
+    await invitation.save();
+    return invitation;
+  }
+
+  getExpiryDate() {
+    const days = parseInt(process.env.INVITATION_EXPIRE_DAYS || 7);
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+}
+
+module.exports = new InvitationService();
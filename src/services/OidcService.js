@@ -0,0 +1,340 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Organization = require("../models/Organization");
+const OidcLoginState = require("../models/OidcLoginState");
+const { ASSIGNABLE_ROLES } = require("../config/oidc");
+
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+// Most privileged first, used when several IdP groups map to roles
+const ROLE_PRIORITY = ["admin", "instructor", "teachingAssistant", "student"];
+
+const base64url = (buffer) => buffer.toString("base64url");
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+class OidcService {
+  constructor() {
+    // issuer -> { discovery, jwks, loadedAt }
+    this.metadata = new Map();
+  }
+
+  /**
+   * Start a login: remember state/nonce/PKCE verifier and build the IdP URL.
+   * The browser token is returned to the frontend only (never in the URL) and
+   * must come back with the callback. With `user`, the login links an identity
+   * to that account instead of signing in.
+   */
+  async createAuthorizationUrl(provider, user = null) {
+    const { discovery } = await this.getMetadata(provider);
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const browserToken = base64url(crypto.randomBytes(32));
+
+    await OidcLoginState.create({
+      stateHash: sha256(state).toString("hex"),
+      browserTokenHash: sha256(browserToken).toString("hex"),
+      provider: provider.id,
+      user: user ? user._id : undefined,
+      nonce,
+      codeVerifier,
+    });
+
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: base64url(sha256(codeVerifier)),
+      code_challenge_method: "S256",
+    });
+
+    return {
+      authorizationUrl: `${discovery.authorization_endpoint}?${params.toString()}`,
+      browserToken,
+    };
+  }
+
+  /**
+   * Finish a login: exchange the code and return the verified identity claims
+   */
+  async completeLogin(provider, { code, state, browserToken }, user = null) {
+    const loginState = await OidcLoginState.findOneAndDelete({
+      stateHash: sha256(String(state)).toString("hex"),
+      provider: provider.id,
+    });
+
+    // A link request only completes for the user who started it, and never as a login
+    if (!loginState || String(loginState.user || "") !== String(user ? user._id : "")) {
+      throw new Error("Login request is invalid or has expired, please try again");
+    }
+
+    // A state started in another browser (login CSRF) is refused
+    const expected = Buffer.from(loginState.browserTokenHash, "hex");
+    if (!browserToken || !crypto.timingSafeEqual(sha256(String(browserToken)), expected)) {
+      throw new Error("Login request was started in another browser, please try again");
+    }
+
+    const { discovery } = await this.getMetadata(provider);
+
+    const body = new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: loginState.codeVerifier,
+    });
+    if (provider.clientSecret) {
+      body.set("client_secret", provider.clientSecret);
+    }
+
+    const tokens = await this.fetchJson(discovery.token_endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body,
+    });
+
+    if (!tokens.id_token) {
+      throw new Error("Identity provider did not return an ID token");
+    }
+
+    const claims = await this.verifyIdToken(provider, tokens.id_token, loginState.nonce);
+
+    // Some IdPs only put email/groups in the userinfo response
+    if ((!claims.email || !claims[provider.groupsClaim]) && discovery.userinfo_endpoint && tokens.access_token) {
+      const userinfo = await this.fetchJson(discovery.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+      });
+
+      if (userinfo.sub === claims.sub) {
+        return { ...userinfo, ...claims };
+      }
+    }
+
+    return claims;
+  }
+
+  /**
+   * Verify signature, issuer, audience, expiry and nonce of an ID token
+   */
+  async verifyIdToken(provider, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded) {
+      throw new Error("Invalid ID token");
+    }
+
+    const { discovery } = await this.getMetadata(provider);
+    const key = await this.getSigningKey(provider, decoded.header.kid);
+
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "ES512", "PS256"],
+      issuer: discovery.issuer,
+      audience: provider.clientId,
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error("ID token nonce mismatch");
+    }
+
+    return claims;
+  }
+
+  /**
+   * Find the user behind an identity, linking by verified email or provisioning one
+   */
+  async findOrProvisionUser(provider, claims) {
+    const email = String(claims.email || "").toLowerCase();
+
+    // Some IdPs send the flag as a string
+    if (!email || String(claims.email_verified) !== "true") {
+      throw new Error("Your identity provider did not share a verified email address");
+    }
+
+    const domain = email.split("@")[1];
+    if (provider.allowedDomains.length > 0 && !provider.allowedDomains.includes(domain)) {
+      throw new Error(`Email domain ${domain} is not allowed for this provider`);
+    }
+
+    const role = this.mapRole(provider, claims);
+    const organization = await this.getOrganization(provider);
+
+    let linking = false;
+    let user = await User.findOne({
+      oidcIdentities: { $elemMatch: { provider: provider.id, subject: claims.sub } },
+    });
+
+    if (!user) {
+      user = await User.findOne({ email });
+
+      if (user) {
+        user.oidcIdentities.push({ provider: provider.id, subject: claims.sub });
+        linking = true;
+      }
+    }
+
+    // Password (+2FA) only for the most privileged accounts
+    if (user && user.role === "superAdmin") {
+      throw new Error("Super admin accounts must sign in with a password");
+    }
+
+    // Other roles than autoLinkRoles are only linked from a signed-in session
+    if (linking && !provider.autoLinkRoles.includes(user.role)) {
+      throw new Error("Please sign in with your password and link single sign-on from your account settings");
+    }
+
+    if (user && String(user.organization || "") !== String(organization ? organization._id : "")) {
+      throw new Error("This account belongs to another organization");
+    }
+
+    if (!user) {
+      if (!provider.autoProvision) {
+        throw new Error("No account exists for this email, please contact your administrator");
+      }
+
+      return User.create({
+        name: String(claims.name || email.split("@")[0]).slice(0, 50),
+        email,
+        password: base64url(crypto.randomBytes(32)), // sign-in happens at the IdP
+        ssoOnly: true,
+        role,
+        organization: organization ? organization._id : undefined,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        oidcIdentities: [{ provider: provider.id, subject: claims.sub }],
+      });
+    }
+
+    if (provider.syncRole) {
+      user.role = role;
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    if (user.isModified()) {
+      await user.save({ validateBeforeSave: false });
+    }
+
+    return user;
+  }
+
+  /**
+   * Link an identity to a signed-in user, replacing their previous identity
+   * at the same provider
+   */
+  async linkIdentity(provider, user, claims) {
+    if (user.role === "superAdmin") {
+      throw new Error("Super admin accounts must sign in with a password");
+    }
+
+    const organization = await this.getOrganization(provider);
+    if (String(user.organization || "") !== String(organization ? organization._id : "")) {
+      throw new Error("This provider belongs to another organization");
+    }
+
+    const linkedElsewhere = await User.exists({
+      _id: { $ne: user._id },
+      oidcIdentities: { $elemMatch: { provider: provider.id, subject: claims.sub } },
+    });
+    if (linkedElsewhere) {
+      throw new Error("This identity is already linked to another account");
+    }
+
+    user.oidcIdentities = [
+      ...user.oidcIdentities.filter((identity) => identity.provider !== provider.id),
+      { provider: provider.id, subject: claims.sub },
+    ];
+    await user.save({ validateBeforeSave: false });
+
+    return user;
+  }
+
+  /**
+   * Pick the most privileged role mapped from the user's IdP groups
+   */
+  mapRole(provider, claims) {
+    const rawGroups = claims[provider.groupsClaim] || [];
+    const groups = Array.isArray(rawGroups) ? rawGroups : [rawGroups];
+
+    const roles = groups
+      .map((group) => provider.roleMapping[group])
+      .filter((role) => ASSIGNABLE_ROLES.includes(role));
+
+    return ROLE_PRIORITY.find((role) => roles.includes(role)) ||
+      (ASSIGNABLE_ROLES.includes(provider.defaultRole) ? provider.defaultRole : "student");
+  }
+
+  /**
+   * Organization the provider's users belong to (null = platform)
+   */
+  async getOrganization(provider) {
+    if (!provider.organization) return null;
+
+    const organization = await Organization.findOne({ slug: provider.organization, isActive: true });
+
+    if (!organization) {
+      throw new Error("Sign-in through this provider is currently unavailable");
+    }
+
+    return organization;
+  }
+
+  async getMetadata(provider, forceReload = false) {
+    const cached = this.metadata.get(provider.issuer);
+    if (!forceReload && cached && Date.now() - cached.loadedAt < METADATA_TTL_MS) {
+      return cached;
+    }
+
+    const discovery = await this.fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    const jwks = await this.fetchJson(discovery.jwks_uri);
+
+    const metadata = { discovery, jwks, loadedAt: Date.now() };
+    this.metadata.set(provider.issuer, metadata);
+    return metadata;
+  }
+
+  // Reload the key set once when the key id is unknown (IdP key rotation)
+  async getSigningKey(provider, kid) {
+    let { jwks } = await this.getMetadata(provider);
+    let jwk = jwks.keys.find((key) => !kid || key.kid === kid);
+
+    if (!jwk) {
+      ({ jwks } = await this.getMetadata(provider, true));
+      jwk = jwks.keys.find((key) => !kid || key.kid === kid);
+    }
+
+    if (!jwk) {
+      throw new Error("Unknown ID token signing key");
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { Accept: "application/json", ...(options.headers || {}) },
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(
+        `Identity provider request failed (${response.status}): ${data.error_description || data.error || url}`,
+      );
+    }
+
+    return data;
+  }
+}
+
+module.exports = new OidcService();
@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const cloudinary = require("../config/cloudinary");
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const Enrollment = require("../models/Enrollment");
+const Payment = require("../models/Payment");
+const Submission = require("../models/Submission");
+const Grade = require("../models/Grade");
+const Progress = require("../models/Progress");
+const Doubt = require("../models/Doubt");
+const Review = require("../models/Review");
+const ApiKey = require("../models/ApiKey");
+const AuthAttempt = require("../models/AuthAttempt");
+
+const REMOVED_CONTENT = "[removed - author deleted their account]";
+
+class PrivacyService {
+  /**
+   * Collect everything stored about a user, grouped by section
+   */
+  async collectPersonalData(userId) {
+    const [profile, enrollments, payments, submissions, grades, progress, doubts, repliedDoubts] =
+      await Promise.all([
+        User.findById(userId).select("-__v").lean(),
+        Enrollment.find({ student: userId })
+          .populate("batch", "name")
+          .populate("course", "title")
+          .lean(),
+        Payment.find({ student: userId }).lean(),
+        Submission.find({ student: userId }).populate("assignment", "title").lean(),
+        Grade.find({ student: userId }).lean(),
+        Progress.find({ student: userId }).lean(),
+        Doubt.find({ student: userId }).select("-replies").lean(),
+        Doubt.find({ "replies.user": userId }).select("title replies").lean(),
+      ]);
+
+    // Only the user's own replies, with the doubt they belong to
+    const replies = repliedDoubts.flatMap((doubt) =>
+      doubt.replies
+        .filter((reply) => reply.user.toString() === userId.toString())
+        .map((reply) => ({ doubt: doubt._id, doubtTitle: doubt.title, ...reply })),
+    );
+
+    return {
+      exportedAt: new Date(),
+      profile,
+      enrollments,
+      payments,
+      submissions,
+      grades,
+      progress,
+      doubts,
+      replies,
+    };
+  }
+
+  /**
+   * Anonymize a user and the content they authored.
+   * Payments and enrollments are kept for legal retention; they keep
+   * pointing at the (now anonymous) user record. Audit log entries are immutable.
+   */
+  async eraseUser(user) {
+    const userId = user._id;
+
+    // Uploaded files go first; once the records are cleared their ids are lost
+    const [submissions, doubts, repliedDoubts] = await Promise.all([
+      Submission.find({ student: userId }).select("files"),
+      Doubt.find({ student: userId }).select("attachments"),
+      Doubt.find({ "replies.user": userId }).select("replies"),
+    ]);
+
+    const files = [
+      user.profile && user.profile.avatar,
+      ...submissions.flatMap((submission) => submission.files),
+      ...doubts.flatMap((doubt) => doubt.attachments),
+      ...repliedDoubts.flatMap((doubt) =>
+        doubt.replies
+          .filter((reply) => reply.user.toString() === userId.toString())
+          .flatMap((reply) => reply.attachments),
+      ),
+    ];
+    await this.deleteFiles(files);
+
+    // Submissions keep their marks for batch statistics
+    const submissionResult = await Submission.updateMany(
+      { student: userId },
+      {
+        $set: { files: [] },
+        $unset: {
+          textContent: 1,
+          githubRepo: 1,
+          deploymentUrl: 1,
+          notes: 1,
+          plagiarismReport: 1,
+        },
+      },
+    );
+
+    const progressResult = await Progress.updateMany(
+      { student: userId },
+      { $unset: { "materialProgress.$[].notes": 1 } },
+    );
+
+    const doubtResult = await Doubt.updateMany(
+      { student: userId },
+      {
+        $set: { title: REMOVED_CONTENT, description: REMOVED_CONTENT, attachments: [], isAnonymous: true },
+      },
+    );
+
+    const replyResult = await Doubt.updateMany(
+      { "replies.user": userId },
+      {
+        $set: {
+          "replies.$[reply].content": REMOVED_CONTENT,
+          "replies.$[reply].attachments": [],
+        },
+      },
+      { arrayFilters: [{ "reply.user": userId }] },
+    );
+
+    // Ratings stay in the course rating, the text goes
+    const reviewResult = await Review.updateMany(
+      { student: userId },
+      { $set: { comment: REMOVED_CONTENT }, $unset: { title: 1 } },
+    );
+
+    await Review.updateMany(
+      { "reports.user": userId },
+      { $unset: { "reports.$[report].reason": 1 } },
+      { arrayFilters: [{ "report.user": userId }] },
+    );
+
+    // Stop notifications to an account nobody owns any more
+    await Doubt.updateMany({ followers: userId }, { $pull: { followers: userId } });
+
+    await RefreshToken.revokeAllForUser(userId, "account_erased");
+    await RefreshToken.updateMany({ user: userId }, { $unset: { createdByIp: 1, userAgent: 1 } });
+
+    const apiKeyResult = await ApiKey.deleteMany({ user: userId });
+
+    // Login history holds the email, IP addresses and devices
+    const authAttemptResult = await AuthAttempt.deleteMany({
+      $or: [{ user: userId }, { email: user.email }],
+    });
+
+    const account = await User.findById(userId);
+    account.name = "Deleted User";
+    account.email = `erased-${userId}@erased.invalid`;
+    account.password = crypto.randomBytes(32).toString("hex");
+    account.isActive = false;
+    account.profile = {};
+    account.erasedAt = new Date();
+    account.emailVerified = false;
+    account.twoFactorEnabled = false;
+    account.twoFactorSecret = undefined;
+    account.twoFactorBackupCodes = undefined;
+    account.passwordResetToken = undefined;
+    account.passwordResetExpires = undefined;
+    account.oidcIdentities = [];
+    await account.save({ validateBeforeSave: false });
+    await User.updateOne({ _id: userId }, { $unset: { passwordHistory: 1 } });
+
+    return {
+      submissions: submissionResult.modifiedCount,
+      progress: progressResult.modifiedCount,
+      doubts: doubtResult.modifiedCount,
+      doubtsWithReplies: replyResult.modifiedCount,
+      reviews: reviewResult.modifiedCount,
+      apiKeys: apiKeyResult.deletedCount,
+      authAttempts: authAttemptResult.deletedCount,
+      files: files.length,
+      paymentsRetained: await Payment.countDocuments({ student: userId }),
+    };
+  }
+
+  /**
+   * Remove uploaded files from Cloudinary, ignoring failures
+   */
+  async deleteFiles(files) {
+    for (const file of files) {
+      if (!file || !file.public_id) continue;
+
+      try {
+        await cloudinary.uploader.destroy(file.public_id);
+      } catch (error) {
+        console.error("Error deleting file from Cloudinary:", error.message);
+      }
+    }
+  }
+}
+
+module.exports = new PrivacyService();
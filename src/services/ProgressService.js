@@ -5,6 +5,7 @@ const LiveSession = require("../models/LiveSession");
 const Assignment = require("../models/Assignment");
 const Submission = require("../models/Submission");
 const Grade = require("../models/Grade");
+const { authorize } = require("../utils/permissionService");
 
 class ProgressService {
   /**
@@ -212,9 +213,9 @@ class ProgressService {
   /**
    * Get instructor progress dashboard for a batch
    */
-  async getInstructorBatchDashboard(batchId, instructorId) {
+  async getInstructorBatchDashboard(batchId, user) {
     try {
-      // Verify instructor has access to this batch
+      // Verify user can manage progress for this batch
       const Batch = require("../models/Batch");
       const batch = await Batch.findById(batchId);
 
@@ -222,7 +223,7 @@ class ProgressService {
         throw new Error("Batch not found");
       }
 
-      if (batch.instructor.toString() !== instructorId) {
+      if (!(await authorize(user, "progress:manage", { batchId: batch._id }))) {
         throw new Error("Not authorized to view this batch dashboard");
       }
 
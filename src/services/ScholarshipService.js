@@ -0,0 +1,250 @@
+const Scholarship = require("../models/Scholarship");
+const Enrollment = require("../models/Enrollment");
+const Payment = require("../models/Payment");
+const Batch = require("../models/Batch");
+const User = require("../models/User");
+const Course = require("../models/Course");
+const paymentService = require("../utils/paymentService");
+const { sendEmail, getBranding } = require("../utils/emailService");
+const { isCrossOrganization } = require("../utils/organizationScope");
+
+class ScholarshipService {
+  /**
+   * Fee of an enrollment after coupon discounts, before scholarships
+   */
+  getFee(enrollment) {
+    if (enrollment.listPrice != null) {
+      return enrollment.listPrice - (enrollment.discountAmount || 0);
+    }
+    return enrollment.totalAmount + (enrollment.scholarshipAmount || 0);
+  }
+
+  /**
+   * Amount a scholarship takes off an enrollment. Only the unpaid part of the
+   * fee can be waived, paid money is not refunded.
+   */
+  getAmount(enrollment, scholarship) {
+    if (["cancelled", "completed"].includes(enrollment.enrollmentStatus)) {
+      throw new Error(`Cannot grant a scholarship to a ${enrollment.enrollmentStatus} enrollment`);
+    }
+
+    const amount = scholarship.getAmount(this.getFee(enrollment));
+    const unpaid = enrollment.totalAmount - enrollment.paidAmount;
+
+    if (amount > unpaid) {
+      throw new Error(`Scholarship of ₹${amount} exceeds the unpaid amount of ₹${Math.max(unpaid, 0)}`);
+    }
+
+    return amount;
+  }
+
+  /**
+   * Open a scholarship request for an enrollment
+   */
+  async request(enrollment, { type, value, reason }, user) {
+    const scholarship = new Scholarship({
+      enrollment: enrollment._id,
+      student: enrollment.student,
+      batch: enrollment.batch,
+      course: enrollment.course,
+      organization: enrollment.organization,
+      type,
+      value,
+      reason,
+      requestedBy: user._id,
+    });
+
+    await scholarship.validate();
+    scholarship.amount = this.getAmount(enrollment, scholarship);
+
+    try {
+      return await scholarship.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error("This enrollment already has a pending scholarship request");
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending request and take it off the enrollment's fee.
+   * Requesters cannot approve their own request unless
+   * SCHOLARSHIP_ALLOW_SELF_APPROVAL is "true" (superAdmin always can).
+   */
+  async approve(scholarship, user, note) {
+    const selfApproval = scholarship.requestedBy && scholarship.requestedBy.toString() === user._id.toString();
+    if (selfApproval && !isCrossOrganization(user) && process.env.SCHOLARSHIP_ALLOW_SELF_APPROVAL !== "true") {
+      throw new Error("A scholarship must be approved by someone other than the requester");
+    }
+
+    // Claim the request so it is only applied once
+    const approved = await Scholarship.findOneAndUpdate(
+      { _id: scholarship._id, status: "pending" },
+      { $set: { status: "approved", reviewedBy: user._id, reviewedAt: new Date(), reviewNote: note } },
+      { new: true },
+    );
+
+    if (!approved) {
+      throw new Error("This scholarship request has already been reviewed");
+    }
+
+    let enrollment;
+    try {
+      enrollment = await Enrollment.findById(approved.enrollment);
+      if (!enrollment) {
+        throw new Error("Enrollment not found");
+      }
+
+      approved.amount = this.getAmount(enrollment, approved);
+    } catch (error) {
+      await Scholarship.updateOne(
+        { _id: approved._id },
+        { $set: { status: "pending" }, $unset: { reviewedBy: 1, reviewedAt: 1, reviewNote: 1 } },
+      );
+      throw error;
+    }
+
+    await approved.save();
+    await this.applyToEnrollment(enrollment, approved.amount);
+    await this.sendApprovalEmail(approved, enrollment);
+
+    return { scholarship: approved, enrollment };
+  }
+
+  reject(scholarship, user, note) {
+    if (scholarship.status !== "pending") {
+      throw new Error("This scholarship request has already been reviewed");
+    }
+
+    scholarship.status = "rejected";
+    scholarship.reviewedBy = user._id;
+    scholarship.reviewedAt = new Date();
+    scholarship.reviewNote = note;
+    return scholarship.save();
+  }
+
+  /**
+   * Lower the enrollment's fee, spread the rest over the remaining EMIs and
+   * replace the open payment order. Enrollments waived in full become active.
+   */
+  async applyToEnrollment(enrollment, amount) {
+    const wasPending = enrollment.enrollmentStatus === "pending";
+
+    enrollment.scholarshipAmount = (enrollment.scholarshipAmount || 0) + amount;
+    enrollment.totalAmount -= amount;
+
+    const remaining = enrollment.totalAmount - enrollment.paidAmount;
+
+    if (enrollment.paymentMethod === "emi") {
+      const paidInstallments = await Payment.countDocuments({
+        enrollment: enrollment._id,
+        paymentType: "emi",
+        status: "completed",
+      });
+
+      if (remaining <= 0) {
+        enrollment.emiMonths = paidInstallments;
+      } else {
+        // Same number of installments left, each one smaller
+        const installmentsLeft = Math.max((enrollment.emiMonths || 1) - paidInstallments, 1);
+        enrollment.emiAmount = Math.ceil(remaining / installmentsLeft);
+        enrollment.emiMonths = paidInstallments + installmentsLeft;
+      }
+    }
+
+    if (remaining <= 0) {
+      enrollment.nextPaymentDue = null;
+    }
+
+    // Payment status and activation follow from the amounts (see Enrollment pre-save)
+    await enrollment.save();
+
+    await this.replacePendingPayment(enrollment, remaining);
+
+    // Nothing was paid and nothing is left to pay: the student takes a seat now
+    if (wasPending && enrollment.enrollmentStatus === "active") {
+      const batch = await Batch.findById(enrollment.batch);
+      batch.currentStudents += 1;
+      await batch.save();
+    }
+  }
+
+  /**
+   * Payment orders have a fixed amount: close the open order when it no
+   * longer matches what is due and create one for the new amount
+   */
+  async replacePendingPayment(enrollment, remaining) {
+    const pending = await Payment.findOne({ enrollment: enrollment._id, status: "pending" }).sort("-createdAt");
+    if (!pending) return;
+
+    const amountDue = enrollment.paymentMethod === "emi"
+      ? Math.min(enrollment.emiAmount, remaining)
+      : remaining;
+
+    if (pending.amount === amountDue) return;
+
+    const orderIds = await Payment.distinct("razorpayOrderId", { enrollment: enrollment._id, status: "pending" });
+    for (const orderId of orderIds.filter(Boolean)) {
+      await paymentService.cancelOrder(orderId);
+    }
+
+    await Payment.updateMany(
+      { enrollment: enrollment._id, status: "pending" },
+      { $set: { status: "cancelled", notes: "Replaced after scholarship", updatedAt: Date.now() } },
+    );
+
+    if (amountDue <= 0) return;
+
+    const order = await paymentService.createOrder(amountDue, "INR", `enrollment_${enrollment._id}`);
+
+    await Payment.create({
+      enrollment: enrollment._id,
+      student: enrollment.student,
+      batch: enrollment.batch,
+      course: enrollment.course,
+      organization: enrollment.organization,
+      amount: amountDue,
+      paymentType: pending.paymentType,
+      emiNumber: pending.emiNumber,
+      coupon: pending.coupon,
+      discountAmount: pending.discountAmount,
+      status: "pending",
+      razorpayOrderId: order.id,
+      dueDate: pending.dueDate,
+    });
+  }
+
+  async sendApprovalEmail(scholarship, enrollment) {
+    const [student, course] = await Promise.all([
+      User.findById(enrollment.student).select("name email"),
+      Course.findById(enrollment.course).select("title"),
+    ]);
+    if (!student) return;
+
+    const branding = await getBranding(enrollment.organization);
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${branding.primaryColor};">Scholarship Granted</h2>
+        <p>Hello ${student.name},</p>
+        <p>You have been granted a scholarship of ₹${scholarship.amount} for <strong>${course ? course.title : "your course"}</strong>.</p>
+        <ul>
+          <li>Total Amount: ₹${enrollment.totalAmount}</li>
+          <li>Paid: ₹${enrollment.paidAmount}</li>
+          <li>Remaining: ₹${enrollment.remainingAmount}</li>
+          ${enrollment.paymentMethod === "emi" && enrollment.remainingAmount > 0 ? `<li>Monthly EMI: ₹${enrollment.emiAmount}</li>` : ""}
+        </ul>
+        <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
+        <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
+      </div>
+    `;
+
+    await sendEmail({
+      email: student.email,
+      subject: `Scholarship Granted - ${branding.appName}`,
+      html: emailHtml,
+    });
+  }
+}
+
+module.exports = new ScholarshipService();
@@ -8,15 +8,21 @@ const Assignment = require("../models/Assignment");
 const Submission = require("../models/Submission");
 const Doubt = require("../models/Doubt");
 const Progress = require("../models/Progress");
+const Scholarship = require("../models/Scholarship");
 const AnalyticsCache = require("../models/AnalyticsCache");
 const mongoose = require("mongoose");
 
+// Organization scope that does not restrict anything
+const ALL_ORGANIZATIONS = { key: "all", org: {}, batch: {} };
+
 class AnalyticsCalculator {
   /**
    * Get system-wide analytics
+   * `organizationId`: undefined for all organizations, null for the platform itself
    */
-  async getSystemAnalytics(timeRange = "30d") {
-    const cacheKey = `system_analytics_${timeRange}`;
+  async getSystemAnalytics(timeRange = "30d", organizationId = undefined) {
+    const scope = await this.getOrganizationScope(organizationId);
+    const cacheKey = `system_analytics_${scope.key}_${timeRange}`;
 
     // Check cache
     const cached = await AnalyticsCache.get(cacheKey);
@@ -37,27 +43,29 @@ class AnalyticsCalculator {
       courseStats,
       paymentStats,
     ] = await Promise.all([
-      this.getTotalEnrollments(dateFilter),
-      this.getActiveEnrollments(),
-      this.getTotalRevenue(dateFilter),
-      this.getAverageSessionAttendance(dateFilter),
-      this.getAssignmentSubmissionRate(dateFilter),
-      this.getDoubtResolutionRate(dateFilter),
-      this.getCourseStats(),
-      this.getPaymentStats(dateFilter),
+      this.getTotalEnrollments(dateFilter, scope),
+      this.getActiveEnrollments(scope),
+      this.getTotalRevenue(dateFilter, scope),
+      this.getAverageSessionAttendance(dateFilter, scope),
+      this.getAssignmentSubmissionRate(dateFilter, scope),
+      this.getDoubtResolutionRate(dateFilter, scope),
+      this.getCourseStats(scope),
+      this.getPaymentStats(dateFilter, scope),
     ]);
 
     const analytics = {
       overview: {
         totalEnrollments,
         activeEnrollments,
-        totalCourses: await Course.countDocuments(),
-        totalBatches: await Batch.countDocuments({ isActive: true }),
+        totalCourses: await Course.countDocuments(scope.org),
+        totalBatches: await Batch.countDocuments({ ...scope.org, isActive: true }),
         totalInstructors: await require("../models/User").countDocuments({
+          ...scope.org,
           role: "instructor",
           isActive: true,
         }),
         totalStudents: await require("../models/User").countDocuments({
+          ...scope.org,
           role: "student",
           isActive: true,
         }),
@@ -72,10 +80,11 @@ class AnalyticsCalculator {
         averageSessionAttendance,
         assignmentSubmissionRate,
         doubtResolutionRate,
-        averageProgress: await this.getAverageStudentProgress(),
-        activeStudentsPercentage: await this.getActiveStudentsPercentage(),
+        averageProgress: await this.getAverageStudentProgress(scope),
+        activeStudentsPercentage: await this.getActiveStudentsPercentage(scope),
       },
       coursePerformance: courseStats,
+      organization: organizationId,
       timeRange,
       calculatedAt: new Date(),
     };
@@ -224,10 +233,11 @@ class AnalyticsCalculator {
   }
 
   /**
-   * Get payment collection reports (full vs EMI)
+   * Get payment collection reports (full vs EMI, scholarships)
    */
-  async getPaymentCollectionReport(timeRange = "30d") {
-    const cacheKey = `payment_collection_${timeRange}`;
+  async getPaymentCollectionReport(timeRange = "30d", organizationId = undefined) {
+    const scope = await this.getOrganizationScope(organizationId);
+    const cacheKey = `payment_collection_${scope.key}_${timeRange}`;
 
     // Check cache
     const cached = await AnalyticsCache.get(cacheKey);
@@ -240,6 +250,7 @@ class AnalyticsCalculator {
     const payments = await Payment.aggregate([
       {
         $match: {
+          ...scope.org,
           status: "completed",
           paymentDate: dateFilter,
         },
@@ -292,6 +303,8 @@ class AnalyticsCalculator {
     const totalAmount = totalFullAmount + totalEMIAmount;
     const totalCount = totalFullCount + totalEMICount;
 
+    const scholarships = await this.getScholarshipStats(dateFilter, scope);
+
     const report = {
       summary: {
         totalAmount,
@@ -309,6 +322,103 @@ class AnalyticsCalculator {
         averagePayment: totalCount > 0 ? totalAmount / totalCount : 0,
       },
       monthlyBreakdown: payments,
+      scholarships,
+      organization: organizationId,
+      timeRange,
+      calculatedAt: new Date(),
+    };
+
+    // Cache the results
+    await AnalyticsCache.set(cacheKey, report, 3600); // 1 hour TTL
+
+    return report;
+  }
+
+  /**
+   * Get coupon redemption report (uses, discount given, revenue per coupon)
+   */
+  async getCouponRedemptionReport(timeRange = "30d", organizationId = undefined) {
+    const scope = await this.getOrganizationScope(organizationId);
+    const cacheKey = `coupon_redemptions_${scope.key}_${timeRange}`;
+
+    // Check cache
+    const cached = await AnalyticsCache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const dateFilter = this.getDateFilter(timeRange);
+
+    const coupons = await Enrollment.aggregate([
+      {
+        $match: {
+          ...scope.org,
+          coupon: { $ne: null },
+          enrollmentDate: dateFilter,
+        },
+      },
+      {
+        $group: {
+          _id: "$coupon",
+          code: { $first: "$couponCode" },
+          redemptions: {
+            $sum: { $cond: [{ $ne: ["$enrollmentStatus", "cancelled"] }, 1, 0] },
+          },
+          cancelled: {
+            $sum: { $cond: [{ $eq: ["$enrollmentStatus", "cancelled"] }, 1, 0] },
+          },
+          totalDiscount: {
+            $sum: { $cond: [{ $ne: ["$enrollmentStatus", "cancelled"] }, "$discountAmount", 0] },
+          },
+          listRevenue: {
+            $sum: { $cond: [{ $ne: ["$enrollmentStatus", "cancelled"] }, "$listPrice", 0] },
+          },
+          collectedRevenue: { $sum: "$paidAmount" },
+        },
+      },
+      {
+        $lookup: {
+          from: "coupons",
+          localField: "_id",
+          foreignField: "_id",
+          as: "couponInfo",
+        },
+      },
+      {
+        $project: {
+          code: 1,
+          redemptions: 1,
+          cancelled: 1,
+          totalDiscount: 1,
+          listRevenue: 1,
+          collectedRevenue: 1,
+          discountType: { $first: "$couponInfo.discountType" },
+          discountValue: { $first: "$couponInfo.discountValue" },
+          usedCount: { $first: "$couponInfo.usedCount" },
+          maxUses: { $first: "$couponInfo.maxUses" },
+          isActive: { $first: "$couponInfo.isActive" },
+        },
+      },
+      { $sort: { redemptions: -1 } },
+    ]);
+
+    const totalRedemptions = coupons.reduce((sum, coupon) => sum + coupon.redemptions, 0);
+    const totalDiscount = coupons.reduce((sum, coupon) => sum + coupon.totalDiscount, 0);
+    const listRevenue = coupons.reduce((sum, coupon) => sum + coupon.listRevenue, 0);
+    const collectedRevenue = coupons.reduce((sum, coupon) => sum + coupon.collectedRevenue, 0);
+
+    const report = {
+      summary: {
+        couponsUsed: coupons.length,
+        totalRedemptions,
+        totalDiscount,
+        listRevenue,
+        collectedRevenue,
+        averageDiscount: totalRedemptions > 0 ? totalDiscount / totalRedemptions : 0,
+        discountPercentage: listRevenue > 0 ? (totalDiscount / listRevenue) * 100 : 0,
+      },
+      coupons,
+      organization: organizationId,
       timeRange,
       calculatedAt: new Date(),
     };
@@ -322,8 +432,9 @@ class AnalyticsCalculator {
   /**
    * Get student engagement metrics
    */
-  async getStudentEngagementMetrics(timeRange = "30d") {
-    const cacheKey = `student_engagement_${timeRange}`;
+  async getStudentEngagementMetrics(timeRange = "30d", organizationId = undefined) {
+    const scope = await this.getOrganizationScope(organizationId);
+    const cacheKey = `student_engagement_${scope.key}_${timeRange}`;
 
     // Check cache
     const cached = await AnalyticsCache.get(cacheKey);
@@ -341,11 +452,11 @@ class AnalyticsCalculator {
       doubtParticipation,
       activeUsers,
     ] = await Promise.all([
-      this.getSessionAttendanceMetrics(dateFilter),
-      this.getMaterialCompletionMetrics(dateFilter),
-      this.getAssignmentSubmissionMetrics(dateFilter),
-      this.getDoubtParticipationMetrics(dateFilter),
-      this.getActiveUserMetrics(dateFilter),
+      this.getSessionAttendanceMetrics(dateFilter, scope),
+      this.getMaterialCompletionMetrics(dateFilter, scope),
+      this.getAssignmentSubmissionMetrics(dateFilter, scope),
+      this.getDoubtParticipationMetrics(dateFilter, scope),
+      this.getActiveUserMetrics(dateFilter, scope),
     ]);
 
     const metrics = {
@@ -360,6 +471,7 @@ class AnalyticsCalculator {
         assignmentSubmission,
         doubtParticipation,
       ),
+      organization: organizationId,
       timeRange,
       calculatedAt: new Date(),
     };
@@ -372,6 +484,26 @@ class AnalyticsCalculator {
 
   // Helper methods
 
+  /**
+   * Query filters limiting analytics to one organization:
+   * `org` for models with an organization field (enrollments, payments, courses, batches, users),
+   * `batch` for models that belong to a batch (sessions, assignments, doubts, progress...)
+   */
+  async getOrganizationScope(organizationId) {
+    if (organizationId === undefined) {
+      return ALL_ORGANIZATIONS;
+    }
+
+    const organization = organizationId ? new mongoose.Types.ObjectId(String(organizationId)) : null;
+    const batchIds = await Batch.find({ organization }).distinct("_id");
+
+    return {
+      key: organization ? organization.toString() : "platform",
+      org: { organization },
+      batch: { batch: { $in: batchIds } },
+    };
+  }
+
   getDateFilter(timeRange) {
     const now = new Date();
     const filter = {};
@@ -400,23 +532,26 @@ class AnalyticsCalculator {
     return filter;
   }
 
-  async getTotalEnrollments(dateFilter) {
+  async getTotalEnrollments(dateFilter, scope = ALL_ORGANIZATIONS) {
     return Enrollment.countDocuments({
+      ...scope.org,
       enrollmentDate: dateFilter,
     });
   }
 
-  async getActiveEnrollments() {
+  async getActiveEnrollments(scope = ALL_ORGANIZATIONS) {
     return Enrollment.countDocuments({
+      ...scope.org,
       enrollmentStatus: "active",
       accessRevoked: false,
     });
   }
 
-  async getTotalRevenue(dateFilter) {
+  async getTotalRevenue(dateFilter, scope = ALL_ORGANIZATIONS) {
     const result = await Payment.aggregate([
       {
         $match: {
+          ...scope.org,
           status: "completed",
           paymentDate: dateFilter,
         },
@@ -432,8 +567,9 @@ class AnalyticsCalculator {
     return result[0]?.total || 0;
   }
 
-  async getAverageSessionAttendance(dateFilter) {
+  async getAverageSessionAttendance(dateFilter, scope = ALL_ORGANIZATIONS) {
     const sessions = await LiveSession.find({
+      ...scope.batch,
       startTime: dateFilter,
       status: { $in: ["completed", "ongoing"] },
     });
@@ -456,8 +592,9 @@ class AnalyticsCalculator {
       : 0;
   }
 
-  async getAssignmentSubmissionRate(dateFilter) {
+  async getAssignmentSubmissionRate(dateFilter, scope = ALL_ORGANIZATIONS) {
     const assignments = await Assignment.find({
+      ...scope.batch,
       deadline: dateFilter,
       isPublished: true,
     });
@@ -465,6 +602,7 @@ class AnalyticsCalculator {
     if (assignments.length === 0) return 0;
 
     const submissions = await Submission.find({
+      ...scope.batch,
       submittedAt: dateFilter,
       status: { $in: ["submitted", "graded"] },
     });
@@ -475,14 +613,16 @@ class AnalyticsCalculator {
       : 0;
   }
 
-  async getDoubtResolutionRate(dateFilter) {
+  async getDoubtResolutionRate(dateFilter, scope = ALL_ORGANIZATIONS) {
     const doubts = await Doubt.find({
+      ...scope.batch,
       createdAt: dateFilter,
     });
 
     if (doubts.length === 0) return 0;
 
     const resolvedDoubts = await Doubt.countDocuments({
+      ...scope.batch,
       createdAt: dateFilter,
       status: "resolved",
     });
@@ -490,8 +630,8 @@ class AnalyticsCalculator {
     return (resolvedDoubts / doubts.length) * 100;
   }
 
-  async getCourseStats() {
-    const courses = await Course.find({ isPublished: true });
+  async getCourseStats(scope = ALL_ORGANIZATIONS) {
+    const courses = await Course.find({ ...scope.org, isPublished: true });
 
     const stats = await Promise.all(
       courses.map(async (course) => {
@@ -517,10 +657,11 @@ class AnalyticsCalculator {
     return stats;
   }
 
-  async getPaymentStats(dateFilter) {
+  async getPaymentStats(dateFilter, scope = ALL_ORGANIZATIONS) {
     const payments = await Payment.aggregate([
       {
         $match: {
+          ...scope.org,
           status: "completed",
           paymentDate: dateFilter,
         },
@@ -555,8 +696,70 @@ class AnalyticsCalculator {
     return stats;
   }
 
-  async getAverageStudentProgress() {
-    const progresses = await Progress.find();
+  /**
+   * Scholarships approved in the period (fee waived, by course) and requests
+   * still waiting for approval
+   */
+  async getScholarshipStats(dateFilter, scope = ALL_ORGANIZATIONS) {
+    const [approved, byCourse, pending] = await Promise.all([
+      Scholarship.aggregate([
+        { $match: { ...scope.org, status: "approved", reviewedAt: dateFilter } },
+        {
+          $group: {
+            _id: null,
+            amount: { $sum: "$amount" },
+            count: { $sum: 1 },
+            students: { $addToSet: "$student" },
+          },
+        },
+      ]),
+      Scholarship.aggregate([
+        { $match: { ...scope.org, status: "approved", reviewedAt: dateFilter } },
+        { $group: { _id: "$course", amount: { $sum: "$amount" }, count: { $sum: 1 } } },
+        {
+          $lookup: {
+            from: "courses",
+            localField: "_id",
+            foreignField: "_id",
+            as: "courseInfo",
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            courseId: "$_id",
+            title: { $first: "$courseInfo.title" },
+            amount: 1,
+            count: 1,
+          },
+        },
+        { $sort: { amount: -1 } },
+      ]),
+      Scholarship.aggregate([
+        { $match: { ...scope.org, status: "pending" } },
+        { $group: { _id: null, amount: { $sum: "$amount" }, count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const totals = approved[0] || { amount: 0, count: 0, students: [] };
+
+    return {
+      approved: {
+        amount: totals.amount,
+        count: totals.count,
+        students: totals.students.length,
+        average: totals.count > 0 ? totals.amount / totals.count : 0,
+      },
+      pending: {
+        amount: pending[0] ? pending[0].amount : 0,
+        count: pending[0] ? pending[0].count : 0,
+      },
+      byCourse,
+    };
+  }
+
+  async getAverageStudentProgress(scope = ALL_ORGANIZATIONS) {
+    const progresses = await Progress.find(scope.batch);
 
     if (progresses.length === 0) return 0;
 
@@ -568,8 +771,9 @@ class AnalyticsCalculator {
     return totalProgress / progresses.length;
   }
 
-  async getActiveStudentsPercentage() {
+  async getActiveStudentsPercentage(scope = ALL_ORGANIZATIONS) {
     const totalStudents = await require("../models/User").countDocuments({
+      ...scope.org,
       role: "student",
       isActive: true,
     });
@@ -579,6 +783,7 @@ class AnalyticsCalculator {
     // Students active in last 7 days
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
     const activeStudents = await Progress.countDocuments({
+      ...scope.batch,
       lastActive: { $gte: sevenDaysAgo },
     });
 
@@ -916,8 +1121,9 @@ class AnalyticsCalculator {
     };
   }
 
-  async getSessionAttendanceMetrics(dateFilter) {
+  async getSessionAttendanceMetrics(dateFilter, scope = ALL_ORGANIZATIONS) {
     const sessions = await LiveSession.find({
+      ...scope.batch,
       startTime: dateFilter,
       status: { $in: ["completed", "ongoing"] },
     });
@@ -962,8 +1168,9 @@ class AnalyticsCalculator {
     };
   }
 
-  async getMaterialCompletionMetrics(dateFilter) {
+  async getMaterialCompletionMetrics(dateFilter, scope = ALL_ORGANIZATIONS) {
     const materials = await LearningMaterial.find({
+      ...scope.batch,
       publishDate: dateFilter,
       isPublished: true,
     });
@@ -978,13 +1185,15 @@ class AnalyticsCalculator {
     };
   }
 
-  async getAssignmentSubmissionMetrics(dateFilter) {
+  async getAssignmentSubmissionMetrics(dateFilter, scope = ALL_ORGANIZATIONS) {
     const assignments = await Assignment.find({
+      ...scope.batch,
       deadline: dateFilter,
       isPublished: true,
     });
 
     const submissions = await Submission.find({
+      ...scope.batch,
       submittedAt: dateFilter,
       status: { $in: ["submitted", "graded"] },
     });
@@ -1011,8 +1220,8 @@ class AnalyticsCalculator {
     };
   }
 
-  async getDoubtParticipationMetrics(dateFilter) {
-    const doubts = await Doubt.find({ createdAt: dateFilter });
+  async getDoubtParticipationMetrics(dateFilter, scope = ALL_ORGANIZATIONS) {
+    const doubts = await Doubt.find({ ...scope.batch, createdAt: dateFilter });
     const replies = doubts.reduce((sum, doubt) => sum + (doubt.replyCount || 0), 0);
 
     const doubtsByDay = {};
@@ -1034,18 +1243,20 @@ class AnalyticsCalculator {
     };
   }
 
-  async getActiveUserMetrics(dateFilter) {
+  async getActiveUserMetrics(dateFilter, scope = ALL_ORGANIZATIONS) {
     const User = require("../models/User");
-    const totalUsers = await User.countDocuments({ isActive: true });
+    const totalUsers = await User.countDocuments({ ...scope.org, isActive: true });
 
     // Active in last 7 days (using progress lastActive)
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
     const activeUsers = await Progress.countDocuments({
+      ...scope.batch,
       lastActive: { $gte: sevenDaysAgo },
     });
 
     // New users
     const newUsers = await User.countDocuments({
+      ...scope.org,
       createdAt: dateFilter,
       role: "student",
     });
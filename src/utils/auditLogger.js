@@ -0,0 +1,69 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into audit entries
+const REDACTED_FIELDS = [
+  'password',
+  'passwordHistory',
+  'passwordResetToken',
+  'twoFactorSecret',
+  'twoFactorBackupCodes',
+];
+
+// Noise that changes on every write
+const IGNORED_FIELDS = ['_id', '__v', 'updatedAt'];
+
+const toPlain = (value) => {
+  if (!value) return {};
+  return typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+};
+
+/**
+ * Keep only the fields that differ between two snapshots
+ */
+const diffSnapshots = (before, after) => {
+  const previous = toPlain(before);
+  const next = toPlain(after);
+  const changes = { before: {}, after: {} };
+
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    if (JSON.stringify(previous[key]) === JSON.stringify(next[key])) continue;
+
+    const redacted = REDACTED_FIELDS.includes(key);
+    changes.before[key] = redacted ? '[REDACTED]' : previous[key];
+    changes.after[key] = redacted ? '[REDACTED]' : next[key];
+  }
+
+  return changes;
+};
+
+/**
+ * Record a privileged action.
+ * While impersonating, the superAdmin is the actor and the user is recorded alongside.
+ * Failures are logged and never break the request that triggered them.
+ */
+exports.recordAudit = async (req, { action, targetType, targetId, before, after, metadata }) => {
+  const actor = req.impersonator || req.user;
+
+  try {
+    await AuditLog.create({
+      actor: actor ? actor._id : undefined,
+      actorEmail: actor ? actor.email : undefined,
+      actorRole: actor ? actor.role : undefined,
+      impersonatedUser: req.impersonator ? req.user._id : undefined,
+      action,
+      targetType,
+      targetId,
+      changes: diffSnapshots(before, after),
+      metadata,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      requestId: req.id,
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error.message);
+  }
+};
+
+exports.diffSnapshots = diffSnapshots;
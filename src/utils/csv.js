@@ -0,0 +1,86 @@
+/**
+ * Escape a single CSV value (RFC 4180)
+ */
+const escapeValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : value;
+  if (typeof text === 'object') {
+    text = JSON.stringify(text);
+  }
+  text = String(text);
+
+  // Neutralise spreadsheet formulas
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document.
+ * columns - [{ header, value: (row) => any }]
+ */
+exports.toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => escapeValue(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeValue(column.value(row))).join(','));
+  }
+
+  return lines.join('\r\n');
+};
+
+/**
+ * Parse a CSV document (RFC 4180) into an array of rows of strings.
+ * Blank lines are skipped.
+ */
+exports.parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Malformed CSV: unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
@@ -1,4 +1,15 @@
+const validator = require('validator');
 const sgMail = require('../config/sendGrid');
+const Organization = require('../models/Organization');
+
+// Branding (name, colors, signature) of the recipient's organization
+const getBranding = (organization) => Organization.getBranding(organization);
+
+const brandLogo = (branding) => {
+  return branding.logoUrl
+    ? `<img src="${branding.logoUrl}" alt="${branding.appName}" style="max-height: 48px; margin-bottom: 16px;">`
+    : '';
+};
 
 const sendEmail = async (options) => {
   const msg = {
@@ -19,22 +30,24 @@ const sendEmail = async (options) => {
 };
 
 const sendPasswordResetEmail = async (user, resetToken) => {
+  const branding = await getBranding(user.organization);
   const resetURL = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
   
   const message = `You requested a password reset. Please make a PUT request to: \n\n ${resetURL}`;
   
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #4F46E5;">Password Reset Request</h2>
+      ${brandLogo(branding)}
+      <h2 style="color: ${branding.primaryColor};">Password Reset Request</h2>
       <p>Hello ${user.name},</p>
       <p>You requested to reset your password. Click the button below to reset it:</p>
-      <a href="${resetURL}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+      <a href="${resetURL}" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
         Reset Password
       </a>
       <p>This link will expire in 10 minutes.</p>
       <p>If you didn't request this, please ignore this email.</p>
       <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-      <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
+      <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
     </div>
   `;
 
@@ -46,38 +59,169 @@ const sendPasswordResetEmail = async (user, resetToken) => {
   });
 };
 
-const sendWelcomeEmail = async (user, password = null) => {
-  let message = `Welcome to AlmaBetter Clone, ${user.name}!`;
-  let html = `
+const sendWelcomeEmail = async (user) => {
+  const branding = await getBranding(user.organization);
+  const message = `Welcome to ${branding.appName}, ${user.name}!`;
+  const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #4F46E5;">Welcome to AlmaBetter Clone!</h2>
+      ${brandLogo(branding)}
+      <h2 style="color: ${branding.primaryColor};">Welcome to ${branding.appName}!</h2>
       <p>Hello ${user.name},</p>
       <p>Your account has been created successfully.</p>
+      <a href="${process.env.FRONTEND_URL}/login" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+        Login to Your Account
+      </a>
+      <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
+      <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
+    </div>
   `;
 
-  if (password) {
-    message += ` Your temporary password is: ${password}`;
-    html += `
-      <p>Your temporary password is: <strong>${password}</strong></p>
-      <p>Please login and change your password immediately.</p>
-    `;
-  }
+  await sendEmail({
+    email: user.email,
+    subject: `Welcome to ${branding.appName}`,
+    message,
+    html
+  });
+};
 
-  html += `
-      <a href="${process.env.FRONTEND_URL}/login" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
-        Login to Your Account
+const sendInvitationEmail = async (invitation, inviteToken) => {
+  const branding = await getBranding(invitation.organization);
+  const inviteURL = `${process.env.FRONTEND_URL}/accept-invite/${inviteToken}`;
+  const days = parseInt(process.env.INVITATION_EXPIRE_DAYS || 7);
+
+  const message = `You have been invited to join ${branding.appName}. Set your password here: \n\n ${inviteURL}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      ${brandLogo(branding)}
+      <h2 style="color: ${branding.primaryColor};">You're Invited!</h2>
+      <p>Hello ${invitation.name},</p>
+      <p>You have been invited to join ${branding.appName} as <strong>${invitation.role}</strong>.</p>
+      <p>Click the button below to choose your password and activate your account:</p>
+      <a href="${inviteURL}" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+        Accept Invitation
+      </a>
+      <p>This link will expire in ${days} days.</p>
+      <p>If you weren't expecting this invitation, please ignore this email.</p>
+      <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
+      <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
+    </div>
+  `;
+
+  await sendEmail({
+    email: invitation.email,
+    subject: `You have been invited to ${branding.appName}`,
+    message,
+    html
+  });
+};
+
+const sendVerificationEmail = async (user, verificationToken) => {
+  const branding = await getBranding(user.organization);
+  const verifyURL = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`;
+
+  const message = `Please verify your email address by visiting: \n\n ${verifyURL}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      ${brandLogo(branding)}
+      <h2 style="color: ${branding.primaryColor};">Verify Your Email</h2>
+      <p>Hello ${user.name},</p>
+      <p>Please confirm that <strong>${user.email}</strong> is your email address by clicking the button below:</p>
+      <a href="${verifyURL}" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+        Verify Email
+      </a>
+      <p>This link will expire in 24 hours.</p>
+      <p>If you didn't create an account, please ignore this email.</p>
+      <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
+      <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
+    </div>
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject: 'Verify your email address',
+    message,
+    html
+  });
+};
+
+const sendAccountLockedEmail = async (user, unlockToken, lockMinutes) => {
+  const branding = await getBranding(user.organization);
+  const unlockURL = `${process.env.FRONTEND_URL}/unlock-account/${unlockToken}`;
+
+  const message = `Your account was locked after too many failed login attempts. Unlock it here: \n\n ${unlockURL}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      ${brandLogo(branding)}
+      <h2 style="color: ${branding.primaryColor};">Account Temporarily Locked</h2>
+      <p>Hello ${user.name},</p>
+      <p>We noticed several failed login attempts on your account, so we locked it for ${lockMinutes} minutes.</p>
+      <p>If this was you, you can unlock your account right away:</p>
+      <a href="${unlockURL}" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+        Unlock Account
+      </a>
+      <p>If this wasn't you, we recommend resetting your password.</p>
+      <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
+      <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
+    </div>
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject: 'Your account has been temporarily locked',
+    message,
+    html
+  });
+};
+
+// Longest User-Agent shown in new sign-in emails
+const MAX_USER_AGENT_LENGTH = 200;
+
+const sendNewDeviceLoginEmail = async (user, { ip, userAgent, time }) => {
+  const branding = await getBranding(user.organization);
+  // Both values come from the request, the User-Agent is entirely client controlled
+  const device = userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : '';
+  const address = String(ip || 'unknown');
+  const message = `New sign-in to your account from ${device || 'an unknown device'} (IP ${address}) at ${time.toUTCString()}.`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      ${brandLogo(branding)}
+      <h2 style="color: ${branding.primaryColor};">New Sign-in Detected</h2>
+      <p>Hello ${user.name},</p>
+      <p>Your account was just used to sign in from a new device:</p>
+      <ul>
+        <li>Device: ${device ? validator.escape(device) : 'Unknown'}</li>
+        <li>IP address: ${validator.escape(address)}</li>
+        <li>Time: ${time.toUTCString()}</li>
+      </ul>
+      <p>If this was you, you can ignore this email.</p>
+      <p>If not, reset your password and sign out the device from your active sessions right away.</p>
+      <a href="${process.env.FRONTEND_URL}/account/sessions" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+        Review Active Sessions
       </a>
       <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-      <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
+      <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
     </div>
   `;
 
   await sendEmail({
     email: user.email,
-    subject: 'Welcome to AlmaBetter Clone',
+    subject: 'New sign-in to your account',
     message,
     html
   });
 };
 
-module.exports = { sendEmail, sendPasswordResetEmail, sendWelcomeEmail };
\ No newline at end of file
+module.exports = {
+  sendEmail,
+  getBranding,
+  sendPasswordResetEmail,
+  sendWelcomeEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendInvitationEmail,
+  sendNewDeviceLoginEmail
+};
\ No newline at end of file
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * Organization (tenant) scoping.
+ * Users, courses, batches, enrollments and payments carry an `organization`;
+ * records without one belong to the platform itself. Everyone works inside
+ * their own organization except superAdmin, who sees across organizations.
+ */
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id._id || id));
+
+/**
+ * Check if the user works across organizations
+ */
+exports.isCrossOrganization = (user) => user?.role === 'superAdmin';
+
+/**
+ * Organization a request is limited to:
+ * - other users: their own organization (null = platform)
+ * - superAdmin: the ?organization= filter ("none" = platform), or undefined for all
+ */
+exports.getRequestOrganization = (req) => {
+  if (!exports.isCrossOrganization(req.user)) {
+    return req.user.organization ? toObjectId(req.user.organization) : null;
+  }
+
+  const { organization } = req.query;
+
+  if (!organization) return undefined;
+  if (organization === 'none') return null;
+
+  if (!mongoose.Types.ObjectId.isValid(organization)) {
+    throw new Error('Invalid organization filter');
+  }
+
+  return toObjectId(organization);
+};
+
+/**
+ * Query filter for models with an `organization` field ({} = no restriction).
+ * Usable in find() and aggregate $match alike.
+ */
+exports.organizationFilter = (req) => {
+  const organization = exports.getRequestOrganization(req);
+  return organization === undefined ? {} : { organization };
+};
+
+/**
+ * Organization a new record is created in: the user's own organization,
+ * or for superAdmin the `organization` given in the body (null = platform).
+ * Returns undefined when the given organization does not exist or is inactive.
+ */
+exports.getCreationOrganization = async (req) => {
+  if (!exports.isCrossOrganization(req.user)) {
+    return req.user.organization || null;
+  }
+
+  const { organization } = req.body;
+  if (!organization) return null;
+
+  const Organization = require('../models/Organization');
+  const exists = mongoose.Types.ObjectId.isValid(organization) &&
+    (await Organization.exists({ _id: organization, isActive: true }));
+
+  return exists ? toObjectId(organization) : undefined;
+};
+
+/**
+ * Check if a record with an `organization` field belongs to the user's organization
+ */
+exports.isSameOrganization = (user, doc) => {
+  if (exports.isCrossOrganization(user)) return true;
+  return String(doc?.organization?._id || doc?.organization || '') === String(user.organization || '');
+};
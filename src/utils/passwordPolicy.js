@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+const DEFAULT_BREACHED_LIST = path.join(__dirname, '../config/breached-passwords.txt');
+
+let breachedPasswords = null;
+
+const readFlag = (name, defaultValue) => {
+  const value = process.env[name];
+  return value === undefined ? defaultValue : value === 'true';
+};
+
+const readList = (name, defaultValue) =>
+  (process.env[name] || defaultValue)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Current policy, read from the environment
+ */
+const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || 8),
+  requireUppercase: readFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: readFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: readFlag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: readFlag('PASSWORD_REQUIRE_SYMBOL', false),
+  checkBreached: readFlag('PASSWORD_CHECK_BREACHED', true),
+  historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT || 5),
+  maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || 90),
+  maxAgeRoles: readList('PASSWORD_MAX_AGE_ROLES', 'instructor,teachingAssistant,admin,superAdmin'),
+});
+
+// Loaded once; one password per line, # starts a comment
+const isBreachedPassword = (password) => {
+  if (!breachedPasswords) {
+    const file = process.env.BREACHED_PASSWORDS_FILE || DEFAULT_BREACHED_LIST;
+
+    try {
+      breachedPasswords = new Set(
+        fs.readFileSync(file, 'utf8')
+          .split(/\r?\n/)
+          .map((line) => line.trim().toLowerCase())
+          .filter((line) => line && !line.startsWith('#'))
+      );
+    } catch (error) {
+      console.error('Could not load breached password list:', error.message);
+      breachedPasswords = new Set();
+    }
+  }
+
+  return breachedPasswords.has(password.toLowerCase());
+};
+
+/**
+ * Check a candidate password against the policy.
+ * `user` (optional) must have `password` and `passwordHistory` selected to check reuse.
+ * Returns a list of human readable errors; empty when the password is acceptable.
+ */
+const validatePassword = async (password, user = null) => {
+  const policy = getPasswordPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  if (policy.checkBreached && isBreachedPassword(password)) {
+    errors.push('This password has appeared in a data breach, please choose another one');
+  }
+
+  if (user && user.email) {
+    const localPart = user.email.split('@')[0].toLowerCase();
+    if (localPart.length >= 4 && password.toLowerCase().includes(localPart)) {
+      errors.push('Password must not contain your email address');
+    }
+  }
+
+  // Only worth hashing when everything else passed
+  if (errors.length === 0 && user && policy.historyCount > 0) {
+    const previous = [user.password, ...(user.passwordHistory || [])]
+      .filter(Boolean)
+      .slice(0, policy.historyCount);
+
+    for (const hash of previous) {
+      if (await bcrypt.compare(password, hash)) {
+        errors.push(`Password must not match any of your last ${policy.historyCount} passwords`);
+        break;
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Staff roles must change their password every `maxAgeDays`.
+ * Single sign-on only accounts have no usable password, so it never expires.
+ */
+const isPasswordExpired = (user) => {
+  const policy = getPasswordPolicy();
+
+  if (user.ssoOnly || !policy.maxAgeDays || !policy.maxAgeRoles.includes(user.role)) {
+    return false;
+  }
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return Date.now() - new Date(changedAt).getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword,
+  isPasswordExpired,
+};
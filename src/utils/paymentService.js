@@ -38,6 +38,16 @@ class PaymentService {
     };
   }
 
+  // Cancel an unpaid order (stub)
+  async cancelOrder(orderId) {
+    console.log(`[Payment Stub] Cancelling order: ${orderId}`);
+    
+    return {
+      id: orderId,
+      status: 'cancelled'
+    };
+  }
+
   // Create EMI schedule
   createEMISchedule(totalAmount, emiAmount, startDate) {
     const schedule = [];
@@ -0,0 +1,171 @@
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+const RolePermission = require('../models/RolePermission');
+const { isCrossOrganization, isSameOrganization } = require('./organizationScope');
+
+const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+const CACHE_TTL_MS = 60 * 1000;
+
+// role -> { permissions, loadedAt }
+const roleCache = new Map();
+
+/**
+ * Get the permissions granted to a role (stored override or default)
+ */
+exports.getRolePermissions = async (role) => {
+  const cached = roleCache.get(role);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.permissions;
+  }
+
+  const override = await RolePermission.findOne({ role });
+  const permissions = override ? override.permissions : DEFAULT_ROLE_PERMISSIONS[role] || [];
+
+  roleCache.set(role, { permissions, loadedAt: Date.now() });
+  return permissions;
+};
+
+/**
+ * Drop cached role permissions after an edit
+ */
+exports.clearPermissionCache = (role = null) => {
+  if (role) {
+    roleCache.delete(role);
+  } else {
+    roleCache.clear();
+  }
+};
+
+/**
+ * Resolve how a role holds a permission: 'any', 'own' or null
+ */
+exports.getPermissionScope = async (role, permission) => {
+  const permissions = await exports.getRolePermissions(role);
+
+  if (permissions.includes('*') || permissions.includes(permission)) {
+    return 'any';
+  }
+
+  if (permissions.includes(`${permission}:own`)) {
+    return 'own';
+  }
+
+  return null;
+};
+
+/**
+ * Resolve a permission for a user: the role's scope, narrowed to the
+ * permissions of the API key the request was made with (if any)
+ */
+exports.getUserPermissionScope = async (user, permission) => {
+  if (user.apiKeyPermissions && !user.apiKeyPermissions.includes(permission)) {
+    return null;
+  }
+
+  return exports.getPermissionScope(user.role, permission);
+};
+
+/**
+ * Validate a list of permission entries ("perm", "perm:own" or "*").
+ * Returns the invalid entries.
+ */
+exports.findInvalidPermissions = (permissions) => {
+  return permissions.filter((entry) => {
+    if (entry === '*') return false;
+    const permission = entry.endsWith(':own') ? entry.slice(0, -4) : entry;
+    return !PERMISSIONS[permission];
+  });
+};
+
+/**
+ * Check if user teaches or assists the batch (instructor, co-instructor, assistant)
+ */
+exports.isBatchStaff = async (user, batchOrId) => {
+  if (!batchOrId) return false;
+
+  // Reload ids and partially populated batches
+  let batch = batchOrId;
+  if (typeof batch.isStaff !== 'function' || !batch.instructor || !batch.coInstructors || !batch.assistants) {
+    const Batch = require('../models/Batch');
+    batch = await Batch.findById(batchOrId._id || batchOrId);
+  }
+
+  if (!batch) return false;
+
+  return batch.isStaff(user.id);
+};
+
+/**
+ * Check if user has an active enrollment in the batch
+ */
+exports.isBatchStudent = async (user, batchId) => {
+  if (!batchId) return false;
+
+  const Enrollment = require('../models/Enrollment');
+  const enrollment = await Enrollment.findOne({
+    student: user.id,
+    batch: batchId._id || batchId,
+    enrollmentStatus: 'active',
+    accessRevoked: false
+  });
+
+  return !!enrollment;
+};
+
+/**
+ * Check resource scope for "own" permissions.
+ * context.ownerId - the user the resource belongs to (enrollment, submission)
+ * context.batchId - the batch the resource lives in
+ */
+exports.isWithinScope = async (user, context = {}) => {
+  const { ownerId, batchId } = context;
+
+  if (ownerId) {
+    if (ownerId.toString() === user.id) return true;
+    return exports.isBatchStaff(user, batchId);
+  }
+
+  if (batchId) {
+    return (await exports.isBatchStaff(user, batchId)) ||
+      (await exports.isBatchStudent(user, batchId));
+  }
+
+  // Nothing to scope against
+  return false;
+};
+
+/**
+ * Check a resource lives in the user's organization. Resources without their
+ * own organization (assignments, doubts...) follow their batch.
+ */
+exports.isWithinOrganization = async (user, context = {}) => {
+  if (isCrossOrganization(user)) return true;
+
+  const { resource, batchId } = context;
+
+  if (resource && resource.schema && resource.schema.path('organization')) {
+    return isSameOrganization(user, resource);
+  }
+
+  if (batchId) {
+    const Batch = require('../models/Batch');
+    const batch = await Batch.findById(batchId._id || batchId).select('organization');
+    return !!batch && isSameOrganization(user, batch);
+  }
+
+  return true;
+};
+
+/**
+ * Check a permission for a user, optionally against a resource context
+ */
+exports.authorize = async (user, permission, context = null) => {
+  const scope = await exports.getUserPermissionScope(user, permission);
+
+  if (!scope) return false;
+  if (!context) return true;
+  if (scope === 'any') return exports.isWithinOrganization(user, context);
+
+  return exports.isWithinScope(user, context);
+};
+
+exports.ROLES = ROLES;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Resource loaders for the can() middleware.
+ * Each returns (req) => { resource, batchId, ownerId } or null when not found.
+ */
+
+const findById = async (modelName, id) => {
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return mongoose.model(modelName).findById(id);
+};
+
+// Resources scoped by their own organization
+const organizationScoped = (modelName) => (param = 'id', source = 'params') => async (req) => {
+  const resource = await findById(modelName, req[source][param]);
+  if (!resource) return null;
+  return { resource };
+};
+
+exports.course = organizationScoped('Course');
+exports.user = organizationScoped('User');
+exports.coupon = organizationScoped('Coupon');
+exports.bundle = organizationScoped('Bundle');
+
+// Resource that is itself a batch
+exports.batch = (param = 'batchId', source = 'params') => async (req) => {
+  const batch = await findById('Batch', req[source][param]);
+  if (!batch) return null;
+  return { resource: batch, batchId: batch._id };
+};
+
+// Resources that belong to a batch
+const batchScoped = (modelName) => (param = 'id', source = 'params') => async (req) => {
+  const resource = await findById(modelName, req[source][param]);
+  if (!resource) return null;
+  return { resource, batchId: resource.batch };
+};
+
+exports.assignment = batchScoped('Assignment');
+exports.learningMaterial = batchScoped('LearningMaterial');
+exports.liveSession = batchScoped('LiveSession');
+exports.sessionMaterial = batchScoped('SessionMaterial');
+exports.doubt = batchScoped('Doubt');
+
+// Resources owned by a student inside a batch
+const studentOwned = (modelName) => (param = 'id', source = 'params') => async (req) => {
+  const resource = await findById(modelName, req[source][param]);
+  if (!resource) return null;
+  return { resource, batchId: resource.batch, ownerId: resource.student };
+};
+
+exports.enrollment = studentOwned('Enrollment');
+exports.submission = studentOwned('Submission');
+exports.review = studentOwned('Review');
+exports.scholarship = studentOwned('Scholarship');
+exports.bundleEnrollment = studentOwned('BundleEnrollment');
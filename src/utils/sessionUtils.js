@@ -1,33 +1,18 @@
 const moment = require('moment');
-const { sendEmail } = require('./emailService');
+const { sendEmail, getBranding } = require('./emailService');
 
 /**
  * Check if user can access a session
  */
 exports.canAccessSession = async (session, userId, userRole) => {
-  // Admin and super admin can access any session
-  if (userRole === 'admin' || userRole === 'superAdmin') {
-    return true;
-  }
-
-  // Instructor can access their own sessions
-  if (userRole === 'instructor' && session.instructor.toString() === userId) {
-    return true;
-  }
-
-  // Students can access if enrolled in the batch
-  if (userRole === 'student') {
-    const Enrollment = require('../models/Enrollment');
-    const enrollment = await Enrollment.findOne({
-      student: userId,
-      batch: session.batch,
-      enrollmentStatus: 'active'
-    });
-    
-    return !!enrollment && !enrollment.accessRevoked;
-  }
-
-  return false;
+  const { authorize } = require('./permissionService');
+
+  // Staff of the batch or students enrolled in it
+  return authorize(
+    { id: userId.toString(), role: userRole },
+    'session:join',
+    { batchId: session.batch }
+  );
 };
 
 /**
@@ -89,6 +74,7 @@ exports.sendSessionNotifications = async (session, action) => {
     }).populate('student');
 
     const instructor = await User.findById(session.instructor);
+    const branding = await getBranding(batch.organization);
 
     // Email templates based on action
     const templates = {
@@ -96,7 +82,7 @@ exports.sendSessionNotifications = async (session, action) => {
         subject: `New Live Session Scheduled: ${session.title}`,
         studentTemplate: (student) => `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #4F46E5;">New Live Session Scheduled</h2>
+            <h2 style="color: ${branding.primaryColor};">New Live Session Scheduled</h2>
             <p>Hello ${student.name},</p>
             <p>A new live session has been scheduled for your batch.</p>
             <p><strong>Session Details:</strong></p>
@@ -107,11 +93,11 @@ exports.sendSessionNotifications = async (session, action) => {
               <li><strong>Duration:</strong> ${session.duration} minutes</li>
             </ul>
             <p>The session link will be available 15 minutes before the scheduled time.</p>
-            <a href="${process.env.FRONTEND_URL}/dashboard/sessions" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+            <a href="${process.env.FRONTEND_URL}/dashboard/sessions" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
               View in Dashboard
             </a>
             <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-            <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
+            <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
           </div>
         `
       },
@@ -119,7 +105,7 @@ exports.sendSessionNotifications = async (session, action) => {
         subject: `Live Session Updated: ${session.title}`,
         studentTemplate: (student) => `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #4F46E5;">Live Session Updated</h2>
+            <h2 style="color: ${branding.primaryColor};">Live Session Updated</h2>
             <p>Hello ${student.name},</p>
             <p>A live session in your batch has been updated.</p>
             <p><strong>Updated Session Details:</strong></p>
@@ -129,11 +115,11 @@ exports.sendSessionNotifications = async (session, action) => {
               <li><strong>Date & Time:</strong> ${moment(session.startTime).format('MMMM Do YYYY, h:mm A')}</li>
               <li><strong>Duration:</strong> ${session.duration} minutes</li>
             </ul>
-            <a href="${process.env.FRONTEND_URL}/dashboard/sessions" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+            <a href="${process.env.FRONTEND_URL}/dashboard/sessions" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
               View Updated Session
             </a>
             <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-            <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
+            <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
           </div>
         `
       },
@@ -153,7 +139,7 @@ exports.sendSessionNotifications = async (session, action) => {
             </ul>
             <p>A new session may be scheduled for this topic. Please check your dashboard for updates.</p>
             <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 20px 0;">
-            <p style="color: #666; font-size: 12px;">AlmaBetter Clone Team</p>
+            <p style="color: #666; font-size: 12px;">${branding.teamName}</p>
           </div>
         `
       }
@@ -168,7 +154,7 @@ exports.sendSessionNotifications = async (session, action) => {
       subject: template.subject,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #4F46E5;">${template.subject}</h2>
+          <h2 style="color: ${branding.primaryColor};">${template.subject}</h2>
           <p>Hello ${instructor.name},</p>
           <p>You have ${action} a live session.</p>
           <p><strong>Session Details:</strong></p>
@@ -179,7 +165,7 @@ exports.sendSessionNotifications = async (session, action) => {
             <li><strong>Duration:</strong> ${session.duration} minutes</li>
             ${session.cancellationReason ? `<li><strong>Cancellation Reason:</strong> ${session.cancellationReason}</li>` : ''}
           </ul>
-          <a href="${process.env.FRONTEND_URL}/instructor/sessions" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
+          <a href="${process.env.FRONTEND_URL}/instructor/sessions" style="background-color: ${branding.primaryColor}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block; margin: 20px 0;">
             Manage Sessions
           </a>
         </div>
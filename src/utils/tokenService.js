@@ -1,10 +1,12 @@
 const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
 
-const generateToken = (id, role) => {
+// Short-lived access token bound to a refresh token family (sid)
+const generateToken = (id, role, sessionId) => {
   return jwt.sign(
-    { id, role },
+    { id, role, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
@@ -12,4 +14,101 @@ const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
-module.exports = { generateToken, verifyToken };
\ No newline at end of file
+// Issue an access/refresh token pair, continuing `family` when rotating
+const createSession = async (user, req, family = null) => {
+  const { token: refreshToken, family: sessionId, doc } = await RefreshToken.issue(user._id, {
+    family,
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  return {
+    token: generateToken(user._id, user.role, sessionId),
+    refreshToken,
+    refreshTokenDoc: doc
+  };
+};
+
+// Short-lived token signed for a single purpose (email links, 2FA challenges)
+const generatePurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, { expiresIn });
+};
+
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== purpose) {
+    throw new Error('Invalid token purpose');
+  }
+
+  return decoded;
+};
+
+const generateEmailVerificationToken = (user) => {
+  return generatePurposeToken(
+    { id: user._id, email: user.email },
+    'email_verification',
+    process.env.EMAIL_VERIFICATION_EXPIRE || '24h'
+  );
+};
+
+const verifyEmailVerificationToken = (token) => {
+  return verifyPurposeToken(token, 'email_verification');
+};
+
+// Issued by login when the password is correct but a TOTP code is still needed
+const generateTwoFactorChallengeToken = (user) => {
+  return generatePurposeToken({ id: user._id }, 'two_factor_challenge', '5m');
+};
+
+const verifyTwoFactorChallengeToken = (token) => {
+  return verifyPurposeToken(token, 'two_factor_challenge');
+};
+
+// Sent by email when an account gets locked after repeated failed logins
+const generateAccountUnlockToken = (user) => {
+  return generatePurposeToken({ id: user._id }, 'account_unlock', '24h');
+};
+
+const verifyAccountUnlockToken = (token) => {
+  return verifyPurposeToken(token, 'account_unlock');
+};
+
+// Invite link; `v` ties it to the latest send of the invitation
+const generateInvitationToken = (invitation) => {
+  return generatePurposeToken(
+    { id: invitation._id, v: invitation.sendCount },
+    'invitation',
+    `${parseInt(process.env.INVITATION_EXPIRE_DAYS || 7)}d`
+  );
+};
+
+const verifyInvitationToken = (token) => {
+  return verifyPurposeToken(token, 'invitation');
+};
+
+// Access token for `user` issued to a superAdmin; bound to the superAdmin's own session
+const generateImpersonationToken = (user, impersonator, sessionId) => {
+  return jwt.sign(
+    { id: user._id, role: user.role, sid: sessionId, impersonatedBy: impersonator._id, purpose: 'impersonation' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.IMPERSONATION_EXPIRE || '15m' }
+  );
+};
+
+module.exports = {
+  generateToken,
+  verifyToken,
+  createSession,
+  generatePurposeToken,
+  verifyPurposeToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  generateAccountUnlockToken,
+  verifyAccountUnlockToken,
+  generateImpersonationToken,
+  generateInvitationToken,
+  verifyInvitationToken
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * HMAC-based one-time password (RFC 4226)
+ */
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Current TOTP time step (RFC 6238)
+ */
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Generate a new random TOTP secret
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ */
+exports.getOtpAuthUrl = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'AlmaBetter Clone';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+};
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift around `time` (ms).
+ * Returns the matched time step, or null if the code is invalid.
+ */
+exports.verifyTotp = (secret, code, window = 1, time = Date.now()) => {
+  if (!secret || !code || !/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time);
+
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = generateHotp(secret, currentStep + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return currentStep + drift;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Generate single-use backup codes (plain codes are shown to the user once)
+ */
+exports.generateBackupCodes = (count = 10) => {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+};
+
+/**
+ * Hash a backup code for storage
+ */
+exports.hashBackupCode = (code) => {
+  return crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+};
+
+/**
+ * Check if the org policy makes 2FA mandatory for a role
+ */
+exports.isTwoFactorRequired = (role) => {
+  const requiredRoles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map((r) => r.trim())
+    .filter(Boolean);
+
+  return requiredRoles.includes(role);
+};
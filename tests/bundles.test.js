@@ -0,0 +1,78 @@
+// Bundle prices split over the bundle's courses.
+// Run with: npm test
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+const Bundle = require("../src/models/Bundle");
+const bundleService = require("../src/services/BundleService");
+
+// A bundle with its courses populated
+const createBundle = (price, fees, emiAmount = price) => ({
+  price,
+  emiAmount,
+  courses: fees.map((fee, index) => ({ _id: new mongoose.Types.ObjectId(), title: `Course ${index + 1}`, fee })),
+  getListPrice: Bundle.schema.methods.getListPrice,
+});
+
+const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+
+describe("BundleService#getPaymentPlan", () => {
+  it("splits the price in proportion to the course fees", () => {
+    const plan = bundleService.getPaymentPlan(createBundle(2500, [1000, 2000]), "fullPayment");
+
+    assert.strictEqual(plan.listPrice, 3000);
+    assert.strictEqual(plan.totalAmount, 2500);
+    assert.deepStrictEqual(
+      plan.courses.map(({ fee, totalAmount, firstPaymentAmount }) => ({ fee, totalAmount, firstPaymentAmount })),
+      [
+        { fee: 1000, totalAmount: 833, firstPaymentAmount: 833 },
+        { fee: 2000, totalAmount: 1667, firstPaymentAmount: 1667 },
+      ],
+    );
+  });
+
+  it("gives the rounding remainder to the last course", () => {
+    const plan = bundleService.getPaymentPlan(createBundle(1001, [500, 500, 500]), "fullPayment");
+
+    assert.deepStrictEqual(plan.courses.map((course) => course.totalAmount), [333, 333, 335]);
+  });
+
+  it("splits the monthly installment the same way", () => {
+    const plan = bundleService.getPaymentPlan(createBundle(3000, [1000, 2000], 1000), "emi");
+
+    assert.strictEqual(plan.emiMonths, 3);
+    assert.strictEqual(plan.firstPaymentAmount, 1000);
+    assert.deepStrictEqual(plan.courses.map((course) => course.totalAmount), [1000, 2000]);
+    assert.deepStrictEqual(plan.courses.map((course) => course.emiAmount), [333, 667]);
+    assert.deepStrictEqual(plan.courses.map((course) => course.firstPaymentAmount), [333, 667]);
+  });
+
+  it("always charges exactly the bundle price", () => {
+    for (const [price, fees] of [[999, [300, 450, 725]], [7, [1, 1, 1, 1]], [100000, [33333, 1, 66666]]]) {
+      for (const method of ["fullPayment", "emi"]) {
+        const plan = bundleService.getPaymentPlan(createBundle(price, fees, Math.ceil(price / 4)), method);
+
+        assert.strictEqual(sum(plan.courses.map((course) => course.totalAmount)), plan.totalAmount);
+        assert.strictEqual(sum(plan.courses.map((course) => course.firstPaymentAmount)), plan.firstPaymentAmount);
+      }
+    }
+  });
+
+  it("splits evenly between free courses", () => {
+    const plan = bundleService.getPaymentPlan(createBundle(100, [0, 0]), "fullPayment");
+
+    assert.deepStrictEqual(plan.courses.map((course) => course.totalAmount), [50, 50]);
+  });
+
+  it("charges nothing for a free bundle", () => {
+    const plan = bundleService.getPaymentPlan(createBundle(0, [1000, 2000]), "emi");
+
+    assert.strictEqual(plan.firstPaymentAmount, 0);
+    assert.deepStrictEqual(plan.courses.map((course) => course.totalAmount), [0, 0]);
+  });
+
+  it("rejects unknown payment methods", () => {
+    assert.strictEqual(bundleService.getPaymentPlan(createBundle(1000, [1000]), "crypto"), null);
+  });
+});
@@ -0,0 +1,160 @@
+// Coupon discounts and redemption limits.
+// Run with: npm test
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+const Coupon = require("../src/models/Coupon");
+const Enrollment = require("../src/models/Enrollment");
+const couponService = require("../src/services/CouponService");
+
+const objectId = () => new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("Coupon#getDiscount", () => {
+  it("takes a percentage of the fee, rounded", () => {
+    const coupon = new Coupon({ discountType: "percentage", discountValue: 15 });
+
+    assert.strictEqual(coupon.getDiscount(999), 150);
+  });
+
+  it("caps percentage discounts at the maximum discount", () => {
+    const coupon = new Coupon({ discountType: "percentage", discountValue: 50, maxDiscount: 300 });
+
+    assert.strictEqual(coupon.getDiscount(1000), 300);
+    assert.strictEqual(coupon.getDiscount(400), 200);
+  });
+
+  it("never discounts more than the fee", () => {
+    const coupon = new Coupon({ discountType: "flat", discountValue: 500 });
+
+    assert.strictEqual(coupon.getDiscount(1000), 500);
+    assert.strictEqual(coupon.getDiscount(300), 300);
+  });
+});
+
+describe("CouponService", () => {
+  const organization = objectId();
+  const course = { _id: objectId(), fee: 1000 };
+  const batch = { _id: objectId(), organization, course };
+  const student = { _id: objectId() };
+
+  let coupon;
+  let enrollments;
+
+  // Evaluates the countDocuments filters CouponService sends
+  const matches = (enrollment, filter) =>
+    Object.entries(filter).every(([key, condition]) => {
+      const value = enrollment[key];
+      if (condition && condition.$ne !== undefined) return value !== condition.$ne;
+      if (condition && condition.$lte !== undefined) return String(value) <= String(condition.$lte);
+      return String(value) === String(condition);
+    });
+
+  const enroll = (fields = {}) => {
+    const enrollment = {
+      _id: objectId(),
+      student: objectId(),
+      batch: batch._id,
+      enrollmentStatus: "active",
+      ...fields,
+    };
+    enrollments.push(enrollment);
+    return enrollment;
+  };
+
+  beforeEach(() => {
+    coupon = new Coupon({ code: "WELCOME", organization, discountType: "percentage", discountValue: 10 });
+    enrollments = [];
+
+    mock.method(Coupon, "findOne", async ({ code, organization: couponOrganization }) =>
+      code === coupon.code && String(couponOrganization) === String(coupon.organization) && coupon.isActive
+        ? coupon
+        : null,
+    );
+    mock.method(Enrollment, "countDocuments", async (filter) =>
+      enrollments.filter((enrollment) => matches(enrollment, filter)).length,
+    );
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe("validate", () => {
+    it("returns the coupon and the discount for the course fee", async () => {
+      const result = await couponService.validate(" welcome ", student, batch);
+
+      assert.strictEqual(result.coupon, coupon);
+      assert.strictEqual(result.discountAmount, 100);
+    });
+
+    it("rejects unknown and inactive codes", async () => {
+      await assert.rejects(couponService.validate("OTHER", student, batch), /Invalid coupon code/);
+
+      coupon.isActive = false;
+      await assert.rejects(couponService.validate("WELCOME", student, batch), /Invalid coupon code/);
+    });
+
+    it("rejects coupons outside their validity period", async () => {
+      coupon.validFrom = new Date(Date.now() + DAY);
+      await assert.rejects(couponService.validate("WELCOME", student, batch), /not valid yet/);
+
+      coupon.validFrom = new Date(Date.now() - 2 * DAY);
+      coupon.validUntil = new Date(Date.now() - DAY);
+      await assert.rejects(couponService.validate("WELCOME", student, batch), /has expired/);
+    });
+
+    it("rejects courses the coupon does not apply to", async () => {
+      coupon.courses = [objectId()];
+
+      await assert.rejects(couponService.validate("WELCOME", student, batch), /does not apply to this course/);
+    });
+
+    it("rejects fully redeemed coupons", async () => {
+      coupon.maxUses = 2;
+      coupon.usedCount = 2;
+
+      await assert.rejects(couponService.validate("WELCOME", student, batch), /fully redeemed/);
+    });
+
+    it("enforces the per student limit, ignoring cancelled enrollments", async () => {
+      enroll({ student: student._id, coupon: coupon._id, enrollmentStatus: "cancelled" });
+      await couponService.validate("WELCOME", student, batch);
+
+      enroll({ student: student._id, coupon: coupon._id });
+      await assert.rejects(couponService.validate("WELCOME", student, batch), /already used this coupon/);
+
+      coupon.perUserLimit = 2;
+      await couponService.validate("WELCOME", student, batch);
+    });
+
+    it("only applies to the first students of the batch", async () => {
+      coupon.firstNStudents = 2;
+      enroll();
+      await couponService.validate("WELCOME", student, batch);
+
+      enroll();
+      await assert.rejects(couponService.validate("WELCOME", student, batch), /first 2 students/);
+    });
+  });
+
+  describe("checkLimits", () => {
+    it("keeps the coupon for the earliest of concurrent enrollments", async () => {
+      const first = enroll({ student: student._id, coupon: coupon._id });
+      const second = enroll({ student: student._id, coupon: coupon._id });
+
+      await couponService.checkLimits(coupon, first);
+      await assert.rejects(couponService.checkLimits(coupon, second), /already used this coupon/);
+    });
+
+    it("takes the coupon back from enrollments beyond the first N", async () => {
+      coupon.firstNStudents = 1;
+      const first = enroll({ coupon: coupon._id });
+      const second = enroll({ coupon: coupon._id });
+
+      await couponService.checkLimits(coupon, first);
+      await assert.rejects(couponService.checkLimits(coupon, second), /first 1 students/);
+    });
+  });
+});
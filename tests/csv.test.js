@@ -0,0 +1,79 @@
+// CSV export escaping and import parsing.
+// Run with: npm test
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+const { toCsv, parseCsv } = require("../src/utils/csv");
+
+const column = (header) => ({ header, value: (row) => row[header] });
+
+describe("toCsv", () => {
+  it("quotes values containing separators, quotes and line breaks", () => {
+    const csv = toCsv([column("a"), column("b"), column("c")], [
+      { a: "x,y", b: 'say "hi"', c: "two\nlines" },
+    ]);
+
+    assert.strictEqual(csv, 'a,b,c\r\n"x,y","say ""hi""","two\nlines"');
+  });
+
+  it("neutralises spreadsheet formulas", () => {
+    const csv = toCsv([column("value")], [
+      { value: "=HYPERLINK(\"http://evil\")" },
+      { value: "+1" },
+      { value: "-1" },
+      { value: "@SUM(A1)" },
+    ]);
+
+    assert.deepStrictEqual(csv.split("\r\n").slice(1), [
+      '"\'=HYPERLINK(""http://evil"")"',
+      "'+1",
+      "'-1",
+      "'@SUM(A1)",
+    ]);
+  });
+
+  it("writes dates as ISO strings and empty values as blanks", () => {
+    const csv = toCsv([column("at"), column("none"), column("missing")], [
+      { at: new Date("2024-01-02T03:04:05Z"), none: null },
+    ]);
+
+    assert.strictEqual(csv, "at,none,missing\r\n2024-01-02T03:04:05.000Z,,");
+  });
+
+  it("round trips through parseCsv", () => {
+    const rows = [{ name: "Doe, Jane", note: 'a "quoted"\r\nnote' }];
+
+    const csv = toCsv([column("name"), column("note")], rows);
+
+    assert.deepStrictEqual(parseCsv(csv), [
+      ["name", "note"],
+      ["Doe, Jane", 'a "quoted"\r\nnote'],
+    ]);
+  });
+});
+
+describe("parseCsv", () => {
+  it("parses quoted fields, escaped quotes and mixed line endings", () => {
+    const rows = parseCsv('email,name\r\na@example.edu,"Doe, ""JD"""\nb@example.edu,Bo\r');
+
+    assert.deepStrictEqual(rows, [
+      ["email", "name"],
+      ["a@example.edu", 'Doe, "JD"'],
+      ["b@example.edu", "Bo"],
+    ]);
+  });
+
+  it("strips a byte order mark and skips blank lines", () => {
+    const rows = parseCsv("\uFEFFemail\n\n a@example.edu\n,\n");
+
+    assert.deepStrictEqual(rows, [["email"], [" a@example.edu"]]);
+  });
+
+  it("keeps a trailing empty field", () => {
+    assert.deepStrictEqual(parseCsv("a,b,"), [["a", "b", ""]]);
+  });
+
+  it("rejects an unterminated quoted field", () => {
+    assert.throws(() => parseCsv('a,"b\nc'), /unterminated quoted field/);
+  });
+});
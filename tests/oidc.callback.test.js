@@ -0,0 +1,242 @@
+// Single sign-on callback against a stub identity provider.
+// Run with: npm test
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const http = require("http");
+const jwt = require("jsonwebtoken");
+
+const OidcLoginState = require("../src/models/OidcLoginState");
+const User = require("../src/models/User");
+const AuthAttempt = require("../src/models/AuthAttempt");
+
+const CLIENT_ID = "test-client";
+
+// Stub IdP: discovery, key set and a token endpoint issuing the ID token
+// registered for each authorization code
+const createIdentityProvider = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: "jwk" }), kid: "test-key", alg: "RS256", use: "sig" };
+  const idTokens = new Map();
+
+  const server = http.createServer((req, res) => {
+    const issuer = `http://127.0.0.1:${server.address().port}`;
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url === "/.well-known/openid-configuration") {
+      return send(200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+      });
+    }
+    if (req.url === "/jwks") {
+      return send(200, { keys: [jwk] });
+    }
+    if (req.url === "/token" && req.method === "POST") {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const code = new URLSearchParams(body).get("code");
+        const claims = idTokens.get(code);
+        if (!claims) return send(400, { error: "invalid_grant" });
+
+        send(200, {
+          access_token: "access-token",
+          id_token: jwt.sign(claims, privateKey, {
+            algorithm: "RS256",
+            keyid: "test-key",
+            issuer,
+            audience: CLIENT_ID,
+            expiresIn: "5m",
+          }),
+        });
+      });
+      return;
+    }
+    send(404, { error: "not_found" });
+  });
+
+  return { server, idTokens };
+};
+
+// Minimal Express response capturing status and JSON body
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+describe("OIDC callback", () => {
+  const idp = createIdentityProvider();
+  const loginStates = new Map();
+  let authController;
+  let oidcService;
+  let provider;
+  let existingUser;
+
+  before(async () => {
+    await new Promise((resolve) => idp.server.listen(0, "127.0.0.1", resolve));
+
+    process.env.OIDC_PROVIDERS = JSON.stringify([
+      {
+        id: "test",
+        name: "Test IdP",
+        issuer: `http://127.0.0.1:${idp.server.address().port}`,
+        clientId: CLIENT_ID,
+        redirectUri: "http://localhost/auth/oidc/test/callback",
+      },
+    ]);
+
+    authController = require("../src/controllers/auth.controller");
+    oidcService = require("../src/services/OidcService");
+    provider = require("../src/config/oidc").getOidcProvider("test");
+  });
+
+  after(() => {
+    idp.server.close();
+  });
+
+  beforeEach(() => {
+    loginStates.clear();
+    existingUser = null;
+
+    // Login states and users are kept in memory instead of MongoDB
+    mock.method(OidcLoginState, "create", async (data) => {
+      loginStates.set(data.stateHash, data);
+      return data;
+    });
+    mock.method(OidcLoginState, "findOneAndDelete", async ({ stateHash, provider: providerId }) => {
+      const loginState = loginStates.get(stateHash);
+      if (!loginState || loginState.provider !== providerId) return null;
+      loginStates.delete(stateHash);
+      return loginState;
+    });
+    mock.method(User, "findOne", async (query) =>
+      query.email && existingUser && existingUser.email === query.email ? existingUser : null,
+    );
+    mock.method(User, "create", async () => {
+      throw new Error("No user should be provisioned");
+    });
+    mock.method(AuthAttempt, "record", async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  // Start a login like the frontend does, then have the IdP sign in with `claims`
+  const startLogin = async (claims) => {
+    const { authorizationUrl, browserToken } = await oidcService.createAuthorizationUrl(provider);
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(8).toString("hex");
+
+    idp.idTokens.set(code, {
+      sub: "subject-1",
+      email: "student@example.edu",
+      email_verified: true,
+      nonce: params.get("nonce"),
+      ...claims,
+    });
+
+    return { code, state: params.get("state"), browserToken };
+  };
+
+  const callback = async (body) => {
+    const res = createResponse();
+    await authController.oidcCallback(
+      { params: { provider: "test" }, body, headers: {}, ip: "127.0.0.1" },
+      res,
+    );
+    return res;
+  };
+
+  it("rejects an unknown state", async () => {
+    const login = await startLogin();
+
+    const res = await callback({ ...login, state: "forged-state" });
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.match(res.body.message, /invalid or has expired/);
+  });
+
+  it("rejects a state started in another browser", async () => {
+    const login = await startLogin();
+
+    const res = await callback({ ...login, browserToken: "attacker-browser" });
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.match(res.body.message, /another browser/);
+  });
+
+  it("rejects a reused state", async () => {
+    const login = await startLogin({ email_verified: false });
+    await callback(login);
+
+    const res = await callback(login);
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.match(res.body.message, /invalid or has expired/);
+  });
+
+  it("rejects an ID token with the wrong nonce", async () => {
+    const login = await startLogin({ nonce: "another-nonce" });
+
+    const res = await callback(login);
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.match(res.body.message, /nonce mismatch/);
+  });
+
+  it("rejects an unverified email", async () => {
+    const login = await startLogin({ email_verified: false });
+
+    const res = await callback(login);
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.match(res.body.message, /verified email/);
+  });
+
+  it("rejects super admin accounts", async () => {
+    existingUser = {
+      email: "admin@example.edu",
+      role: "superAdmin",
+      organization: null,
+      isActive: true,
+      oidcIdentities: [],
+    };
+    const login = await startLogin({ email: "admin@example.edu" });
+
+    const res = await callback(login);
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.match(res.body.message, /must sign in with a password/);
+  });
+
+  it("does not link staff accounts by email", async () => {
+    existingUser = {
+      email: "staff@example.edu",
+      role: "admin",
+      organization: null,
+      isActive: true,
+      oidcIdentities: [],
+    };
+    const login = await startLogin({ email: "staff@example.edu" });
+
+    const res = await callback(login);
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.match(res.body.message, /link single sign-on from your account settings/);
+  });
+});
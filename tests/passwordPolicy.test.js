@@ -0,0 +1,121 @@
+// Password strength, reuse and expiry rules.
+// Run with: npm test
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const bcrypt = require("bcryptjs");
+
+const { validatePassword, isPasswordExpired } = require("../src/utils/passwordPolicy");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Every test starts from the default policy
+let savedEnv;
+beforeEach(() => {
+  savedEnv = { ...process.env };
+  for (const name of Object.keys(process.env)) {
+    if (name.startsWith("PASSWORD_")) delete process.env[name];
+  }
+});
+afterEach(() => {
+  process.env = savedEnv;
+});
+
+describe("validatePassword", () => {
+  it("accepts a password meeting the default policy", async () => {
+    assert.deepStrictEqual(await validatePassword("Tangerine7Harbor"), []);
+  });
+
+  it("lists every unmet requirement", async () => {
+    assert.deepStrictEqual(await validatePassword("abc"), [
+      "Password must be at least 8 characters",
+      "Password must contain an uppercase letter",
+      "Password must contain a number",
+    ]);
+  });
+
+  it("requires a password", async () => {
+    assert.deepStrictEqual(await validatePassword(""), ["Password is required"]);
+    assert.deepStrictEqual(await validatePassword(undefined), ["Password is required"]);
+  });
+
+  it("follows the policy configured in the environment", async () => {
+    process.env.PASSWORD_MIN_LENGTH = "12";
+    process.env.PASSWORD_REQUIRE_SYMBOL = "true";
+    process.env.PASSWORD_REQUIRE_UPPERCASE = "false";
+
+    assert.deepStrictEqual(await validatePassword("tangerine7"), [
+      "Password must be at least 12 characters",
+      "Password must contain a symbol",
+    ]);
+  });
+
+  it("rejects breached passwords", async () => {
+    assert.deepStrictEqual(await validatePassword("Password123!"), [
+      "This password has appeared in a data breach, please choose another one",
+    ]);
+  });
+
+  it("rejects passwords containing the email address", async () => {
+    const user = { email: "jane.doe@example.edu" };
+
+    assert.deepStrictEqual(await validatePassword("Jane.Doe2024x", user), [
+      "Password must not contain your email address",
+    ]);
+  });
+
+  it("rejects the current and recent passwords", async () => {
+    const user = {
+      email: "jd@example.edu",
+      password: await bcrypt.hash("Current7Harbor", 4),
+      passwordHistory: [await bcrypt.hash("Previous7Harbor", 4)],
+    };
+
+    for (const password of ["Current7Harbor", "Previous7Harbor"]) {
+      assert.deepStrictEqual(await validatePassword(password, user), [
+        "Password must not match any of your last 5 passwords",
+      ]);
+    }
+    assert.deepStrictEqual(await validatePassword("Another7Harbor", user), []);
+  });
+
+  it("only checks as many previous passwords as the history count", async () => {
+    process.env.PASSWORD_HISTORY_COUNT = "1";
+    const user = {
+      email: "jd@example.edu",
+      password: await bcrypt.hash("Current7Harbor", 4),
+      passwordHistory: [await bcrypt.hash("Previous7Harbor", 4)],
+    };
+
+    assert.deepStrictEqual(await validatePassword("Previous7Harbor", user), []);
+  });
+});
+
+describe("isPasswordExpired", () => {
+  const changedDaysAgo = (days) => new Date(Date.now() - days * DAY);
+
+  it("expires staff passwords after the maximum age", () => {
+    assert.strictEqual(isPasswordExpired({ role: "instructor", passwordChangedAt: changedDaysAgo(91) }), true);
+    assert.strictEqual(isPasswordExpired({ role: "instructor", passwordChangedAt: changedDaysAgo(89) }), false);
+  });
+
+  it("falls back to the account creation date", () => {
+    assert.strictEqual(isPasswordExpired({ role: "admin", createdAt: changedDaysAgo(91) }), true);
+  });
+
+  it("never expires student passwords by default", () => {
+    assert.strictEqual(isPasswordExpired({ role: "student", passwordChangedAt: changedDaysAgo(365) }), false);
+  });
+
+  it("never expires single sign-on only accounts", () => {
+    assert.strictEqual(
+      isPasswordExpired({ role: "admin", ssoOnly: true, passwordChangedAt: changedDaysAgo(365) }),
+      false,
+    );
+  });
+
+  it("can be turned off", () => {
+    process.env.PASSWORD_MAX_AGE_DAYS = "0";
+
+    assert.strictEqual(isPasswordExpired({ role: "admin", passwordChangedAt: changedDaysAgo(365) }), false);
+  });
+});
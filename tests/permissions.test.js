@@ -0,0 +1,143 @@
+// Role permissions scoped to own batches and to the user's organization.
+// Run with: npm test
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+
+const RolePermission = require("../src/models/RolePermission");
+const Batch = require("../src/models/Batch");
+const Enrollment = require("../src/models/Enrollment");
+const { authorize, clearPermissionCache } = require("../src/utils/permissionService");
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Stands in for a mongoose query: awaitable, with select()
+const query = (result) => ({
+  select: async () => result,
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+});
+
+describe("authorize", () => {
+  const organization = objectId();
+  const otherOrganization = objectId();
+  const user = (role, overrides = {}) => ({ id: objectId().toString(), role, organization, ...overrides });
+
+  let batches;
+  let enrollments;
+  let roleOverrides;
+
+  const addBatch = (fields = {}) => {
+    const batch = new Batch({ instructor: objectId(), organization, ...fields });
+    batches.set(batch.id, batch);
+    return batch;
+  };
+
+  beforeEach(() => {
+    batches = new Map();
+    enrollments = [];
+    roleOverrides = {};
+    clearPermissionCache();
+
+    // Role overrides, batches and enrollments are kept in memory instead of MongoDB
+    mock.method(RolePermission, "findOne", async ({ role }) => roleOverrides[role] || null);
+    mock.method(Batch, "findById", (id) => query(batches.get(String(id)) || null));
+    mock.method(Enrollment, "findOne", async ({ student, batch, enrollmentStatus }) =>
+      enrollments.find(
+        (enrollment) =>
+          enrollment.student === student &&
+          String(enrollment.batch) === String(batch) &&
+          enrollment.enrollmentStatus === enrollmentStatus,
+      ) || null,
+    );
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("denies permissions the role does not hold", async () => {
+    assert.strictEqual(await authorize(user("student"), "user:manage"), false);
+    assert.strictEqual(await authorize(user("admin"), "audit:view"), false);
+    assert.strictEqual(await authorize(user("superAdmin"), "audit:view"), true);
+  });
+
+  it("limits own permissions to the batches a user teaches", async () => {
+    const instructor = user("instructor");
+    const own = addBatch({ instructor: instructor.id });
+    const other = addBatch();
+
+    assert.strictEqual(await authorize(instructor, "enrollment:roster", { batchId: own._id }), true);
+    assert.strictEqual(await authorize(instructor, "enrollment:roster", { batchId: other._id }), false);
+  });
+
+  it("counts co-instructors and assistants as batch staff", async () => {
+    const assistant = user("teachingAssistant");
+    const batch = addBatch({ assistants: [assistant.id] });
+
+    assert.strictEqual(await authorize(assistant, "submission:view", { batchId: batch._id }), true);
+  });
+
+  it("limits own permissions to a student's active enrollments", async () => {
+    const student = user("student");
+    const enrolled = addBatch();
+    const cancelled = addBatch();
+    enrollments.push(
+      { student: student.id, batch: enrolled._id, enrollmentStatus: "active" },
+      { student: student.id, batch: cancelled._id, enrollmentStatus: "cancelled" },
+    );
+
+    assert.strictEqual(await authorize(student, "doubt:view", { batchId: enrolled._id }), true);
+    assert.strictEqual(await authorize(student, "doubt:view", { batchId: cancelled._id }), false);
+  });
+
+  it("lets owners act on their resources and batch staff on their students'", async () => {
+    const student = user("student");
+    const instructor = user("instructor");
+    const batch = addBatch({ instructor: instructor.id });
+    const context = { ownerId: student.id, batchId: batch._id };
+
+    assert.strictEqual(await authorize(student, "submission:view", context), true);
+    assert.strictEqual(await authorize(instructor, "submission:view", context), true);
+    assert.strictEqual(await authorize(user("student"), "submission:view", context), false);
+  });
+
+  it("limits any permissions to the user's organization", async () => {
+    const admin = user("admin");
+    const own = addBatch();
+    const foreign = addBatch({ organization: otherOrganization });
+
+    assert.strictEqual(await authorize(admin, "enrollment:view", { batchId: own._id }), true);
+    assert.strictEqual(await authorize(admin, "enrollment:view", { batchId: foreign._id }), false);
+  });
+
+  it("checks the organization of resources that carry one", async () => {
+    const admin = user("admin");
+    const foreign = addBatch({ organization: otherOrganization });
+
+    assert.strictEqual(await authorize(admin, "batch:manage", { resource: foreign }), false);
+    assert.strictEqual(await authorize(admin, "batch:manage", { resource: addBatch() }), true);
+  });
+
+  it("lets superAdmin act across organizations", async () => {
+    const superAdmin = user("superAdmin", { organization: null });
+    const foreign = addBatch({ organization: otherOrganization });
+
+    assert.strictEqual(await authorize(superAdmin, "enrollment:view", { batchId: foreign._id }), true);
+  });
+
+  it("narrows permissions to those of the API key", async () => {
+    const admin = user("admin", { apiKeyPermissions: ["enrollment:view"] });
+
+    assert.strictEqual(await authorize(admin, "enrollment:view"), true);
+    assert.strictEqual(await authorize(admin, "user:manage"), false);
+  });
+
+  it("uses stored role overrides", async () => {
+    roleOverrides.teachingAssistant = { permissions: ["grade:finalize:own"] };
+    const assistant = user("teachingAssistant");
+    const batch = addBatch({ assistants: [assistant.id] });
+
+    assert.strictEqual(await authorize(assistant, "grade:finalize", { batchId: batch._id }), true);
+    assert.strictEqual(await authorize(assistant, "doubt:view", { batchId: batch._id }), false);
+  });
+});
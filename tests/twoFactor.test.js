@@ -0,0 +1,149 @@
+// TOTP (RFC 6238) and single use of two-factor codes.
+// Run with: npm test
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+
+const User = require("../src/models/User");
+const {
+  verifyTotp,
+  generateSecret,
+  generateBackupCodes,
+  hashBackupCode,
+} = require("../src/utils/twoFactorService");
+
+// RFC 6238 appendix B: SHA1 key "12345678901234567890", base32 encoded. The
+// RFC lists 8 digit codes; 6 digit codes are their last six digits.
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const RFC_VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+  [20000000000, "353130"],
+];
+
+describe("verifyTotp", () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    it(`matches the RFC 6238 code at T=${seconds}`, () => {
+      assert.strictEqual(verifyTotp(RFC_SECRET, code, 0, seconds * 1000), Math.floor(seconds / 30));
+    });
+  }
+
+  it("accepts one step of clock drift by default", () => {
+    assert.strictEqual(verifyTotp(RFC_SECRET, "287082", 1, 89 * 1000), 1);
+    assert.strictEqual(verifyTotp(RFC_SECRET, "287082", 0, 89 * 1000), null);
+  });
+
+  it("rejects wrong and malformed codes", () => {
+    assert.strictEqual(verifyTotp(RFC_SECRET, "287083", 1, 59 * 1000), null);
+    assert.strictEqual(verifyTotp(RFC_SECRET, "28708", 1, 59 * 1000), null);
+    assert.strictEqual(verifyTotp(RFC_SECRET, "2870820", 1, 59 * 1000), null);
+    assert.strictEqual(verifyTotp(null, "287082", 1, 59 * 1000), null);
+  });
+});
+
+describe("secrets and backup codes", () => {
+  it("generates 160 bit base32 secrets", () => {
+    assert.match(generateSecret(), /^[A-Z2-7]{32}$/);
+  });
+
+  it("generates distinct backup codes", () => {
+    const codes = generateBackupCodes();
+
+    assert.strictEqual(codes.length, 10);
+    assert.strictEqual(new Set(codes).size, 10);
+    codes.forEach((code) => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+  });
+
+  it("hashes backup codes regardless of case and spacing", () => {
+    assert.strictEqual(hashBackupCode(" ABCDE-12345 "), hashBackupCode("abcde-12345"));
+  });
+});
+
+describe("User#verifyTwoFactorCode", () => {
+  let stored;
+
+  // Two requests loading the same account before either has used the code
+  const loadUsers = () =>
+    [1, 2].map(
+      () =>
+        new User({
+          _id: stored._id,
+          email: "student@example.edu",
+          twoFactorSecret: RFC_SECRET,
+          twoFactorLastUsedStep: stored.twoFactorLastUsedStep,
+          twoFactorBackupCodes: [...stored.twoFactorBackupCodes],
+        }),
+    );
+
+  beforeEach(() => {
+    stored = {
+      _id: new User()._id,
+      twoFactorLastUsedStep: undefined,
+      twoFactorBackupCodes: [hashBackupCode("abcde-12345")],
+    };
+
+    mock.method(Date, "now", () => 59 * 1000);
+
+    // Applies the conditional updates verifyTwoFactorCode sends to the database
+    mock.method(User, "updateOne", async (filter, update) => {
+      if (update.$set && "twoFactorLastUsedStep" in update.$set) {
+        const step = update.$set.twoFactorLastUsedStep;
+        if (stored.twoFactorLastUsedStep != null && stored.twoFactorLastUsedStep >= step) {
+          return { modifiedCount: 0 };
+        }
+        stored.twoFactorLastUsedStep = step;
+        return { modifiedCount: 1 };
+      }
+
+      const hashed = update.$pull.twoFactorBackupCodes;
+      if (!stored.twoFactorBackupCodes.includes(hashed)) {
+        return { modifiedCount: 0 };
+      }
+      stored.twoFactorBackupCodes = stored.twoFactorBackupCodes.filter((code) => code !== hashed);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("accepts a TOTP code once", async () => {
+    const [first, second] = loadUsers();
+
+    const results = await Promise.all([
+      first.verifyTwoFactorCode("287082"),
+      second.verifyTwoFactorCode("287082"),
+    ]);
+
+    assert.deepStrictEqual(results.sort(), [false, true]);
+    assert.strictEqual(stored.twoFactorLastUsedStep, 1);
+  });
+
+  it("rejects a code of an already used step", async () => {
+    stored.twoFactorLastUsedStep = 1;
+    const [user] = loadUsers();
+
+    assert.strictEqual(await user.verifyTwoFactorCode("287082"), false);
+  });
+
+  it("accepts a backup code once", async () => {
+    const [first, second] = loadUsers();
+
+    const results = await Promise.all([
+      first.verifyTwoFactorCode(null, "abcde-12345"),
+      second.verifyTwoFactorCode(null, "abcde-12345"),
+    ]);
+
+    assert.deepStrictEqual(results.sort(), [false, true]);
+    assert.deepStrictEqual(stored.twoFactorBackupCodes, []);
+  });
+
+  it("rejects unknown backup codes", async () => {
+    const [user] = loadUsers();
+
+    assert.strictEqual(await user.verifyTwoFactorCode(null, "fffff-00000"), false);
+  });
+});
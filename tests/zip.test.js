@@ -0,0 +1,67 @@
+// ZIP archives built for personal data exports.
+// Run with: npm test
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+
+const { createZip } = require("../src/utils/zip");
+
+// Read every entry back through the central directory, like an unzip tool does
+const readZip = (archive) => {
+  const end = archive.length - 22;
+  assert.strictEqual(archive.readUInt32LE(end), 0x06054b50);
+
+  const count = archive.readUInt16LE(end + 10);
+  let position = archive.readUInt32LE(end + 16);
+  assert.strictEqual(position + archive.readUInt32LE(end + 12), end);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(archive.readUInt32LE(position), 0x02014b50);
+    const crc = archive.readUInt32LE(position + 16);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const size = archive.readUInt32LE(position + 24);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const offset = archive.readUInt32LE(position + 42);
+    const name = archive.toString("utf8", position + 46, position + 46 + nameLength);
+
+    assert.strictEqual(archive.readUInt32LE(offset), 0x04034b50);
+    assert.strictEqual(archive.readUInt32LE(offset + 14), crc);
+    const dataStart = offset + 30 + archive.readUInt16LE(offset + 26);
+    const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+
+    entries.push({ name, content, crc, size });
+    position += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe("createZip", () => {
+  it("stores every file with its name, size and CRC-32", () => {
+    const files = [
+      { name: "profile.json", content: JSON.stringify({ name: "Jane" }) },
+      { name: "données/notes.csv", content: "a,b\r\n1,2" },
+      { name: "avatar.bin", content: Buffer.from([0, 1, 2, 255]) },
+    ];
+
+    const entries = readZip(createZip(files));
+
+    assert.deepStrictEqual(
+      entries.map(({ name }) => name),
+      files.map(({ name }) => name),
+    );
+    entries.forEach((entry, i) => {
+      const data = Buffer.isBuffer(files[i].content) ? files[i].content : Buffer.from(files[i].content);
+      assert.deepStrictEqual(entry.content, data);
+      assert.strictEqual(entry.size, data.length);
+      assert.strictEqual(entry.crc, zlib.crc32(data));
+    });
+  });
+
+  it("builds an empty archive", () => {
+    const archive = createZip([]);
+
+    assert.strictEqual(archive.length, 22);
+    assert.deepStrictEqual(readZip(archive), []);
+  });
+});